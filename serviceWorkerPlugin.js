@@ -0,0 +1,50 @@
+// Builds dist/sw.js from src/sw.js: the build's output and the public files go
+// into its precache list, and a hash of their contents into the cache version,
+// so every deploy that changes anything installs as a new service worker.
+// Paths stay relative to the worker, which keeps the GitHub Pages base path
+// (and any other) working with `base: "./"`.
+
+import { createHash } from "node:crypto";
+import { readFileSync, readdirSync, statSync } from "node:fs";
+import { join, sep } from "node:path";
+
+const PLACEHOLDER = "self.__PRECACHE__";
+
+function publicFiles(dir) {
+  return readdirSync(dir, { recursive: true })
+    .filter((name) => statSync(join(dir, name)).isFile())
+    .map((name) => ({ name: name.split(sep).join("/"), source: readFileSync(join(dir, name)) }));
+}
+
+export function serviceWorker({ source = "src/sw.js", fileName = "sw.js" } = {}) {
+  let publicDir = "";
+
+  return {
+    name: "todo:service-worker",
+    apply: "build",
+    // After Vite has added index.html to the bundle.
+    enforce: "post",
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+    generateBundle(_options, bundle) {
+      const files = [
+        ...Object.values(bundle).map((item) => ({
+          name: item.fileName,
+          source: item.type === "chunk" ? item.code : item.source,
+        })),
+        ...(publicDir ? publicFiles(publicDir) : []),
+      ]
+        .filter((file) => file.name !== fileName && !file.name.endsWith(".map"))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+      const hash = createHash("sha256");
+      files.forEach((file) => hash.update(file.name).update(file.source));
+      const precache = { version: hash.digest("hex").slice(0, 12), files: files.map((file) => file.name) };
+
+      const code = readFileSync(source, "utf8");
+      if (!code.includes(PLACEHOLDER)) this.error(`${source} has no ${PLACEHOLDER} to fill in`);
+      this.emitFile({ type: "asset", fileName, source: code.replace(PLACEHOLDER, JSON.stringify(precache)) });
+    },
+  };
+}
@@ -1,55 +1,566 @@
-﻿import { useEffect, useMemo, useRef, useState } from "react";
+﻿import { Fragment, useEffect, useEffectEvent, useMemo, useRef, useState, useSyncExternalStore } from "react";
 import "./App.css";
 import { supabase } from "./supabaseClient";
+import {
+  OAUTH_PROVIDERS,
+  OPENED_FROM_RECOVERY_LINK,
+  clearRedirectError,
+  authErrorMessage,
+  isEmailNotConfirmed,
+  readRedirectError,
+  resendConfirmation,
+  sendMagicLink,
+  sendPasswordReset,
+  signInWithProvider,
+  signUpWithPassword,
+  updatePassword,
+} from "./auth";
+import { SYNC_STATUS } from "./syncQueue";
+import { findImportCandidates, markImportHandled } from "./localImport";
+import { createRepositories } from "./repositories/taskRepository";
+import { readStoredRecords } from "./repositories/localStorageRepository";
+import { LOCAL_TASKS } from "./repositories/localSchema";
+import { compareByDue, formatDue, isDueToday, isOverdue, parseDateKey, toDateKey } from "./dueDates";
+import { compareByPosition, moveChanges, newBottomPosition, newTopPosition } from "./ordering";
+import {
+  DEFAULT_PRIORITY,
+  PRIORITIES,
+  PRIORITY_COLORS,
+  PRIORITY_LEVELS,
+  compareByPriority,
+  taskPriority,
+} from "./priority";
+import { compareByCreated, thenBy, titleComparator } from "./sorting";
+import { computeStats, formatDuration, heatLevel } from "./stats";
+import { parseQuickAdd } from "./quickAdd";
+import { parseMarkdown, toggleChecklistItem } from "./markdown";
+import { applyUpdate, dismissUpdate, isUpdateReady, subscribeUpdate } from "./pwa";
+import { TRASH_DAYS_OPTIONS, expiredTrash, isTrashed, loadTrashDays, saveTrashDays, trashEntries } from "./trash";
+import { notificationsSupported, scheduleReminders } from "./reminders";
+import { UndoHistory } from "./undoHistory";
+import { SHORTCUT_HELP, filterCommands, shortcutAction } from "./shortcuts";
+import { LOCALES, formatDate, formatTime, getLocale, setLocale, subscribeLocale, tr } from "./i18n";
+import { collectTags, extractTags, matchesSearch, taskTags } from "./search";
+import {
+  RECURRENCE_TYPES,
+  WEEK_DAYS,
+  weekDayLabel,
+  formatRecurrence,
+  isSameRecurrence,
+  nextOccurrence,
+  normalizeRecurrence,
+} from "./recurrence";
+import { LIST_ROLES, canEditRole, inviteMember, leaveList, listRole, memberLabel, roleLabel } from "./sharing";
+import { TRANSFER_FORMATS, detectFormat, exportItems, parseImport, toTransferItems } from "./taskTransfer";
+import {
+  completionChanges,
+  groupSubtasks,
+  nestTasks,
+  subtaskProgress,
+  topLevelTasks,
+  withSubtasks,
+} from "./subtasks";
 
 const STORAGE_KEY = "todo.tasks.v1";
+const LISTS_KEY = "todo.lists.v1";
 const FILTER_KEY = "todo.filter.v1";
+const SELECTED_LIST_KEY = "todo.list.v1";
+// Tasks without a listId live in the built-in inbox, which can't be renamed or deleted.
+const INBOX = { id: null };
+const SORT_KEY = "todo.sort.v1";
+const SEARCH_KEY = "todo.search.v1";
+const TAG_KEY = "todo.tag.v1";
 const FILTERS = {
   all: "all",
   active: "active",
   done: "done",
+  today: "today",
+  overdue: "overdue",
 };
+const SORTS = {
+  manual: "manual",
+  due: "due",
+  priority: "priority",
+  created: "created",
+  title: "title",
+};
+// Ties fall back to the manual order, so equal tasks don't jump around.
+function sortComparator(sort, locale) {
+  if (sort === SORTS.due) return compareByDue;
+  if (sort === SORTS.priority) return thenBy(compareByPriority, compareByDue, compareByPosition);
+  if (sort === SORTS.created) return thenBy(compareByCreated, compareByPosition);
+  if (sort === SORTS.title) return thenBy(titleComparator(locale), compareByPosition);
+  return compareByPosition;
+}
+const CLOCK_TICK_MS = 60 * 1000;
+// Heatmap cells by heatLevel, from no completions to the busiest days.
+const HEAT_COLORS = ["#1b2330", "#1f3b5c", "#2b5c93", "#3f7dd1", "#5b8def"];
+const UNDO_TOAST_MS = 6000;
+// Notes are saved once typing has paused this long, and when the editor closes.
+const NOTES_SAVE_MS = 800;
+// Demo tasks for a browser that has never saved any, in the UI language of that first visit.
+function defaultTasks() {
+  const createdAt = new Date().toISOString();
+  return [
+    { id: 1, title: tr("demo.first"), done: false, position: 0, createdAt },
+    { id: 2, title: tr("demo.second"), done: false, position: 1, createdAt },
+  ];
+}
+
+function listName(list) {
+  return list.id === INBOX.id ? tr("lists.inbox") : list.name;
+}
+
+// Viewers of a shared list can't change its tasks, in the trash either.
+function canEditListOf(task, lists, members, userId) {
+  return canEditRole(listRole(lists.find((l) => l.id === task.listId) ?? null, members, userId));
+}
+
+// A message whose {placeholders} are elements rather than text.
+function richText(key, nodes, params) {
+  return tr(key, params)
+    .split(/\{(\w+)\}/)
+    .map((part, i) => <Fragment key={i}>{i % 2 ? (nodes[part] ?? part) : part}</Fragment>);
+}
+
+// A bookmarked view (?filter=&q=&tag=) wins over the remembered one.
+function readUrlView() {
+  const params = new URLSearchParams(window.location.search);
+  if (!["filter", "q", "tag"].some((name) => params.has(name))) return null;
+  return {
+    filter: FILTERS[params.get("filter")] ?? FILTERS.all,
+    query: params.get("q") ?? "",
+    tag: params.get("tag") || null,
+  };
+}
+
+function writeUrlView({ filter, query, tag }) {
+  const url = new URL(window.location.href);
+  const params = { filter: filter === FILTERS.all ? "" : filter, q: query, tag: tag ?? "" };
+  Object.entries(params).forEach(([name, value]) =>
+    value ? url.searchParams.set(name, value) : url.searchParams.delete(name)
+  );
+  if (url.href !== window.location.href) window.history.replaceState(null, "", url);
+}
+
+// The untouched copy kept by LocalStorageRepository, as it was stored.
+function downloadBackup(backupKey) {
+  let raw = null;
+  try {
+    raw = localStorage.getItem(backupKey);
+  } catch {
+    // ignore storage errors
+  }
+  if (raw !== null) downloadFile(`${backupKey}.json`, raw, "application/json");
+}
+
+function downloadFile(fileName, content, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Bar captions: short under the bar, long in its tooltip.
+function dayLabel(key, short) {
+  const date = parseDateKey(key);
+  return short ? date.getDate() : formatDate(date, { weekday: "short", day: "numeric", month: "long" });
+}
+
+function weekLabel(key, short) {
+  const date = parseDateKey(key);
+  if (short) return formatDate(date, { day: "numeric", month: "numeric" });
+  return tr("stats.weekOf", { date: formatDate(date, { day: "numeric", month: "long" }) });
+}
+
+// Completions per day or week as a row of bars; `label` names a bar's key.
+function StatsBars({ items, label }) {
+  const max = Math.max(1, ...items.map((item) => item.count));
+  return (
+    <div style={{ display: "flex", alignItems: "flex-end", gap: 4, height: 96 }}>
+      {items.map((item) => (
+        <div
+          key={item.key}
+          title={`${label(item.key)}: ${tr("stats.completed", { count: item.count })}`}
+          style={{ flex: 1, display: "grid", alignContent: "end", justifyItems: "center", gap: 4, height: "100%" }}
+        >
+          <div style={{ fontSize: 10, color: "#8b96a8" }}>{item.count || ""}</div>
+          <div
+            style={{
+              width: "100%",
+              height: `${(item.count / max) * 60}px`,
+              minHeight: 2,
+              borderRadius: 4,
+              background: item.count ? "#5b8def" : "#1b2330",
+            }}
+          />
+          <div style={{ fontSize: 10, color: "#667386", whiteSpace: "nowrap" }}>{label(item.key, true)}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function formatTimestamp(iso) {
+  return formatDate(new Date(iso), { dateStyle: "medium", timeStyle: "short" });
+}
+
+// Inline Markdown nodes (see markdown.js) as elements; links open in a new tab.
+function MarkdownInline({ nodes }) {
+  return nodes.map((node, i) => {
+    if (node.type === "text") return <Fragment key={i}>{node.text}</Fragment>;
+    if (node.type === "code") {
+      return (
+        <code key={i} style={{ padding: "1px 4px", borderRadius: 4, background: "#0f1115", fontSize: "0.92em" }}>
+          {node.text}
+        </code>
+      );
+    }
+    if (node.type === "link") {
+      return (
+        <a key={i} href={node.href} target="_blank" rel="noopener noreferrer" style={{ color: "#8fb4ff" }}>
+          <MarkdownInline nodes={node.children} />
+        </a>
+      );
+    }
+    const Tag = { strong: "strong", em: "em", strike: "s" }[node.type];
+    return (
+      <Tag key={i}>
+        <MarkdownInline nodes={node.children} />
+      </Tag>
+    );
+  });
+}
+
+// Task notes rendered from Markdown. Checklist items tick through `onToggle`
+// (their source line), or are read-only without it.
+function MarkdownNotes({ text, onToggle }) {
+  const lines = (block) =>
+    block.lines.map((nodes, i) => (
+      <Fragment key={i}>
+        {i > 0 ? <br /> : null}
+        <MarkdownInline nodes={nodes} />
+      </Fragment>
+    ));
+
+  return (
+    <div style={{ display: "grid", gap: 8, fontSize: 14, lineHeight: 1.5, color: "#cfd6e3", overflowWrap: "anywhere" }}>
+      {parseMarkdown(text).map((block, i) => {
+        if (block.type === "heading") {
+          return (
+            <div key={i} style={{ fontWeight: 700, fontSize: [18, 16, 14][block.level - 1], color: "#e7eaf0" }}>
+              <MarkdownInline nodes={block.content} />
+            </div>
+          );
+        }
+        if (block.type === "paragraph") return <div key={i}>{lines(block)}</div>;
+        if (block.type === "quote") {
+          return (
+            <div key={i} style={{ paddingLeft: 10, borderLeft: "3px solid #2a3440", color: "#8b96a8" }}>
+              {lines(block)}
+            </div>
+          );
+        }
+        if (block.type === "code") {
+          return (
+            <pre
+              key={i}
+              style={{
+                margin: 0,
+                padding: 10,
+                borderRadius: 8,
+                background: "#0f1115",
+                fontSize: 12,
+                overflowX: "auto",
+              }}
+            >
+              {block.text}
+            </pre>
+          );
+        }
+        if (block.type === "rule") {
+          return (
+            <hr key={i} style={{ width: "100%", border: "none", borderTop: "1px solid rgba(255,255,255,0.08)" }} />
+          );
+        }
+        const List = block.ordered ? "ol" : "ul";
+        const checklist = block.items.every((item) => item.checked !== null);
+        return (
+          <List
+            key={i}
+            style={{ margin: 0, paddingLeft: checklist ? 0 : 20, listStyle: checklist ? "none" : undefined }}
+          >
+            {block.items.map((item) => (
+              <li key={item.line}>
+                {item.checked !== null ? (
+                  <label style={{ display: "inline-flex", gap: 6, alignItems: "baseline" }}>
+                    <input
+                      type="checkbox"
+                      checked={item.checked}
+                      disabled={!onToggle}
+                      onChange={() => onToggle(item.line)}
+                    />
+                    <span
+                      style={{
+                        textDecoration: item.checked ? "line-through" : "none",
+                        color: item.checked ? "#8b96a8" : undefined,
+                      }}
+                    >
+                      <MarkdownInline nodes={item.content} />
+                    </span>
+                  </label>
+                ) : (
+                  <MarkdownInline nodes={item.content} />
+                )}
+              </li>
+            ))}
+          </List>
+        );
+      })}
+    </div>
+  );
+}
+
+// Undoes or redoes one step; returns the toast offering to reverse it, or null.
+function stepHistory(history, direction) {
+  const label = direction === "undo" ? history.undo() : history.redo();
+  if (!label) return null;
+  return direction === "undo"
+    ? { message: tr("history.undone", { action: tr(label) }), action: "redo" }
+    : { message: tr("history.redone", { action: tr(label) }), action: "undo" };
+}
 
 export default function App() {
   const isSupabaseReady = Boolean(supabase);
+  // Messages are looked up during render, so a language switch just re-renders.
+  const locale = useSyncExternalStore(subscribeLocale, getLocale);
+  const updateReady = useSyncExternalStore(subscribeUpdate, isUpdateReady);
 
   const [text, setText] = useState("");
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [authInfo, setAuthInfo] = useState("");
-  const [authError, setAuthError] = useState("");
+  const [authError, setAuthError] = useState(readRedirectError);
+  // "password" | "magic" (sign-in link by e-mail) | "reset" (forgot password)
+  const [authMode, setAuthMode] = useState("password");
+  const [awaitingConfirmation, setAwaitingConfirmation] = useState("");
+  const [recovering, setRecovering] = useState(OPENED_FROM_RECOVERY_LINK);
+  const [newPassword, setNewPassword] = useState("");
   const [remoteError, setRemoteError] = useState("");
   const [remoteLoading, setRemoteLoading] = useState(false);
   const [session, setSession] = useState(null);
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
 
-  const [tasks, setTasks] = useState(() => {
+  const [urlView] = useState(readUrlView);
+  const [filter, setFilter] = useState(() => {
+    if (urlView) return urlView.filter;
     try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      if (raw) return JSON.parse(raw);
+      const raw = localStorage.getItem(FILTER_KEY);
+      if (raw && FILTERS[raw]) return raw;
     } catch {
       // ignore storage errors and fall back to defaults
     }
-    return [
-      { id: 1, title: "Сделать первый вайб-проект 😎", done: false },
-      { id: 2, title: "Добавить задачу", done: false },
-    ];
+    return FILTERS.all;
   });
 
-  const [filter, setFilter] = useState(() => {
+  const [sort, setSort] = useState(() => {
     try {
-      const raw = localStorage.getItem(FILTER_KEY);
-      if (raw && FILTERS[raw]) return raw;
+      const raw = localStorage.getItem(SORT_KEY);
+      if (raw && SORTS[raw]) return raw;
     } catch {
       // ignore storage errors and fall back to defaults
     }
-    return FILTERS.all;
+    return SORTS.manual;
+  });
+
+  const [query, setQuery] = useState(() => {
+    if (urlView) return urlView.query;
+    try {
+      return localStorage.getItem(SEARCH_KEY) ?? "";
+    } catch {
+      return "";
+    }
+  });
+
+  const [tag, setTag] = useState(() => {
+    if (urlView) return urlView.tag;
+    try {
+      return localStorage.getItem(TAG_KEY) || null;
+    } catch {
+      return null;
+    }
   });
 
+  const [newDueDate, setNewDueDate] = useState("");
+  const [newDueTime, setNewDueTime] = useState("");
+  const [newPriority, setNewPriority] = useState(DEFAULT_PRIORITY);
+  // Drives the overdue/today views; refreshed once a minute.
+  const [now, setNow] = useState(() => Date.now());
+  const [notificationPermission, setNotificationPermission] = useState(() =>
+    notificationsSupported() ? Notification.permission : "unsupported"
+  );
+
   const [editingId, setEditingId] = useState(null);
   const [editingText, setEditingText] = useState("");
+  const [editingDueDate, setEditingDueDate] = useState("");
+  const [editingDueTime, setEditingDueTime] = useState("");
+  const [editingRecurrence, setEditingRecurrence] = useState(null);
+  const [editingPriority, setEditingPriority] = useState(DEFAULT_PRIORITY);
+  // The task whose details panel is open, and the notes being typed there ({ id, text }).
+  const [detailsId, setDetailsId] = useState(null);
+  const [notesDraft, setNotesDraft] = useState(null);
+  const [subtaskParentId, setSubtaskParentId] = useState(null);
+  const [subtaskText, setSubtaskText] = useState("");
+  // Pointer drag in progress: the dragged task and where it would land.
+  const [drag, setDrag] = useState(null);
+  // Anonymous tasks offered for import into the account after sign-in.
+  const [importCandidates, setImportCandidates] = useState([]);
+  const [dismissedRecovery, setDismissedRecovery] = useState(null);
+  const [importSelection, setImportSelection] = useState([]);
+  // Parsed file waiting for confirmation: { fileName, items, errors }.
+  const [transferPreview, setTransferPreview] = useState(null);
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  // Transient notice after a deletion or an undo: { message, action: "undo" | "redo" }.
+  const [undoToast, setUndoToast] = useState(null);
+  // Keyboard command mode: the highlighted task, the Ctrl+K palette and the "?" overlay.
+  const [cursorId, setCursorId] = useState(null);
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [paletteQuery, setPaletteQuery] = useState("");
+  const [paletteIndex, setPaletteIndex] = useState(0);
+  const [helpOpen, setHelpOpen] = useState(false);
+  const [statsOpen, setStatsOpen] = useState(false);
+  const [trashOpen, setTrashOpen] = useState(false);
+  const [trashDays, setTrashDays] = useState(loadTrashDays);
+  // Checkbox mode for batch actions; the anchor is where a shift-click range starts.
+  const [selecting, setSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [selectionAnchor, setSelectionAnchor] = useState(null);
+  const addInputRef = useRef(null);
+  const searchInputRef = useRef(null);
 
   const user = session?.user ?? null;
-  const prevUserIdRef = useRef(null);
+  const userId = user?.id ?? null;
+
+  // Local storage when signed out, Supabase (through the outbox) when signed in.
+  const repositories = useMemo(
+    () =>
+      createRepositories({
+        client: supabase,
+        userId,
+        storageKeys: { tasks: STORAGE_KEY, lists: LISTS_KEY },
+        fallbackTasks: defaultTasks(),
+      }),
+    [userId]
+  );
+  const { tasks: taskRepository, lists: listRepository, members: memberRepository } = repositories;
+  const storedTasks = useSyncExternalStore(taskRepository.subscribe, taskRepository.getSnapshot);
+  // Trashed tasks stay in the repository until purged; everything but the trash view works on the rest.
+  const allTasks = useMemo(() => storedTasks.filter((t) => !isTrashed(t)), [storedTasks]);
+  // Across all lists; only worked out while the statistics are open.
+  const stats = useMemo(() => (statsOpen ? computeStats(allTasks, now) : null), [statsOpen, allTasks, now]);
+  // What the add field reads out of its text; shown under it before adding.
+  const quickAdd = useMemo(() => parseQuickAdd(text, toDateKey(new Date(now))), [text, now]);
+  const quickAddFound = Boolean(
+    quickAdd.dueDate || quickAdd.priority || quickAdd.recurrence || quickAdd.title !== text.trim().replace(/\s+/g, " ")
+  );
+  const syncState = useSyncExternalStore(taskRepository.subscribe, taskRepository.getSyncState);
+  const lists = useSyncExternalStore(listRepository.subscribe, listRepository.getSnapshot);
+  const members = useSyncExternalStore(memberRepository.subscribe, memberRepository.getSnapshot);
+  // Undo/redo of task changes; starts empty for each account.
+  const history = useMemo(() => new UndoHistory(taskRepository), [taskRepository]);
+  const historyState = useSyncExternalStore(history.subscribe, history.getSnapshot);
+  // Local data that couldn't be read in full; fixed once the repositories are created.
+  const storageRecoveries =
+    dismissedRecovery === repositories ? [] : [taskRepository.recovery, listRepository.recovery].filter(Boolean);
+
+  const [selectedListId, setSelectedListId] = useState(() => {
+    try {
+      const raw = localStorage.getItem(SELECTED_LIST_KEY);
+      if (raw) return JSON.parse(raw);
+    } catch {
+      // ignore storage errors and fall back to defaults
+    }
+    return INBOX.id;
+  });
+  // undefined: no draft, null: creating a new list, an id: renaming that list.
+  const [listDraft, setListDraft] = useState(undefined);
+  const [listDraftName, setListDraftName] = useState("");
+  const [sharingOpen, setSharingOpen] = useState(false);
+  const [inviteEmail, setInviteEmail] = useState("");
+  const [inviteRole, setInviteRole] = useState(LIST_ROLES.editor);
+  const [sharingError, setSharingError] = useState("");
+
+  const sortedLists = useMemo(() => [...lists].sort((a, b) => a.position - b.position), [lists]);
+  // A remembered list may be gone (deleted elsewhere, or from the other account).
+  const activeListId = lists.some((l) => l.id === selectedListId) ? selectedListId : INBOX.id;
+  const tasks = useMemo(
+    () => allTasks.filter((t) => (t.listId ?? INBOX.id) === activeListId),
+    [allTasks, activeListId]
+  );
+  const activeList = lists.find((l) => l.id === activeListId) ?? null;
+  const activeRole = listRole(activeList, members, userId);
+  // Viewers of a shared list see its tasks but can't change them.
+  const canEdit = canEditRole(activeRole);
+  const activeMembers = members.filter((m) => m.listId === activeListId);
+  const isSharedList = activeMembers.length > 1;
+  // Databases from before the migrations have no lists (or no sharing) to offer.
+  const canUseLists = listRepository.isAvailable();
+  const canShare = Boolean(user) && memberRepository.isAvailable();
+  // Without the deleted_at column, deleting removes the rows outright as it used to.
+  const canTrash = taskRepository.supports("deletedAt");
+  const canEditNotes = canEdit && taskRepository.supports("notes");
+
+  const trash = useMemo(
+    () =>
+      trashEntries(storedTasks).map((entry) => ({
+        ...entry,
+        editable: canEditListOf(entry.task, lists, members, userId),
+      })),
+    [storedTasks, lists, members, userId]
+  );
+  const expiredTrashIds = useMemo(
+    () =>
+      expiredTrash(
+        storedTasks.filter((t) => canEditListOf(t, lists, members, userId)),
+        trashDays,
+        now
+      ),
+    [storedTasks, lists, members, userId, trashDays, now]
+  );
+
+  const listCounters = useMemo(() => {
+    const counters = {};
+    for (const t of topLevelTasks(allTasks)) {
+      const key = String(t.listId ?? INBOX.id);
+      counters[key] ??= { done: 0, total: 0 };
+      counters[key].total += 1;
+      if (t.done) counters[key].done += 1;
+    }
+    return counters;
+  }, [allTasks]);
+
+  // Reset per-account UI state when switching between local and remote tasks.
+  const [prevRepositories, setPrevRepositories] = useState(repositories);
+  if (prevRepositories !== repositories) {
+    setPrevRepositories(repositories);
+    setListDraft(undefined);
+    setEditingId(null);
+    setEditingText("");
+    setDetailsId(null);
+    setNotesDraft(null);
+    setSubtaskParentId(null);
+    setImportCandidates([]);
+    setTransferPreview(null);
+    setUndoToast(null);
+    setSharingOpen(false);
+    setSharingError("");
+    setRemoteError("");
+    setRemoteLoading(Boolean(userId));
+    setSelecting(false);
+    setSelectedIds([]);
+  }
 
   useEffect(() => {
     if (!isSupabaseReady) return;
@@ -59,13 +570,15 @@ export default function App() {
     supabase.auth.getSession().then(({ data, error }) => {
       if (!isActive) return;
       if (error) {
-        setAuthError(error.message);
+        setAuthError(authErrorMessage(error));
         return;
       }
       setSession(data.session);
     });
 
-    const { data } = supabase.auth.onAuthStateChange((_event, nextSession) => {
+    const { data } = supabase.auth.onAuthStateChange((event, nextSession) => {
+      if (event === "PASSWORD_RECOVERY") setRecovering(true);
+      if (nextSession) setAwaitingConfirmation("");
       setSession(nextSession);
     });
 
@@ -76,277 +589,1098 @@ export default function App() {
   }, [isSupabaseReady]);
 
   useEffect(() => {
-    // localStorage is a fallback when the user is not logged in.
-    if (user) return;
+    clearRedirectError();
+  }, []);
 
+  useEffect(() => {
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(tasks));
+      localStorage.setItem(FILTER_KEY, filter);
     } catch {
       // ignore storage errors
     }
-  }, [tasks, user]);
+  }, [filter]);
 
   useEffect(() => {
     try {
-      localStorage.setItem(FILTER_KEY, filter);
+      localStorage.setItem(SEARCH_KEY, query);
+      if (tag) localStorage.setItem(TAG_KEY, tag);
+      else localStorage.removeItem(TAG_KEY);
     } catch {
       // ignore storage errors
     }
-  }, [filter]);
+  }, [query, tag]);
 
   useEffect(() => {
-    if (!isSupabaseReady) return;
+    writeUrlView({ filter, query, tag });
+  }, [filter, query, tag]);
 
-    const prevUserId = prevUserIdRef.current;
-    const nextUserId = user?.id ?? null;
-    prevUserIdRef.current = nextUserId;
-
-    // Logout: restore local tasks.
-    if (prevUserId && !nextUserId) {
-      try {
-        const raw = localStorage.getItem(STORAGE_KEY);
-        if (raw) setTasks(JSON.parse(raw));
-      } catch {
-        // ignore storage errors
-      }
-      setRemoteError("");
-      setRemoteLoading(false);
-      return;
+  useEffect(() => {
+    try {
+      localStorage.setItem(SORT_KEY, sort);
+    } catch {
+      // ignore storage errors
     }
+  }, [sort]);
 
-    if (!nextUserId) return;
-
-    (async () => {
-      setRemoteError("");
-      setRemoteLoading(true);
-      try {
-        // Prefer created_at ordering, but keep a fallback for simpler schemas.
-        let res = await supabase
-          .from("tasks")
-          .select("id,title,done,user_id,created_at")
-          .eq("user_id", nextUserId)
-          .order("created_at", { ascending: false });
-
-        if (res.error && /created_at/i.test(res.error.message)) {
-          res = await supabase
-            .from("tasks")
-            .select("id,title,done,user_id")
-            .eq("user_id", nextUserId)
-            .order("id", { ascending: false });
-        }
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), CLOCK_TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
 
-        if (res.error) throw res.error;
-        setTasks((res.data ?? []).map((t) => ({ id: t.id, title: t.title, done: !!t.done })));
-        setEditingId(null);
-        setEditingText("");
-      } catch (e) {
-        setRemoteError(e?.message || "Не удалось загрузить задачи из Supabase.");
-      } finally {
-        setRemoteLoading(false);
-      }
-    })();
-  }, [isSupabaseReady, user?.id]);
+  // Every list's tasks, not just the open one's, so switching lists doesn't cancel reminders.
+  useEffect(() => {
+    if (notificationPermission !== "granted") return;
 
-  const doneCount = useMemo(() => tasks.filter((t) => t.done).length, [tasks]);
-  const hasCompleted = doneCount > 0;
+    return scheduleReminders(allTasks, (task) => {
+      new Notification(tr("reminders.title"), {
+        body: `${task.title} — ${formatTime(task.dueTime)}`,
+        tag: `todo-${task.id}`,
+      });
+    });
+  }, [allTasks, notificationPermission]);
 
-  const filteredTasks = useMemo(() => {
-    if (filter === FILTERS.active) return tasks.filter((t) => !t.done);
-    if (filter === FILTERS.done) return tasks.filter((t) => t.done);
-    return tasks;
-  }, [filter, tasks]);
-
-  const emptyMessages = {
-    [FILTERS.all]: "Пока задач нет. Добавь первую 🙂",
-    [FILTERS.active]: "Активных задач нет. Можно выдохнуть 🙂",
-    [FILTERS.done]: "Выполненных задач пока нет.",
-  };
+  useEffect(() => {
+    try {
+      localStorage.setItem(SELECTED_LIST_KEY, JSON.stringify(selectedListId));
+    } catch {
+      // ignore storage errors
+    }
+  }, [selectedListId]);
 
-  async function addTask() {
-    const title = text.trim();
-    if (!title) return;
+  useEffect(() => {
+    if (!userId) return;
 
-    if (isSupabaseReady && user) {
-      setRemoteError("");
-      const { data, error } = await supabase
-        .from("tasks")
-        .insert({ title, done: false, user_id: user.id })
-        .select("id,title,done")
-        .single();
+    let isActive = true;
 
-      if (error) {
-        setRemoteError(error.message);
-        return;
+    Promise.all([taskRepository.load(), listRepository.load(), memberRepository.load()])
+      .then(([remoteTasks]) => {
+        // Only offer an import against the real server list, so dedup is reliable.
+        if (!isActive || !remoteTasks) return;
+        const localTasks = (readStoredRecords(STORAGE_KEY, LOCAL_TASKS) ?? []).filter((t) => !isTrashed(t));
+        const { candidates, duplicates } = findImportCandidates(
+          userId,
+          localTasks,
+          remoteTasks.filter((t) => !isTrashed(t))
+        );
+        if (duplicates.length) markImportHandled(userId, duplicates);
+        setImportCandidates(candidates);
+        setImportSelection(candidates.map((t) => t.id));
+      })
+      .catch((e) => {
+        if (isActive) setRemoteError(e?.message || tr("errors.load"));
+      })
+      .finally(() => {
+        if (isActive) setRemoteLoading(false);
+      });
+
+    return () => {
+      isActive = false;
+    };
+  }, [taskRepository, listRepository, memberRepository, userId]);
+
+  useEffect(() => {
+    // Temp ids of records created offline are swapped for server ids after sync.
+    const unsubscribeTasks = taskRepository.subscribe((event) => {
+      if (event?.type !== "remap") return;
+      setEditingId((prev) => (prev === event.fromId ? event.toId : prev));
+      setCursorId((prev) => (prev === event.fromId ? event.toId : prev));
+      history.remapId(event.fromId, event.toId);
+    });
+    const unsubscribeLists = listRepository.subscribe((event) => {
+      if (event?.type !== "remap") return;
+      setSelectedListId((prev) => (prev === event.fromId ? event.toId : prev));
+      setListDraft((prev) => (prev === event.fromId ? event.toId : prev));
+    });
+
+    return () => {
+      unsubscribeTasks();
+      unsubscribeLists();
+    };
+  }, [taskRepository, listRepository, history]);
+
+  useEffect(() => {
+    // The server refused a change (e.g. edits by a viewer of a shared list);
+    // the repository has already restored the server state.
+    function handleEvent(event) {
+      if (event?.type === "rejected") setRemoteError(tr("errors.rejected"));
+      if (event?.type === "rolledBack") {
+        setRemoteError(tr("errors.rolledBack", { count: event.count, message: event.message }));
       }
+    }
+    const unsubscribers = [taskRepository, listRepository, memberRepository].map((r) => r.subscribe(handleEvent));
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [taskRepository, listRepository, memberRepository]);
 
-      setTasks((prev) => [{ id: data.id, title: data.title, done: !!data.done }, ...prev]);
-      setText("");
-      return;
+  useEffect(() => {
+    function handleOnline() {
+      setIsOnline(true);
+    }
+    function handleOffline() {
+      setIsOnline(false);
     }
 
-    const newTask = { id: Date.now(), title, done: false };
-    setTasks((prev) => [newTask, ...prev]);
-    setText("");
-  }
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, []);
 
-  async function toggleTask(id) {
-    const current = tasks.find((t) => t.id === id);
-    if (!current) return;
+  useEffect(() => {
+    // Not from a cache that may be stale: the task could have been restored elsewhere.
+    if (remoteLoading || !isOnline || !expiredTrashIds.length) return;
+    taskRepository.remove(expiredTrashIds);
+  }, [remoteLoading, isOnline, expiredTrashIds, taskRepository]);
+
+  // An effect event, so the listener always sees the current tasks and handlers.
+  const handleShortcut = useEffectEvent((e) => {
+    const action = shortcutAction(e);
+    if (!action) return;
+    // The overlays only listen for the keys that close them.
+    if (helpOpen && action !== "help" && action !== "escape") return;
+    if ((statsOpen || trashOpen) && action !== "escape") return;
+    if (paletteOpen && action !== "palette") return;
+
+    e.preventDefault();
+    runShortcut(action);
+  });
 
-    const nextDone = !current.done;
+  useEffect(() => {
+    window.addEventListener("keydown", handleShortcut);
+    return () => window.removeEventListener("keydown", handleShortcut);
+  }, []);
 
-    if (isSupabaseReady && user) {
-      setRemoteError("");
-      const prevTasks = tasks;
-      setTasks((prev) => prev.map((t) => (t.id === id ? { ...t, done: nextDone } : t)));
+  const saveNotesDraft = useEffectEvent(() => saveNotes(notesDraft.id, notesDraft.text));
 
-      const { error } = await supabase
-        .from("tasks")
-        .update({ done: nextDone })
-        .eq("id", id)
-        .eq("user_id", user.id);
+  // Every keystroke restarts the wait, so notes are written once typing pauses.
+  useEffect(() => {
+    if (!notesDraft) return;
+    const timer = setTimeout(saveNotesDraft, NOTES_SAVE_MS);
+    return () => clearTimeout(timer);
+  }, [notesDraft]);
 
-      if (error) {
-        setTasks(prevTasks);
-        setRemoteError(error.message);
-      }
-      return;
+  useEffect(() => {
+    if (!undoToast) return;
+    const timer = setTimeout(() => setUndoToast(null), UNDO_TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [undoToast]);
+
+  // Counters and sorting work on top-level tasks; subtasks are steps of their parent.
+  const rootTasks = useMemo(() => topLevelTasks(tasks), [tasks]);
+  const subtaskGroups = useMemo(() => groupSubtasks(tasks), [tasks]);
+  const doneCount = useMemo(() => rootTasks.filter((t) => t.done).length, [rootTasks]);
+  const canClearCompleted = useMemo(() => canEdit && tasks.some((t) => t.done), [canEdit, tasks]);
+
+  // Visible rows in display order: each parent followed by its matching subtasks.
+  const filteredTasks = useMemo(() => {
+    function matchesStatus(t) {
+      if (filter === FILTERS.active) return !t.done;
+      if (filter === FILTERS.done) return t.done;
+      if (filter === FILTERS.today) return isDueToday(t, now);
+      if (filter === FILTERS.overdue) return isOverdue(t, now);
+      return true;
+    }
+
+    function matches(t) {
+      return matchesStatus(t) && (!tag || taskTags(t).includes(tag)) && matchesSearch(t, query);
     }
 
-    setTasks((prev) => prev.map((t) => (t.id === id ? { ...t, done: nextDone } : t)));
+    // Date views read best soonest-first regardless of the chosen sort.
+    const byDue = sort === SORTS.due || filter === FILTERS.today || filter === FILTERS.overdue;
+    const parents = [...rootTasks].sort(sortComparator(byDue ? SORTS.due : sort, locale));
+    return nestTasks(parents, subtaskGroups, matches);
+  }, [filter, sort, query, tag, rootTasks, subtaskGroups, now, locale]);
+
+  // A highlighted task that got filtered out (or deleted elsewhere) is simply not highlighted.
+  const cursorTask = filteredTasks.find((t) => t.id === cursorId) ?? null;
+  // Selected rows that are still visible, in display order; batch actions only touch these.
+  const selection = useMemo(
+    () => filteredTasks.filter((t) => selectedIds.includes(t.id)),
+    [filteredTasks, selectedIds]
+  );
+  // Lists the selection can be moved to: any other the user may add tasks to.
+  const moveTargets = [INBOX, ...sortedLists].filter(
+    (l) => l.id !== activeListId && canEditRole(listRole(l.id === INBOX.id ? null : l, members, userId))
+  );
+
+  const tagCounts = useMemo(() => collectTags(tasks), [tasks]);
+  // The selected tag stays visible (and can be cleared) even when no task in this list has it.
+  const tagChips = tag && !tagCounts.some((item) => item.tag === tag) ? [{ tag, count: 0 }, ...tagCounts] : tagCounts;
+
+  const canReorder = canEdit && sort === SORTS.manual && filter !== FILTERS.today && filter !== FILTERS.overdue;
+
+  const overdueCount = useMemo(() => tasks.filter((t) => isOverdue(t, now)).length, [tasks, now]);
+
+  async function enableReminders() {
+    if (!notificationsSupported()) return;
+    setNotificationPermission(await Notification.requestPermission());
   }
 
-  async function removeTask(id) {
-    if (isSupabaseReady && user) {
-      setRemoteError("");
-      const prevTasks = tasks;
-      setTasks((prev) => prev.filter((t) => t.id !== id));
+  function importLocalTasks(ids) {
+    // Oldest first, so the newest local task ends up on top and parents
+    // exist before their subtasks.
+    const importedIds = new Map();
+    importCandidates
+      .filter((t) => ids.includes(t.id))
+      .reverse()
+      .forEach((t) => {
+        const created = taskRepository.add({
+          title: t.title,
+          tags: taskTags(t),
+          done: !!t.done,
+          dueDate: t.dueDate ?? null,
+          dueTime: t.dueTime ?? null,
+          priority: taskPriority(t),
+          createdAt: t.createdAt ?? new Date().toISOString(),
+          completedAt: t.done ? (t.completedAt ?? null) : null,
+          listId: INBOX.id,
+          parentId: importedIds.get(t.parentId) ?? null,
+          position: t.parentId != null ? (t.position ?? null) : newTopPosition(),
+        });
+        importedIds.set(t.id, created.id);
+      });
+
+    markImportHandled(userId, importCandidates.map((t) => t.id));
+    setImportCandidates([]);
+    setImportSelection([]);
+  }
 
-      const { error } = await supabase.from("tasks").delete().eq("id", id).eq("user_id", user.id);
-      if (error) {
-        setTasks(prevTasks);
-        setRemoteError(error.message);
-      }
-      return;
+  function toggleImportSelection(id) {
+    setImportSelection((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  }
+
+  const transferItems = (transferPreview?.items ?? []).filter((item) => !(skipDuplicates && item.duplicate));
+
+  function exportTasks(format) {
+    const { extension, mime } = TRANSFER_FORMATS[format];
+    const name = listName(activeList ?? INBOX);
+    const content = exportItems(toTransferItems(filteredTasks), format);
+    downloadFile(`${name}-${toDateKey(new Date())}.${extension}`, content, mime);
+  }
+
+  async function readTransferFile(file) {
+    if (!file) return;
+    const text = await file.text();
+    const { items, errors } = parseImport(text, detectFormat(file.name, text), tasks);
+    setTransferPreview({ fileName: file.name, items, errors });
+  }
+
+  function applyTransferImport() {
+    if (!canEdit) return;
+    // Last item gets the first top position, so the file's order is kept at the top of the list.
+    const records = [];
+    [...transferItems].reverse().forEach((item, index) => {
+      const key = `import-${index}`;
+      const fields = (entry) => ({
+        title: entry.title,
+        tags: extractTags(entry.title),
+        done: entry.done,
+        dueDate: entry.dueDate,
+        dueTime: entry.dueTime,
+        priority: entry.priority,
+        listId: activeListId,
+        createdAt: new Date().toISOString(),
+      });
+      records.push({ id: key, ...fields(item), parentId: null, position: newTopPosition() });
+      item.subtasks.forEach((sub, position) => records.push({ ...fields(sub), parentId: key, position }));
+    });
+    history.perform("history.import", [{ type: "insert", records }]);
+    setTransferPreview(null);
+  }
+
+  function startListDraft(listId) {
+    setListDraft(listId);
+    setListDraftName(listId === null ? "" : (lists.find((l) => l.id === listId)?.name ?? ""));
+  }
+
+  function cancelListDraft() {
+    setListDraft(undefined);
+    setListDraftName("");
+  }
+
+  function saveListDraft() {
+    const name = listDraftName.trim();
+    if (name && listDraft === null) {
+      const position = lists.reduce((max, l) => Math.max(max, l.position + 1), 0);
+      const list = listRepository.add({ name, position });
+      setSelectedListId(list.id);
+    } else if (name && listDraft !== undefined) {
+      const current = lists.find((l) => l.id === listDraft);
+      if (current && current.name !== name) listRepository.update(listDraft, { name });
     }
+    cancelListDraft();
+  }
 
-    setTasks((prev) => prev.filter((t) => t.id !== id));
+  async function invite() {
+    const email = inviteEmail.trim();
+    if (!email) return;
+    setSharingError("");
+    const error = await inviteMember(supabase, activeListId, email, inviteRole);
+    if (error) {
+      setSharingError(error);
+      return;
+    }
+    setInviteEmail("");
+    memberRepository.load().catch(() => {});
   }
 
-  async function clearCompleted() {
-    if (isSupabaseReady && user) {
-      setRemoteError("");
-      const prevTasks = tasks;
-      setTasks((prev) => prev.filter((t) => !t.done));
+  async function leaveActiveList() {
+    const membership = activeMembers.find((m) => m.userId === userId);
+    if (!membership || !window.confirm(tr("lists.confirmLeave", { name: activeList.name }))) return;
 
-      const { error } = await supabase.from("tasks").delete().eq("user_id", user.id).eq("done", true);
-      if (error) {
-        setTasks(prevTasks);
-        setRemoteError(error.message);
-      }
+    setSharingError("");
+    const error = await leaveList(supabase, membership.id);
+    if (error) {
+      setSharingError(error);
       return;
     }
+    setSelectedListId(INBOX.id);
+    setSharingOpen(false);
+    // The list and its tasks are no longer readable; refetch to drop them.
+    Promise.all([listRepository.load(), taskRepository.load(), memberRepository.load()]).catch(() => {});
+  }
 
-    setTasks((prev) => prev.filter((t) => !t.done));
+  function deleteList(listId) {
+    const list = lists.find((l) => l.id === listId);
+    if (!list) return;
+
+    // Its trashed tasks go too, but only the others are worth asking about.
+    const listTaskIds = storedTasks.filter((t) => t.listId === listId).map((t) => t.id);
+    const liveCount = allTasks.filter((t) => t.listId === listId).length;
+    const question = liveCount
+      ? tr("lists.confirmDeleteWithTasks", { name: list.name, count: liveCount })
+      : tr("lists.confirmDelete", { name: list.name });
+    if (!window.confirm(question)) return;
+
+    if (listTaskIds.length) taskRepository.remove(listTaskIds);
+    listRepository.remove([listId]);
+    setSelectedListId(INBOX.id);
   }
 
-  function startEditing(task) {
-    setEditingId(task.id);
-    setEditingText(task.title);
+  function moveList(listId, offset) {
+    // Only the user's own lists can be reordered; shared ones keep their owner's position.
+    const order = sortedLists.filter((l) => listRole(l, members, userId) === LIST_ROLES.owner).map((l) => l.id);
+    const from = order.indexOf(listId);
+    const to = from + offset;
+    if (from < 0 || to < 0 || to >= order.length) return;
+
+    order.splice(to, 0, ...order.splice(from, 1));
+    // Only lists whose index actually changed get written.
+    order.forEach((id, position) => {
+      if (lists.find((l) => l.id === id)?.position !== position) listRepository.update(id, { position });
+    });
   }
 
-  function cancelEditing() {
-    setEditingId(null);
-    setEditingText("");
+  function addTask() {
+    // Parsed against the current date: the memo's clock only ticks every so often.
+    const parsed = parseQuickAdd(text, toDateKey(new Date()));
+    if (!parsed.title || !canEdit) return;
+
+    // A date typed into the text wins over the pickers.
+    const dueDate = parsed.dueDate ?? (newDueDate || null);
+    const record = {
+      title: parsed.title,
+      tags: parsed.tags,
+      done: false,
+      listId: activeListId,
+      parentId: null,
+      position: newTopPosition(),
+      dueDate,
+      dueTime: parsed.dueDate ? parsed.dueTime : dueDate && newDueTime ? newDueTime : null,
+      priority: parsed.priority ?? newPriority,
+      recurrence: parsed.recurrence,
+      createdBy: userId,
+      createdAt: new Date().toISOString(),
+    };
+    history.perform("history.addTask", [{ type: "insert", records: [record] }]);
+    setText("");
+    setNewDueDate("");
+    setNewDueTime("");
+    setNewPriority(DEFAULT_PRIORITY);
   }
 
-  async function saveEditing(id) {
-    const title = editingText.trim();
-    if (!title) {
-      cancelEditing();
-      return;
+  // The operations that set `done` on these tasks, with parents and subtasks
+  // following along (completionChanges) and recurring tasks rolling over.
+  function completionOperations(ids, done) {
+    const targets = new Map();
+    let working = tasks;
+    for (const id of ids) {
+      // One task after another, so a parent follows subtasks completed together.
+      completionChanges(working, id, done).forEach(([taskId, change]) => targets.set(taskId, change.done));
+      working = working.map((t) => (targets.has(t.id) ? { ...t, done: targets.get(t.id) } : t));
     }
 
-    if (isSupabaseReady && user) {
-      setRemoteError("");
-      const prevTasks = tasks;
-      setTasks((prev) => prev.map((t) => (t.id === id ? { ...t, title } : t)));
-      cancelEditing();
+    const operations = [];
+    const changes = [];
+    const rolledOver = [];
+    const completedAt = new Date().toISOString();
+    for (const [taskId, nextDone] of targets) {
+      const task = tasks.find((t) => t.id === taskId);
+      if (task.done === nextDone) continue;
+      const stamped = { done: nextDone, completedAt: nextDone ? completedAt : null };
+      // The server stamps completed_by too; this is the optimistic value.
+      const patch = userId ? { ...stamped, completedBy: nextDone ? userId : null } : stamped;
+      changes.push([taskId, patch]);
+      if (!nextDone || !task.recurrence) continue;
+
+      const records = nextOccurrence(task, subtaskGroups.get(taskId) ?? [], toDateKey(new Date()));
+      operations.push({ type: "insert", records });
+      // The rule moves to the next occurrence, so reopening this one doesn't repeat it twice.
+      rolledOver.push([taskId, { recurrence: null }]);
+    }
+    if (!changes.length) return [];
 
-      const { error } = await supabase
-        .from("tasks")
-        .update({ title })
-        .eq("id", id)
-        .eq("user_id", user.id);
+    // Every task gets the same patch, so the selection is completed in one request; recurring
+    // tasks are rolled over after it, and dropped with it if it fails (see SyncQueue#group).
+    if (rolledOver.length) operations.unshift({ type: "update", changes: rolledOver });
+    return [{ type: "update", changes }, ...operations];
+  }
 
-      if (error) {
-        setTasks(prevTasks);
-        setRemoteError(error.message);
-      }
+  function toggleTask(id) {
+    const current = tasks.find((t) => t.id === id);
+    if (!current || !canEdit) return;
+    history.perform(current.done ? "history.uncheck" : "history.check", completionOperations([id], !current.done));
+  }
+
+  // Into the trash where the database has one, otherwise deleted outright.
+  function deleteTasks(label, ids) {
+    if (!canTrash) {
+      history.perform(label, [{ type: "remove", ids }]);
       return;
     }
+    const deletedAt = new Date().toISOString();
+    history.perform(label, [{ type: "update", changes: ids.map((id) => [id, { deletedAt }]) }]);
+  }
 
-    setTasks((prev) => prev.map((t) => (t.id === id ? { ...t, title } : t)));
-    cancelEditing();
+  function removeTask(id) {
+    if (!canEdit) return;
+    deleteTasks("history.removeTask", withSubtasks(tasks, [id]));
+    setUndoToast({ message: tr(canTrash ? "toast.taskTrashed" : "toast.taskRemoved"), action: "undo" });
   }
 
-  async function signIn() {
-    if (!isSupabaseReady) return;
-    const trimmedEmail = email.trim();
-    if (!trimmedEmail || !password) return;
+  function clearCompleted() {
+    // Completed parents take their subtasks along, whatever their state.
+    const ids = withSubtasks(tasks, tasks.filter((t) => t.done).map((t) => t.id));
+    if (!ids.length || !canEdit) return;
+    deleteTasks("history.clearCompleted", ids);
+    setUndoToast({
+      message: tr(canTrash ? "toast.tasksTrashed" : "toast.tasksRemoved", { count: ids.length }),
+      action: "undo",
+    });
+  }
 
-    setAuthError("");
-    setAuthInfo("");
+  function startSelecting() {
+    setSelecting(true);
+    setSelectedIds([]);
+    setSelectionAnchor(null);
+  }
 
-    const { error } = await supabase.auth.signInWithPassword({
-      email: trimmedEmail,
-      password,
-    });
+  function stopSelecting() {
+    setSelecting(false);
+    setSelectedIds([]);
+    setSelectionAnchor(null);
+  }
 
-    if (error) {
-      setAuthError(error.message);
+  // A shift-click sets every row between it and the anchor to the anchor's state.
+  function toggleSelected(id, extendRange) {
+    const from = filteredTasks.findIndex((t) => t.id === selectionAnchor);
+    const to = filteredTasks.findIndex((t) => t.id === id);
+    if (!extendRange || from < 0) {
+      setSelectedIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+      setSelectionAnchor(id);
       return;
     }
 
-    setAuthInfo("Вы вошли.");
+    const range = filteredTasks.slice(Math.min(from, to), Math.max(from, to) + 1).map((t) => t.id);
+    const select = selectedIds.includes(selectionAnchor);
+    setSelectedIds((prev) => (select ? [...new Set([...prev, ...range])] : prev.filter((x) => !range.includes(x))));
   }
 
-  async function signUp() {
-    if (!isSupabaseReady) return;
-    const trimmedEmail = email.trim();
-    if (!trimmedEmail || !password) return;
+  function completeSelected(done) {
+    if (!canEdit || !selection.length) return;
+    history.perform(
+      done ? "history.checkMany" : "history.uncheckMany",
+      completionOperations(
+        selection.map((t) => t.id),
+        done
+      )
+    );
+  }
 
-    setAuthError("");
-    setAuthInfo("");
+  function prioritizeSelected(priority) {
+    const changes = selection.filter((t) => taskPriority(t) !== priority).map((t) => [t.id, { priority }]);
+    if (!canEdit || !changes.length) return;
+    history.perform("history.prioritize", [{ type: "update", changes }]);
+  }
 
-    const { error } = await supabase.auth.signUp({
-      email: trimmedEmail,
-      password,
+  // Subtasks belong to their parent's list: they move along with it, and one
+  // selected without its parent stays.
+  function moveSelected(listId) {
+    const ids = withSubtasks(
+      tasks,
+      selection.filter((t) => rootTasks.includes(t)).map((t) => t.id)
+    );
+    if (!canEdit || !ids.length) return;
+    history.perform("history.moveTasks", [{ type: "update", changes: ids.map((id) => [id, { listId }]) }]);
+    setSelectedIds([]);
+    const target = moveTargets.find((l) => l.id === listId) ?? INBOX;
+    setUndoToast({ message: tr("toast.tasksMoved", { count: ids.length, list: listName(target) }), action: "undo" });
+  }
+
+  function deleteSelected() {
+    const ids = withSubtasks(
+      tasks,
+      selection.map((t) => t.id)
+    );
+    if (!canEdit || !ids.length) return;
+    deleteTasks("history.removeTasks", ids);
+    setSelectedIds([]);
+    setUndoToast({
+      message: tr(canTrash ? "toast.tasksTrashed" : "toast.tasksRemoved", { count: ids.length }),
+      action: "undo",
     });
+  }
 
-    if (error) {
-      setAuthError(error.message);
-      return;
-    }
+  function restoreFromTrash(ids) {
+    history.perform("history.restore", [{ type: "update", changes: ids.map((id) => [id, { deletedAt: null }]) }]);
+    setUndoToast({ message: tr("toast.tasksRestored", { count: ids.length }), action: "undo" });
+  }
 
-    setAuthInfo("Регистрация успешна. Теперь войдите.");
+  // Undo puts the tasks back in the trash (as new rows when signed in).
+  function purgeFromTrash(ids) {
+    history.perform("history.purge", [{ type: "remove", ids }]);
+    setUndoToast({ message: tr("toast.tasksRemoved", { count: ids.length }), action: "undo" });
   }
 
-  async function signOut() {
-    if (!isSupabaseReady) return;
-    setAuthError("");
-    setAuthInfo("");
-    const { error } = await supabase.auth.signOut();
-    if (error) setAuthError(error.message);
+  function emptyTrash() {
+    const ids = trash.filter((entry) => entry.editable).flatMap((entry) => entry.ids);
+    if (!ids.length || !window.confirm(tr("trash.confirmEmpty", { count: ids.length }))) return;
+    purgeFromTrash(ids);
   }
 
-  return (
-    <div
-      style={{
-        minHeight: "100vh",
-        display: "grid",
-        placeItems: "center",
-        padding: 24,
+  // A shorter time purges the tasks already past it straight away, so that needs a yes.
+  function changeTrashDays(days) {
+    const editable = storedTasks.filter((t) => canEditListOf(t, lists, members, userId));
+    const purged = expiredTrash(editable, days, Date.now()).length;
+    if (purged && !window.confirm(tr("trash.confirmShorten", { count: purged }))) return;
+    setTrashDays(days);
+    saveTrashDays(days);
+  }
+
+  function undo() {
+    setUndoToast(stepHistory(history, "undo"));
+  }
+
+  function redo() {
+    setUndoToast(stepHistory(history, "redo"));
+  }
+
+  function highlightTask(task) {
+    setCursorId(task.id);
+    document.querySelector(`[data-task-id="${CSS.escape(String(task.id))}"]`)?.scrollIntoView({ block: "nearest" });
+  }
+
+  function moveCursor(offset) {
+    if (!filteredTasks.length) return;
+    const index = filteredTasks.indexOf(cursorTask);
+    // Without a highlight, j starts at the top and k at the bottom.
+    const from = index >= 0 ? index : offset > 0 ? -1 : filteredTasks.length;
+    highlightTask(filteredTasks[Math.min(Math.max(from + offset, 0), filteredTasks.length - 1)]);
+  }
+
+  // The highlight moves on to the next row that survives the removal.
+  function removeCursorTask() {
+    if (!cursorTask || !canEdit) return;
+    const removed = withSubtasks(tasks, [cursorTask.id]);
+    const index = filteredTasks.indexOf(cursorTask);
+    const remaining = (t) => !removed.includes(t.id);
+    const next =
+      filteredTasks.slice(index + 1).find(remaining) ?? filteredTasks.slice(0, index).reverse().find(remaining);
+    removeTask(cursorTask.id);
+    setCursorId(next?.id ?? null);
+  }
+
+  function focusSearch() {
+    searchInputRef.current?.focus();
+    searchInputRef.current?.select();
+  }
+
+  function openPalette() {
+    setPaletteOpen(true);
+    setPaletteQuery("");
+    setPaletteIndex(0);
+    setHelpOpen(false);
+    setStatsOpen(false);
+    setTrashOpen(false);
+  }
+
+  function closePalette() {
+    setPaletteOpen(false);
+  }
+
+  function runShortcut(action) {
+    if (action === "palette") {
+      if (paletteOpen) closePalette();
+      else openPalette();
+    } else if (action === "help") setHelpOpen((prev) => !prev);
+    else if (action === "escape") {
+      if (helpOpen) setHelpOpen(false);
+      else if (statsOpen) setStatsOpen(false);
+      else if (trashOpen) setTrashOpen(false);
+      else if (detailsId !== null) closeDetails();
+      else if (selecting) stopSelecting();
+      else setCursorId(null);
+    } else if (action === "undo") undo();
+    else if (action === "redo") redo();
+    else if (action === "next") moveCursor(1);
+    else if (action === "previous") moveCursor(-1);
+    else if (action === "toggle") {
+      if (cursorTask) toggleTask(cursorTask.id);
+    } else if (action === "edit") {
+      if (cursorTask) startEditing(cursorTask);
+    } else if (action === "details") {
+      if (cursorTask) toggleDetails(cursorTask.id);
+    } else if (action === "delete") removeCursorTask();
+    else if (action === "search") focusSearch();
+    else if (action.startsWith("filter-")) setFilter(action.slice("filter-".length));
+  }
+
+  // Everything the palette can run. Unavailable commands are left out rather than shown disabled.
+  const commands = [
+    { id: "add", label: tr("commands.add"), enabled: canEdit, run: () => addInputRef.current?.focus() },
+    { id: "search", label: tr("commands.search"), keys: "/", run: focusSearch },
+    ...Object.values(FILTERS).map((key, i) => ({
+      id: `filter-${key}`,
+      label: tr("commands.show", { filter: tr(`filters.${key}`) }),
+      keys: i < 3 ? String(i + 1) : undefined,
+      run: () => setFilter(key),
+    })),
+    ...Object.values(SORTS).map((key) => ({
+      id: `sort-${key}`,
+      label: tr(`commands.sort.${key}`),
+      enabled: sort !== key,
+      run: () => setSort(key),
+    })),
+    ...[INBOX, ...sortedLists].map((list) => ({
+      id: `list-${list.id}`,
+      label: tr("commands.openList", { name: listName(list) }),
+      run: () => setSelectedListId(list.id),
+    })),
+    {
+      id: "toggle",
+      label: tr(cursorTask?.done ? "commands.uncheck" : "commands.check"),
+      keys: "x",
+      enabled: Boolean(cursorTask) && canEdit,
+      run: () => toggleTask(cursorTask.id),
+    },
+    {
+      id: "edit",
+      label: tr("commands.edit"),
+      keys: "e",
+      enabled: Boolean(cursorTask) && canEdit,
+      run: () => startEditing(cursorTask),
+    },
+    {
+      id: "details",
+      label: tr(detailsId === cursorTask?.id ? "commands.closeDetails" : "commands.details"),
+      keys: "o",
+      enabled: Boolean(cursorTask),
+      run: () => toggleDetails(cursorTask.id),
+    },
+    {
+      id: "delete",
+      label: tr("commands.delete"),
+      keys: "d",
+      enabled: Boolean(cursorTask) && canEdit,
+      run: removeCursorTask,
+    },
+    {
+      id: "undo",
+      label: tr("commands.undo", { action: tr(historyState.undoLabel) }),
+      keys: "Ctrl+Z",
+      enabled: Boolean(historyState.undoLabel),
+      run: undo,
+    },
+    {
+      id: "redo",
+      label: tr("commands.redo", { action: tr(historyState.redoLabel) }),
+      keys: "Ctrl+Shift+Z",
+      enabled: Boolean(historyState.redoLabel),
+      run: redo,
+    },
+    { id: "clear-completed", label: tr("commands.clearCompleted"), enabled: canClearCompleted, run: clearCompleted },
+    ...Object.entries(TRANSFER_FORMATS).map(([format, { label }]) => ({
+      id: `export-${format}`,
+      label: tr("commands.export", { format: label }),
+      enabled: filteredTasks.length > 0,
+      run: () => exportTasks(format),
+    })),
+    { id: "help", label: tr("commands.help"), keys: "?", run: () => setHelpOpen(true) },
+    { id: "stats", label: tr("commands.stats"), run: () => setStatsOpen(true) },
+    { id: "trash", label: tr("commands.trash"), run: () => setTrashOpen(true) },
+    {
+      id: "select",
+      label: tr(selecting ? "commands.stopSelecting" : "commands.select"),
+      enabled: canEdit,
+      run: selecting ? stopSelecting : startSelecting,
+    },
+    ...Object.entries(LOCALES).map(([code, { label }]) => ({
+      id: `locale-${code}`,
+      label: tr("commands.language", { language: label }),
+      enabled: code !== locale,
+      run: () => setLocale(code),
+    })),
+    { id: "sign-out", label: tr("commands.signOut"), enabled: Boolean(user), run: signOut },
+  ].filter((command) => command.enabled !== false);
+  const paletteCommands = paletteOpen ? filterCommands(commands, paletteQuery) : [];
+
+  function runCommand(command) {
+    closePalette();
+    command?.run();
+  }
+
+  function handlePaletteKeyDown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const offset = e.key === "ArrowDown" ? 1 : -1;
+      setPaletteIndex((prev) => (prev + offset + paletteCommands.length) % Math.max(paletteCommands.length, 1));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      runCommand(paletteCommands[paletteIndex]);
+    } else if (e.key === "Escape") {
+      closePalette();
+    }
+  }
+
+  // Subtasks are ordered among their siblings, top-level tasks among each other.
+  function siblingsOf(task) {
+    if (subtaskGroups.get(task.parentId)?.includes(task)) return subtaskGroups.get(task.parentId);
+    return [...rootTasks].sort(compareByPosition);
+  }
+
+  function moveTaskTo(id, targetId, placeAfter) {
+    const task = tasks.find((t) => t.id === id);
+    if (!task) return;
+    const changes = moveChanges(siblingsOf(task), id, targetId, placeAfter);
+    if (changes.length) history.perform("history.moveTask", [{ type: "update", changes }]);
+  }
+
+  // Keyboard reordering: one step past the neighbouring visible sibling.
+  function moveTaskBy(id, offset) {
+    const task = tasks.find((t) => t.id === id);
+    if (!task || !canReorder) return;
+    const siblings = siblingsOf(task);
+    const visible = filteredTasks.filter((t) => siblings.includes(t));
+    const target = visible[visible.indexOf(task) + offset];
+    if (target) moveTaskTo(id, target.id, offset > 0);
+  }
+
+  function startDrag(e, task) {
+    if (!canReorder || e.button > 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ id: task.id, overId: null, placeAfter: false });
+  }
+
+  function updateDrag(e) {
+    if (!drag) return;
+    // The handle holds pointer capture, so look up the row under the pointer by position.
+    const row = document.elementFromPoint(e.clientX, e.clientY)?.closest("[data-task-id]");
+    const target = row && filteredTasks.find((t) => String(t.id) === row.dataset.taskId);
+    const dragged = tasks.find((t) => t.id === drag.id);
+    if (!target || !dragged || !siblingsOf(dragged).includes(target)) return;
+
+    const rect = row.getBoundingClientRect();
+    const placeAfter = e.clientY > rect.top + rect.height / 2;
+    if (drag.overId !== target.id || drag.placeAfter !== placeAfter) {
+      setDrag({ ...drag, overId: target.id, placeAfter });
+    }
+  }
+
+  function endDrag() {
+    if (drag?.overId != null) moveTaskTo(drag.id, drag.overId, drag.placeAfter);
+    setDrag(null);
+  }
+
+  function startSubtask(parentId) {
+    if (!canEdit) return;
+    setSubtaskParentId(parentId);
+    setSubtaskText("");
+  }
+
+  function cancelSubtask() {
+    setSubtaskParentId(null);
+    setSubtaskText("");
+  }
+
+  function addSubtask() {
+    if (!canEdit) return;
+    const title = subtaskText.trim();
+    const parent = tasks.find((t) => t.id === subtaskParentId);
+    if (!title || !parent) {
+      cancelSubtask();
+      return;
+    }
+
+    const record = {
+      title,
+      tags: extractTags(title),
+      done: false,
+      dueDate: null,
+      dueTime: null,
+      listId: parent.listId ?? INBOX.id,
+      parentId: parent.id,
+      position: newBottomPosition(subtaskGroups.get(parent.id) ?? []),
+      priority: DEFAULT_PRIORITY,
+      createdBy: userId,
+      createdAt: new Date().toISOString(),
+    };
+    const operations = [{ type: "insert", records: [record] }];
+    if (parent.done) {
+      // A new open step means the parent isn't finished any more.
+      const reopened = { done: false, completedAt: null };
+      const reopen = userId ? { ...reopened, completedBy: null } : reopened;
+      operations.push({ type: "update", changes: [[parent.id, reopen]] });
+    }
+    history.perform("history.addSubtask", operations);
+    setSubtaskText("");
+  }
+
+  function startEditing(task) {
+    if (!canEdit) return;
+    setEditingId(task.id);
+    setEditingText(task.title);
+    setEditingDueDate(task.dueDate ?? "");
+    setEditingDueTime(task.dueTime ?? "");
+    setEditingRecurrence(task.recurrence ?? null);
+    setEditingPriority(taskPriority(task));
+  }
+
+  function cancelEditing() {
+    setEditingId(null);
+    setEditingText("");
+    setEditingDueDate("");
+    setEditingDueTime("");
+    setEditingRecurrence(null);
+    setEditingPriority(DEFAULT_PRIORITY);
+  }
+
+  // Notes are saved straight to the repository rather than through the undo
+  // history, which would otherwise get a step for every pause in typing.
+  function saveNotes(id, notes) {
+    const task = storedTasks.find((t) => t.id === id);
+    if (!task || (task.notes ?? "") === notes) return;
+    taskRepository.update(id, { notes, updatedAt: new Date().toISOString() });
+  }
+
+  function startNotes(task) {
+    setNotesDraft({ id: task.id, text: task.notes ?? "" });
+  }
+
+  function finishNotes() {
+    if (notesDraft) saveNotes(notesDraft.id, notesDraft.text);
+    setNotesDraft(null);
+  }
+
+  function toggleDetails(id) {
+    finishNotes();
+    setDetailsId((prev) => (prev === id ? null : id));
+  }
+
+  function closeDetails() {
+    finishNotes();
+    setDetailsId(null);
+  }
+
+  function toggleNotesItem(task, line) {
+    saveNotes(task.id, toggleChecklistItem(task.notes ?? "", line));
+  }
+
+  function changeEditingRecurrence(type) {
+    setEditingRecurrence((prev) => (type ? { days: [], every: 2, ...prev, type } : null));
+  }
+
+  function toggleEditingRecurrenceDay(day) {
+    setEditingRecurrence((prev) => ({
+      ...prev,
+      days: prev.days?.includes(day) ? prev.days.filter((d) => d !== day) : [...(prev.days ?? []), day],
+    }));
+  }
+
+  function saveEditing(id) {
+    const title = editingText.trim();
+    if (!title) {
+      cancelEditing();
+      return;
+    }
+
+    const current = tasks.find((t) => t.id === id);
+    const dueDate = editingDueDate || null;
+    const dueTime = editingDueDate && editingDueTime ? editingDueTime : null;
+    const patch = {};
+    if (current?.title !== title) {
+      patch.title = title;
+      patch.tags = extractTags(title);
+    }
+    if ((current?.dueDate ?? null) !== dueDate) patch.dueDate = dueDate;
+    if ((current?.dueTime ?? null) !== dueTime) patch.dueTime = dueTime;
+    const recurrence = normalizeRecurrence(editingRecurrence, dueDate);
+    if (!isSameRecurrence(current?.recurrence, recurrence)) patch.recurrence = recurrence;
+    if (current && taskPriority(current) !== editingPriority) patch.priority = editingPriority;
+
+    if (current && Object.keys(patch).length) {
+      patch.updatedAt = new Date().toISOString();
+      history.perform("history.editTask", [{ type: "update", changes: [[id, patch]] }]);
+    }
+    cancelEditing();
+  }
+
+  function discardTaskChanges(id) {
+    setRemoteError("");
+    taskRepository.discard(id)?.catch((e) => setRemoteError(e?.message || tr("errors.load")));
+  }
+
+  function changeAuthMode(mode) {
+    setAuthMode(mode);
+    setAuthError("");
+    setAuthInfo("");
+  }
+
+  async function signIn() {
+    if (!isSupabaseReady) return;
+    const trimmedEmail = email.trim();
+    if (!trimmedEmail || !password) return;
+
+    setAuthError("");
+    setAuthInfo("");
+
+    const { error } = await supabase.auth.signInWithPassword({
+      email: trimmedEmail,
+      password,
+    });
+
+    if (isEmailNotConfirmed(error)) {
+      setAwaitingConfirmation(trimmedEmail);
+      return;
+    }
+    if (error) setAuthError(authErrorMessage(error));
+  }
+
+  async function signUp() {
+    if (!isSupabaseReady) return;
+    const trimmedEmail = email.trim();
+    if (!trimmedEmail || !password) return;
+
+    setAuthError("");
+    setAuthInfo("");
+
+    const result = await signUpWithPassword(supabase, trimmedEmail, password);
+    if (result.error) {
+      setAuthError(result.error);
+      return;
+    }
+
+    // "signed-in" needs nothing more: the session arrives through onAuthStateChange.
+    if (result.status === "confirm") setAwaitingConfirmation(trimmedEmail);
+    else if (result.status === "exists") setAuthError(tr("auth.emailTaken"));
+  }
+
+  // Magic link or password reset, depending on the mode.
+  async function sendAuthLink() {
+    if (!isSupabaseReady) return;
+    const trimmedEmail = email.trim();
+    if (!trimmedEmail) return;
+
+    setAuthError("");
+    setAuthInfo("");
+
+    const error =
+      authMode === "magic"
+        ? await sendMagicLink(supabase, trimmedEmail)
+        : await sendPasswordReset(supabase, trimmedEmail);
+    if (error) {
+      setAuthError(error);
+      return;
+    }
+
+    setAuthInfo(
+      authMode === "magic"
+        ? tr("auth.magicLinkSent", { email: trimmedEmail })
+        : tr("auth.resetSent", { email: trimmedEmail })
+    );
+  }
+
+  function submitAuth() {
+    if (authMode === "password") signIn();
+    else sendAuthLink();
+  }
+
+  async function resendConfirmationEmail() {
+    if (!isSupabaseReady || !awaitingConfirmation) return;
+    setAuthError("");
+    setAuthInfo("");
+    const error = await resendConfirmation(supabase, awaitingConfirmation);
+    if (error) setAuthError(error);
+    else setAuthInfo(tr("auth.resent"));
+  }
+
+  function cancelConfirmation() {
+    setAwaitingConfirmation("");
+    setAuthError("");
+    setAuthInfo("");
+  }
+
+  async function signInWith(provider) {
+    if (!isSupabaseReady) return;
+    setAuthError("");
+    setAuthInfo("");
+    const error = await signInWithProvider(supabase, provider);
+    if (error) setAuthError(error);
+  }
+
+  async function saveNewPassword() {
+    if (!isSupabaseReady) return;
+    if (newPassword.length < 6) {
+      setAuthError(tr("auth.passwordTooShort"));
+      return;
+    }
+
+    setAuthError("");
+    setAuthInfo("");
+
+    const error = await updatePassword(supabase, newPassword);
+    if (error) {
+      setAuthError(error);
+      return;
+    }
+
+    setRecovering(false);
+    setNewPassword("");
+    setAuthInfo(tr("auth.passwordUpdated"));
+  }
+
+  function skipNewPassword() {
+    setRecovering(false);
+    setNewPassword("");
+    setAuthError("");
+  }
+
+  async function signOut() {
+    if (!isSupabaseReady) return;
+    setAuthError("");
+    setAuthInfo("");
+    setRecovering(false);
+    const { error } = await supabase.auth.signOut();
+    if (error) setAuthError(authErrorMessage(error));
+  }
+
+  return (
+    <div
+      style={{
+        minHeight: "100vh",
+        display: "grid",
+        placeItems: "center",
+        padding: 24,
         background: "linear-gradient(160deg, #0f1115 0%, #181b21 60%, #111318 100%)",
         color: "#e7eaf0",
       }}
@@ -365,16 +1699,319 @@ export default function App() {
       >
         <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12 }}>
           <div>
-            <h1 style={{ margin: 0, fontSize: 26, letterSpacing: 0.2 }}>Список дел</h1>
-            <p style={{ marginTop: 6, color: "#9aa3b2", fontSize: 13 }}>
-              Добавляй задачи и отмечай выполненное — всё под рукой.
-            </p>
+            <h1 style={{ margin: 0, fontSize: 26, letterSpacing: 0.2 }}>{tr("app.title")}</h1>
+            <p style={{ marginTop: 6, color: "#9aa3b2", fontSize: 13 }}>{tr("app.subtitle")}</p>
           </div>
-          <div style={{ fontSize: 12, color: "#9aa3b2", whiteSpace: "nowrap" }}>
-            Сделано: <b style={{ color: "#e7eaf0" }}>{doneCount}</b> / <b>{tasks.length}</b>
+          <div style={{ display: "grid", justifyItems: "end", gap: 6 }}>
+            <div style={{ display: "flex", gap: 6 }}>
+              <button
+                onClick={() => setTrashOpen(true)}
+                title={tr("trash.title")}
+                style={{
+                  padding: "4px 8px",
+                  borderRadius: 8,
+                  border: "1px solid rgba(255,255,255,0.08)",
+                  background: "transparent",
+                  color: "#8b96a8",
+                  cursor: "pointer",
+                  fontSize: 12,
+                }}
+              >
+                🗑{trash.length ? ` ${trash.length}` : ""}
+              </button>
+              <button
+                onClick={() => setStatsOpen(true)}
+                title={tr("stats.title")}
+                style={{
+                  padding: "4px 8px",
+                  borderRadius: 8,
+                  border: "1px solid rgba(255,255,255,0.08)",
+                  background: "transparent",
+                  color: "#8b96a8",
+                  cursor: "pointer",
+                  fontSize: 12,
+                }}
+              >
+                📊
+              </button>
+              <select
+                value={locale}
+                onChange={(e) => setLocale(e.target.value)}
+                aria-label={tr("app.language")}
+                style={{
+                  padding: "4px 8px",
+                  borderRadius: 8,
+                  border: "1px solid rgba(255,255,255,0.08)",
+                  background: "transparent",
+                  color: "#8b96a8",
+                  fontSize: 12,
+                }}
+              >
+                {Object.entries(LOCALES).map(([code, { label }]) => (
+                  <option key={code} value={code}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div style={{ fontSize: 12, color: "#9aa3b2", whiteSpace: "nowrap" }}>
+              {richText(
+                "app.doneCounter",
+                { done: <b style={{ color: "#e7eaf0" }}>{doneCount}</b>, total: <b>{rootTasks.length}</b> },
+                { count: rootTasks.length }
+              )}
+            </div>
           </div>
         </div>
 
+        <div style={{ marginTop: 12, display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center" }}>
+          {[INBOX, ...sortedLists].map((list) => {
+            const isActive = activeListId === list.id;
+            const counter = listCounters[String(list.id)] ?? { done: 0, total: 0 };
+            const isShared = members.some((m) => m.listId === list.id && m.role !== LIST_ROLES.owner);
+
+            if (listDraft === list.id && list.id !== INBOX.id) {
+              return (
+                <input
+                  key={String(list.id)}
+                  value={listDraftName}
+                  onChange={(e) => setListDraftName(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") saveListDraft();
+                    if (e.key === "Escape") cancelListDraft();
+                  }}
+                  onBlur={saveListDraft}
+                  autoFocus
+                  style={{
+                    width: 140,
+                    padding: "6px 10px",
+                    borderRadius: 10,
+                    border: "1px solid rgba(255,255,255,0.12)",
+                    background: "#0f1115",
+                    color: "#e7eaf0",
+                    outline: "none",
+                    fontSize: 12,
+                  }}
+                />
+              );
+            }
+
+            return (
+              <button
+                key={String(list.id)}
+                onClick={() => setSelectedListId(list.id)}
+                onDoubleClick={() => list.id !== INBOX.id && startListDraft(list.id)}
+                style={{
+                  padding: "6px 10px",
+                  borderRadius: 10,
+                  border: "1px solid rgba(255,255,255,0.08)",
+                  background: isActive ? "#1b2330" : "transparent",
+                  color: isActive ? "#e7eaf0" : "#8b96a8",
+                  cursor: "pointer",
+                  fontSize: 12,
+                  fontWeight: isActive ? 700 : 500,
+                }}
+              >
+                {isShared ? "👥 " : ""}
+                {listName(list)}{" "}
+                <span style={{ color: "#667386", fontWeight: 500 }}>
+                  {counter.done}/{counter.total}
+                </span>
+              </button>
+            );
+          })}
+
+          {listDraft === null ? (
+            <input
+              value={listDraftName}
+              onChange={(e) => setListDraftName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") saveListDraft();
+                if (e.key === "Escape") cancelListDraft();
+              }}
+              onBlur={saveListDraft}
+              autoFocus
+              placeholder={tr("lists.namePlaceholder")}
+              style={{
+                width: 140,
+                padding: "6px 10px",
+                borderRadius: 10,
+                border: "1px solid rgba(255,255,255,0.12)",
+                background: "#0f1115",
+                color: "#e7eaf0",
+                outline: "none",
+                fontSize: 12,
+              }}
+            />
+          ) : canUseLists ? (
+            <button
+              onClick={() => startListDraft(null)}
+              style={{
+                padding: "6px 10px",
+                borderRadius: 10,
+                border: "1px dashed rgba(255,255,255,0.12)",
+                background: "transparent",
+                color: "#8b96a8",
+                cursor: "pointer",
+                fontSize: 12,
+              }}
+            >
+              {tr("lists.add")}
+            </button>
+          ) : null}
+
+          {activeListId !== INBOX.id && listDraft === undefined ? (
+            <div style={{ display: "flex", gap: 2, marginLeft: "auto" }}>
+              {[
+                { label: "✏️", title: tr("lists.rename"), onClick: () => startListDraft(activeListId), ownerOnly: true },
+                { label: "◀", title: tr("lists.moveLeft"), onClick: () => moveList(activeListId, -1), ownerOnly: true },
+                { label: "▶", title: tr("lists.moveRight"), onClick: () => moveList(activeListId, 1), ownerOnly: true },
+                { label: "👥", title: tr("lists.sharing"), onClick: () => setSharingOpen((prev) => !prev), hidden: !canShare },
+                { label: "🗑️", title: tr("lists.delete"), onClick: () => deleteList(activeListId), ownerOnly: true },
+              ]
+                .filter((action) => !action.hidden && (!action.ownerOnly || activeRole === LIST_ROLES.owner))
+                .map((action) => (
+                  <button
+                    key={action.title}
+                    onClick={action.onClick}
+                    title={action.title}
+                    style={{
+                      border: "none",
+                      background: "transparent",
+                      cursor: "pointer",
+                      fontSize: 13,
+                      color: "#9aa3b2",
+                    }}
+                  >
+                    {action.label}
+                  </button>
+                ))}
+            </div>
+          ) : null}
+        </div>
+
+        {canShare && sharingOpen && activeListId !== INBOX.id ? (
+          <div style={{ marginTop: 10, padding: 12, borderRadius: 12, background: "#141922", fontSize: 13 }}>
+            <div style={{ color: "#cfd6e3" }}>
+              {activeRole === LIST_ROLES.owner
+                ? tr("sharing.title")
+                : tr("sharing.yourRole", { role: roleLabel(activeRole) })}
+            </div>
+
+            <div style={{ marginTop: 8, display: "grid", gap: 4 }}>
+              {activeMembers.map((member) => (
+                <div key={member.id} style={{ display: "flex", alignItems: "center", gap: 8, color: "#e7eaf0" }}>
+                  <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis" }}>
+                    {member.email}
+                    {member.userId === userId ? ` (${tr("sharing.you")})` : ""}
+                  </span>
+                  {activeRole === LIST_ROLES.owner && member.role !== LIST_ROLES.owner ? (
+                    <>
+                      <select
+                        value={member.role}
+                        onChange={(e) => memberRepository.update(member.id, { role: e.target.value })}
+                        style={{
+                          padding: "4px 8px",
+                          borderRadius: 8,
+                          border: "1px solid rgba(255,255,255,0.08)",
+                          background: "transparent",
+                          color: "#cfd6e3",
+                          fontSize: 12,
+                        }}
+                      >
+                        <option value={LIST_ROLES.editor}>{roleLabel(LIST_ROLES.editor)}</option>
+                        <option value={LIST_ROLES.viewer}>{roleLabel(LIST_ROLES.viewer)}</option>
+                      </select>
+                      <button
+                        onClick={() => memberRepository.remove([member.id])}
+                        title={tr("sharing.revoke")}
+                        style={{ border: "none", background: "transparent", cursor: "pointer", color: "#9aa3b2" }}
+                      >
+                        ✕
+                      </button>
+                    </>
+                  ) : (
+                    <span style={{ fontSize: 12, color: "#8b96a8" }}>{roleLabel(member.role)}</span>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            {activeRole === LIST_ROLES.owner ? (
+              <div style={{ marginTop: 10, display: "flex", gap: 6, flexWrap: "wrap" }}>
+                <input
+                  type="email"
+                  value={inviteEmail}
+                  onChange={(e) => setInviteEmail(e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && invite()}
+                  placeholder={tr("sharing.emailPlaceholder")}
+                  style={{
+                    flex: 1,
+                    minWidth: 160,
+                    padding: "6px 10px",
+                    borderRadius: 10,
+                    border: "1px solid rgba(255,255,255,0.08)",
+                    background: "#0f1115",
+                    color: "#e7eaf0",
+                    outline: "none",
+                    fontSize: 12,
+                  }}
+                />
+                <select
+                  value={inviteRole}
+                  onChange={(e) => setInviteRole(e.target.value)}
+                  style={{
+                    padding: "6px 10px",
+                    borderRadius: 10,
+                    border: "1px solid rgba(255,255,255,0.08)",
+                    background: "transparent",
+                    color: "#cfd6e3",
+                    fontSize: 12,
+                  }}
+                >
+                  <option value={LIST_ROLES.editor}>{roleLabel(LIST_ROLES.editor)}</option>
+                  <option value={LIST_ROLES.viewer}>{roleLabel(LIST_ROLES.viewer)}</option>
+                </select>
+                <button
+                  onClick={invite}
+                  disabled={!isOnline}
+                  style={{
+                    padding: "6px 10px",
+                    borderRadius: 10,
+                    border: "1px solid rgba(255,255,255,0.08)",
+                    background: "#1b2330",
+                    color: "#cfd6e3",
+                    cursor: isOnline ? "pointer" : "not-allowed",
+                    fontSize: 12,
+                    fontWeight: 700,
+                  }}
+                >
+                  {tr("sharing.invite")}
+                </button>
+              </div>
+            ) : (
+              <button
+                onClick={leaveActiveList}
+                disabled={!isOnline}
+                style={{
+                  marginTop: 10,
+                  padding: "6px 10px",
+                  borderRadius: 10,
+                  border: "1px solid rgba(255,255,255,0.08)",
+                  background: "transparent",
+                  color: "#cfd6e3",
+                  cursor: isOnline ? "pointer" : "not-allowed",
+                  fontSize: 12,
+                }}
+              >
+                {tr("sharing.leave")}
+              </button>
+            )}
+
+            {sharingError ? <div style={{ marginTop: 8, fontSize: 12, color: "#ffb4b4" }}>{sharingError}</div> : null}
+          </div>
+        ) : null}
+
         <div
           style={{
             marginTop: 12,
@@ -386,55 +2023,159 @@ export default function App() {
         >
           {!isSupabaseReady ? (
             <div style={{ fontSize: 12, color: "#8b96a8" }}>
-              Supabase не настроен. Добавь <code style={{ color: "#cfd6e3" }}>VITE_SUPABASE_URL</code> и{" "}
-              <code style={{ color: "#cfd6e3" }}>VITE_SUPABASE_ANON_KEY</code> в env (локально — через{" "}
-              <code style={{ color: "#cfd6e3" }}>.env</code>, на GitHub Pages — через build env), и перезапусти dev-сервер.
+              {richText("supabase.notConfigured", {
+                url: <code style={{ color: "#cfd6e3" }}>VITE_SUPABASE_URL</code>,
+                key: <code style={{ color: "#cfd6e3" }}>VITE_SUPABASE_ANON_KEY</code>,
+                env: <code style={{ color: "#cfd6e3" }}>.env</code>,
+              })}
             </div>
           ) : user ? (
-            <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 10, flexWrap: "wrap" }}>
-              <div style={{ fontSize: 12, color: "#8b96a8" }}>
-                Вход: <span style={{ color: "#e7eaf0" }}>{user.email}</span>
-              </div>
-              <button
-                onClick={signOut}
+            <>
+              <div
                 style={{
-                  padding: "6px 10px",
-                  borderRadius: 10,
-                  border: "1px solid rgba(255,255,255,0.08)",
-                  background: "transparent",
-                  color: "#cfd6e3",
-                  cursor: "pointer",
-                  fontSize: 12,
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "space-between",
+                  gap: 10,
+                  flexWrap: "wrap",
                 }}
               >
-                Выйти
-              </button>
+                <div style={{ fontSize: 12, color: "#8b96a8" }}>
+                  {richText("auth.signedInAs", { email: <span style={{ color: "#e7eaf0" }}>{user.email}</span> })}
+                  {!isOnline ? <span style={{ marginLeft: 8, color: "#ffd58a" }}>· {tr("auth.offline")}</span> : null}
+                  {syncState.pendingCount > 0 ? (
+                    <span style={{ marginLeft: 8, color: "#8b96a8" }}>
+                      · {tr("sync.pending", { count: syncState.pendingCount })}
+                    </span>
+                  ) : null}
+                </div>
+                <button
+                  onClick={signOut}
+                  style={{
+                    padding: "6px 10px",
+                    borderRadius: 10,
+                    border: "1px solid rgba(255,255,255,0.08)",
+                    background: "transparent",
+                    color: "#cfd6e3",
+                    cursor: "pointer",
+                    fontSize: 12,
+                  }}
+                >
+                  {tr("auth.signOut")}
+                </button>
+              </div>
+              {recovering ? (
+                <div style={{ marginTop: 10, paddingTop: 10, borderTop: "1px solid rgba(255,255,255,0.06)" }}>
+                  <div style={{ fontSize: 12, color: "#cfd6e3", marginBottom: 8 }}>{tr("auth.recoveryPrompt")}</div>
+                  <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+                    <input
+                      value={newPassword}
+                      type="password"
+                      autoComplete="new-password"
+                      autoFocus
+                      onChange={(e) => setNewPassword(e.target.value)}
+                      onKeyDown={(e) => e.key === "Enter" && saveNewPassword()}
+                      placeholder={tr("auth.newPasswordPlaceholder")}
+                      style={{
+                        flex: 1,
+                        minWidth: 220,
+                        padding: "10px 12px",
+                        borderRadius: 12,
+                        border: "1px solid rgba(255,255,255,0.08)",
+                        background: "#141922",
+                        color: "#e7eaf0",
+                        outline: "none",
+                        fontSize: 13,
+                      }}
+                    />
+                    <button
+                      onClick={saveNewPassword}
+                      style={{
+                        padding: "10px 12px",
+                        borderRadius: 12,
+                        border: "1px solid rgba(255,255,255,0.08)",
+                        background: "#141922",
+                        color: "#e7eaf0",
+                        cursor: "pointer",
+                        fontSize: 13,
+                        fontWeight: 700,
+                      }}
+                    >
+                      {tr("auth.savePassword")}
+                    </button>
+                    <button
+                      onClick={skipNewPassword}
+                      style={{
+                        padding: "10px 12px",
+                        borderRadius: 12,
+                        border: "1px solid rgba(255,255,255,0.08)",
+                        background: "transparent",
+                        color: "#cfd6e3",
+                        cursor: "pointer",
+                        fontSize: 13,
+                        fontWeight: 700,
+                      }}
+                    >
+                      {tr("auth.later")}
+                    </button>
+                  </div>
+                </div>
+              ) : null}
+              {authError ? <div style={{ marginTop: 8, fontSize: 12, color: "#ffb4b4" }}>{authError}</div> : null}
+              {authInfo ? <div style={{ marginTop: 8, fontSize: 12, color: "#8b96a8" }}>{authInfo}</div> : null}
+            </>
+          ) : awaitingConfirmation ? (
+            <div>
+              <div style={{ fontSize: 13, color: "#e7eaf0", fontWeight: 700 }}>{tr("auth.confirmTitle")}</div>
+              <div style={{ marginTop: 6, fontSize: 12, color: "#8b96a8" }}>
+                {richText("auth.confirmText", {
+                  email: <span style={{ color: "#e7eaf0" }}>{awaitingConfirmation}</span>,
+                })}
+              </div>
+              <div style={{ marginTop: 10, display: "flex", gap: 10, flexWrap: "wrap" }}>
+                <button
+                  onClick={resendConfirmationEmail}
+                  style={{
+                    padding: "10px 12px",
+                    borderRadius: 12,
+                    border: "1px solid rgba(255,255,255,0.08)",
+                    background: "#141922",
+                    color: "#e7eaf0",
+                    cursor: "pointer",
+                    fontSize: 13,
+                    fontWeight: 700,
+                  }}
+                >
+                  {tr("auth.resend")}
+                </button>
+                <button
+                  onClick={cancelConfirmation}
+                  style={{
+                    padding: "10px 12px",
+                    borderRadius: 12,
+                    border: "1px solid rgba(255,255,255,0.08)",
+                    background: "transparent",
+                    color: "#cfd6e3",
+                    cursor: "pointer",
+                    fontSize: 13,
+                    fontWeight: 700,
+                  }}
+                >
+                  {tr("auth.back")}
+                </button>
+              </div>
+              {authError ? <div style={{ marginTop: 8, fontSize: 12, color: "#ffb4b4" }}>{authError}</div> : null}
+              {authInfo ? <div style={{ marginTop: 8, fontSize: 12, color: "#8b96a8" }}>{authInfo}</div> : null}
             </div>
           ) : (
             <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
               <input
                 value={email}
+                type="email"
+                autoComplete="email"
                 onChange={(e) => setEmail(e.target.value)}
-                onKeyDown={(e) => e.key === "Enter" && signIn()}
-                placeholder="email"
-                style={{
-                  flex: 1,
-                  minWidth: 220,
-                  padding: "10px 12px",
-                  borderRadius: 12,
-                  border: "1px solid rgba(255,255,255,0.08)",
-                  background: "#141922",
-                  color: "#e7eaf0",
-                  outline: "none",
-                  fontSize: 13,
-                }}
-              />
-              <input
-                value={password}
-                type="password"
-                onChange={(e) => setPassword(e.target.value)}
-                onKeyDown={(e) => e.key === "Enter" && signIn()}
-                placeholder="password"
+                onKeyDown={(e) => e.key === "Enter" && submitAuth()}
+                placeholder={tr("auth.emailPlaceholder")}
                 style={{
                   flex: 1,
                   minWidth: 220,
@@ -447,55 +2188,269 @@ export default function App() {
                   fontSize: 13,
                 }}
               />
+              {authMode === "password" ? (
+                <input
+                  value={password}
+                  type="password"
+                  autoComplete="current-password"
+                  onChange={(e) => setPassword(e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && signIn()}
+                  placeholder={tr("auth.passwordPlaceholder")}
+                  style={{
+                    flex: 1,
+                    minWidth: 220,
+                    padding: "10px 12px",
+                    borderRadius: 12,
+                    border: "1px solid rgba(255,255,255,0.08)",
+                    background: "#141922",
+                    color: "#e7eaf0",
+                    outline: "none",
+                    fontSize: 13,
+                  }}
+                />
+              ) : null}
+              {authMode === "password" ? (
+                <>
+                  <button
+                    onClick={signIn}
+                    style={{
+                      padding: "10px 12px",
+                      borderRadius: 12,
+                      border: "1px solid rgba(255,255,255,0.08)",
+                      background: "#141922",
+                      color: "#e7eaf0",
+                      cursor: "pointer",
+                      fontSize: 13,
+                      fontWeight: 700,
+                    }}
+                  >
+                    {tr("auth.signIn")}
+                  </button>
+                  <button
+                    onClick={signUp}
+                    style={{
+                      padding: "10px 12px",
+                      borderRadius: 12,
+                      border: "1px solid rgba(255,255,255,0.08)",
+                      background: "transparent",
+                      color: "#cfd6e3",
+                      cursor: "pointer",
+                      fontSize: 13,
+                      fontWeight: 700,
+                    }}
+                  >
+                    {tr("auth.signUp")}
+                  </button>
+                </>
+              ) : (
+                <button
+                  onClick={sendAuthLink}
+                  style={{
+                    padding: "10px 12px",
+                    borderRadius: 12,
+                    border: "1px solid rgba(255,255,255,0.08)",
+                    background: "#141922",
+                    color: "#e7eaf0",
+                    cursor: "pointer",
+                    fontSize: 13,
+                    fontWeight: 700,
+                  }}
+                >
+                  {tr(authMode === "magic" ? "auth.sendLink" : "auth.resetPassword")}
+                </button>
+              )}
+              {OAUTH_PROVIDERS.length > 0 ? (
+                <div style={{ width: "100%", display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+                  <span style={{ fontSize: 12, color: "#667386" }}>{tr("auth.orWith")}</span>
+                  {OAUTH_PROVIDERS.map((provider) => (
+                    <button
+                      key={provider.id}
+                      onClick={() => signInWith(provider.id)}
+                      style={{
+                        padding: "6px 10px",
+                        borderRadius: 10,
+                        border: "1px solid rgba(255,255,255,0.08)",
+                        background: "#141922",
+                        color: "#e7eaf0",
+                        cursor: "pointer",
+                        fontSize: 12,
+                      }}
+                    >
+                      {provider.label}
+                    </button>
+                  ))}
+                </div>
+              ) : null}
+              <div style={{ width: "100%" }}>
+                <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+                  {authMode !== "password" ? (
+                    <button
+                      onClick={() => changeAuthMode("password")}
+                      style={{
+                        padding: 0,
+                        border: "none",
+                        background: "transparent",
+                        color: "#8b96a8",
+                        cursor: "pointer",
+                        fontSize: 12,
+                        textDecoration: "underline",
+                      }}
+                    >
+                      {tr("auth.modePassword")}
+                    </button>
+                  ) : null}
+                  {authMode !== "magic" ? (
+                    <button
+                      onClick={() => changeAuthMode("magic")}
+                      style={{
+                        padding: 0,
+                        border: "none",
+                        background: "transparent",
+                        color: "#8b96a8",
+                        cursor: "pointer",
+                        fontSize: 12,
+                        textDecoration: "underline",
+                      }}
+                    >
+                      {tr("auth.modeMagic")}
+                    </button>
+                  ) : null}
+                  {authMode !== "reset" ? (
+                    <button
+                      onClick={() => changeAuthMode("reset")}
+                      style={{
+                        padding: 0,
+                        border: "none",
+                        background: "transparent",
+                        color: "#8b96a8",
+                        cursor: "pointer",
+                        fontSize: 12,
+                        textDecoration: "underline",
+                      }}
+                    >
+                      {tr("auth.modeReset")}
+                    </button>
+                  ) : null}
+                </div>
+                {authError ? <div style={{ marginTop: 8, fontSize: 12, color: "#ffb4b4" }}>{authError}</div> : null}
+                {authInfo ? <div style={{ marginTop: 8, fontSize: 12, color: "#8b96a8" }}>{authInfo}</div> : null}
+                <div style={{ marginTop: 8, fontSize: 12, color: "#667386" }}>{tr("auth.localNote")}</div>
+              </div>
+            </div>
+          )}
+
+          {remoteError ? <div style={{ marginTop: 10, fontSize: 12, color: "#ffb4b4" }}>{remoteError}</div> : null}
+
+          {storageRecoveries.length > 0 ? (
+            <div style={{ marginTop: 10, paddingTop: 10, borderTop: "1px solid rgba(255,255,255,0.06)" }}>
+              {storageRecoveries.map((recovery) => (
+                <div key={recovery.storageKey} style={{ fontSize: 12, color: "#ffd58a", marginBottom: 6 }}>
+                  {tr("storage.readPartially", {
+                    collection: tr(recovery.storageKey === STORAGE_KEY ? "storage.tasks" : "storage.lists"),
+                    problem: tr(`storage.problem.${recovery.problem}`, { count: recovery.dropped }),
+                  })}{" "}
+                  {recovery.backupKey ? (
+                    <>
+                      {richText("storage.backupSaved", {
+                        key: <code style={{ color: "#cfd6e3" }}>{recovery.backupKey}</code>,
+                      })}{" "}
+                      <button
+                        onClick={() => downloadBackup(recovery.backupKey)}
+                        style={{
+                          padding: 0,
+                          border: "none",
+                          background: "transparent",
+                          color: "#cfd6e3",
+                          cursor: "pointer",
+                          fontSize: 12,
+                          textDecoration: "underline",
+                        }}
+                      >
+                        {tr("storage.downloadBackup")}
+                      </button>
+                    </>
+                  ) : (
+                    tr("storage.backupFailed")
+                  )}
+                </div>
+              ))}
               <button
-                onClick={signIn}
-                style={{
-                  padding: "10px 12px",
-                  borderRadius: 12,
-                  border: "1px solid rgba(255,255,255,0.08)",
-                  background: "#141922",
-                  color: "#e7eaf0",
-                  cursor: "pointer",
-                  fontSize: 13,
-                  fontWeight: 700,
-                }}
-              >
-                Войти
-              </button>
-              <button
-                onClick={signUp}
+                onClick={() => setDismissedRecovery(repositories)}
                 style={{
-                  padding: "10px 12px",
-                  borderRadius: 12,
+                  padding: "6px 10px",
+                  borderRadius: 10,
                   border: "1px solid rgba(255,255,255,0.08)",
                   background: "transparent",
                   color: "#cfd6e3",
                   cursor: "pointer",
-                  fontSize: 13,
-                  fontWeight: 700,
+                  fontSize: 12,
                 }}
               >
-                Регистрация
+                {tr("storage.dismiss")}
               </button>
-              <div style={{ width: "100%" }}>
-                {authError ? <div style={{ marginTop: 8, fontSize: 12, color: "#ffb4b4" }}>{authError}</div> : null}
-                {authInfo ? <div style={{ marginTop: 8, fontSize: 12, color: "#8b96a8" }}>{authInfo}</div> : null}
-                <div style={{ marginTop: 8, fontSize: 12, color: "#667386" }}>
-                  До логина задачи хранятся локально. После логина — в Supabase.
-                </div>
-              </div>
             </div>
-          )}
+          ) : null}
 
-          {remoteError ? <div style={{ marginTop: 10, fontSize: 12, color: "#ffb4b4" }}>{remoteError}</div> : null}
+          {user && importCandidates.length > 0 ? (
+            <div style={{ marginTop: 10, paddingTop: 10, borderTop: "1px solid rgba(255,255,255,0.06)" }}>
+              <div style={{ fontSize: 12, color: "#cfd6e3" }}>
+                {tr("import.offer", { count: importCandidates.length })}
+              </div>
+              <div style={{ marginTop: 8, display: "grid", gap: 4 }}>
+                {importCandidates.map((t) => (
+                  <label key={t.id} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, color: "#e7eaf0" }}>
+                    <input
+                      type="checkbox"
+                      checked={importSelection.includes(t.id)}
+                      onChange={() => toggleImportSelection(t.id)}
+                    />
+                    <span style={{ textDecoration: t.done ? "line-through" : "none", opacity: t.done ? 0.6 : 1 }}>
+                      {t.title}
+                    </span>
+                  </label>
+                ))}
+              </div>
+              <div style={{ marginTop: 8, display: "flex", gap: 8, flexWrap: "wrap" }}>
+                {[
+                  { key: "all", label: tr("import.all"), ids: importCandidates.map((t) => t.id), primary: true },
+                  {
+                    key: "selected",
+                    label: tr("import.selected", { count: importSelection.length }),
+                    ids: importSelection,
+                  },
+                  { key: "none", label: tr("import.none"), ids: [] },
+                ].map((action) => (
+                  <button
+                    key={action.key}
+                    onClick={() => importLocalTasks(action.ids)}
+                    style={{
+                      padding: "6px 10px",
+                      borderRadius: 10,
+                      border: "1px solid rgba(255,255,255,0.08)",
+                      background: action.primary ? "#1b2330" : "transparent",
+                      color: "#cfd6e3",
+                      cursor: "pointer",
+                      fontSize: 12,
+                      fontWeight: action.primary ? 700 : 500,
+                    }}
+                  >
+                    {action.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ) : null}
         </div>
 
         <div style={{ display: "flex", gap: 10, marginTop: 14 }}>
           <input
+            ref={addInputRef}
             value={text}
             onChange={(e) => setText(e.target.value)}
             onKeyDown={(e) => e.key === "Enter" && addTask()}
-            placeholder="Например: сделать 1 маленький шаг сегодня"
+            disabled={!canEdit}
+            placeholder={tr(canEdit ? "add.placeholder" : "add.readOnly")}
+            title={tr("quickAdd.hint")}
             style={{
               flex: 1,
               padding: "12px 14px",
@@ -509,13 +2464,14 @@ export default function App() {
           />
           <button
             onClick={addTask}
+            disabled={!canEdit}
             style={{
               padding: "12px 14px",
               borderRadius: 12,
               border: "1px solid rgba(255,255,255,0.08)",
               background: "linear-gradient(140deg, #2a3440, #1b222c)",
               color: "#e7eaf0",
-              cursor: "pointer",
+              cursor: canEdit ? "pointer" : "not-allowed",
               fontWeight: 700,
             }}
           >
@@ -523,12 +2479,169 @@ export default function App() {
           </button>
         </div>
 
+        {quickAddFound ? (
+          <div
+            style={{
+              marginTop: 8,
+              padding: "6px 10px",
+              borderRadius: 10,
+              border: "1px solid rgba(255,255,255,0.08)",
+              background: "rgba(255,255,255,0.03)",
+              display: "flex",
+              gap: 10,
+              alignItems: "center",
+              flexWrap: "wrap",
+              fontSize: 12,
+              color: "#8b96a8",
+            }}
+            title={tr("quickAdd.hint")}
+          >
+            <span>{tr("quickAdd.preview")}</span>
+            <span style={{ color: "#e7eaf0", fontWeight: 600 }}>{quickAdd.title}</span>
+            {quickAdd.dueDate ? <span>📅 {formatDue(quickAdd, now)}</span> : null}
+            {quickAdd.priority ? (
+              <span style={{ color: PRIORITY_COLORS[quickAdd.priority] ?? "#cfd6e3" }}>
+                {tr(`priority.${quickAdd.priority}`)}
+              </span>
+            ) : null}
+            {quickAdd.recurrence ? <span>🔁 {formatRecurrence(quickAdd.recurrence)}</span> : null}
+            {quickAdd.tags.map((tag) => (
+              <span key={tag}>#{tag}</span>
+            ))}
+          </div>
+        ) : null}
+
+        <div style={{ marginTop: 8, display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", fontSize: 12, color: "#8b96a8" }}>
+          {tr("due.label")}
+          <input
+            type="date"
+            value={newDueDate}
+            onChange={(e) => setNewDueDate(e.target.value)}
+            style={{
+              padding: "6px 8px",
+              borderRadius: 10,
+              border: "1px solid rgba(255,255,255,0.08)",
+              background: "#0f1115",
+              color: "#e7eaf0",
+              fontSize: 12,
+            }}
+          />
+          <input
+            type="time"
+            value={newDueTime}
+            disabled={!newDueDate}
+            onChange={(e) => setNewDueTime(e.target.value)}
+            style={{
+              padding: "6px 8px",
+              borderRadius: 10,
+              border: "1px solid rgba(255,255,255,0.08)",
+              background: "#0f1115",
+              color: newDueDate ? "#e7eaf0" : "#5f6b7a",
+              fontSize: 12,
+            }}
+          />
+          <select
+            value={newPriority}
+            onChange={(e) => setNewPriority(e.target.value)}
+            title={tr("priority.label")}
+            style={{
+              padding: "6px 8px",
+              borderRadius: 10,
+              border: "1px solid rgba(255,255,255,0.08)",
+              background: "#0f1115",
+              color: PRIORITY_COLORS[newPriority] ?? "#e7eaf0",
+              fontSize: 12,
+            }}
+          >
+            {PRIORITY_LEVELS.map((level) => (
+              <option key={level} value={level}>
+                {tr(`priority.${level}`)}
+              </option>
+            ))}
+          </select>
+          {notificationPermission === "default" ? (
+            <button
+              onClick={enableReminders}
+              style={{
+                padding: "6px 10px",
+                borderRadius: 10,
+                border: "1px solid rgba(255,255,255,0.08)",
+                background: "transparent",
+                color: "#cfd6e3",
+                cursor: "pointer",
+                fontSize: 12,
+              }}
+              title={tr("reminders.enableHint")}
+            >
+              🔔 {tr("reminders.enable")}
+            </button>
+          ) : null}
+          {notificationPermission === "denied" ? <span style={{ color: "#667386" }}>{tr("reminders.denied")}</span> : null}
+        </div>
+
+        <div style={{ display: "flex", gap: 8, marginTop: 14 }}>
+          <input
+            ref={searchInputRef}
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key !== "Escape") return;
+              // A second Escape hands the keyboard back to the task list.
+              if (query) setQuery("");
+              else e.currentTarget.blur();
+            }}
+            placeholder={tr("search.placeholder")}
+            style={{
+              flex: 1,
+              padding: "8px 12px",
+              borderRadius: 10,
+              border: "1px solid rgba(255,255,255,0.08)",
+              background: "#0f1115",
+              color: "#e7eaf0",
+              outline: "none",
+              fontSize: 13,
+            }}
+          />
+        </div>
+
+        {tagChips.length > 0 ? (
+          <div style={{ display: "flex", gap: 6, marginTop: 8, flexWrap: "wrap" }}>
+            {tagChips.map((item) => {
+              const isActive = item.tag === tag;
+              return (
+                <button
+                  key={item.tag}
+                  onClick={() => setTag(isActive ? null : item.tag)}
+                  style={{
+                    padding: "4px 10px",
+                    borderRadius: 999,
+                    border: "1px solid rgba(255,255,255,0.08)",
+                    background: isActive ? "#1b2330" : "transparent",
+                    color: isActive ? "#e7eaf0" : "#8b96a8",
+                    cursor: "pointer",
+                    fontSize: 12,
+                    fontWeight: isActive ? 700 : 500,
+                  }}
+                >
+                  #{item.tag} <span style={{ opacity: 0.6 }}>{item.count}</span>
+                </button>
+              );
+            })}
+          </div>
+        ) : null}
+
         <div style={{ marginTop: 10, display: "flex", gap: 8, flexWrap: "wrap", justifyContent: "space-between" }}>
           <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
             {[
-              { key: FILTERS.all, label: "Все" },
-              { key: FILTERS.active, label: "Активные" },
-              { key: FILTERS.done, label: "Выполненные" },
+              { key: FILTERS.all, label: tr("filters.all") },
+              { key: FILTERS.active, label: tr("filters.active") },
+              { key: FILTERS.done, label: tr("filters.done") },
+              { key: FILTERS.today, label: tr("filters.today") },
+              {
+                key: FILTERS.overdue,
+                label: overdueCount ? `${tr("filters.overdue")} (${overdueCount})` : tr("filters.overdue"),
+              },
             ].map((item) => {
               const isActive = filter === item.key;
               return (
@@ -550,111 +2663,1369 @@ export default function App() {
                 </button>
               );
             })}
+            <select
+              value={sort}
+              onChange={(e) => setSort(e.target.value)}
+              style={{
+                padding: "6px 10px",
+                borderRadius: 10,
+                border: "1px solid rgba(255,255,255,0.08)",
+                background: "transparent",
+                color: "#8b96a8",
+                fontSize: 12,
+              }}
+            >
+              {Object.values(SORTS).map((key) => (
+                <option key={key} value={key}>
+                  {tr(`sort.${key}`)}
+                </option>
+              ))}
+            </select>
           </div>
-          <button
-            onClick={clearCompleted}
-            disabled={!hasCompleted}
-            style={{
-              padding: "6px 10px",
-              borderRadius: 10,
-              border: "1px solid rgba(255,255,255,0.08)",
-              background: hasCompleted ? "#141922" : "transparent",
-              color: hasCompleted ? "#cfd6e3" : "#5f6b7a",
-              cursor: hasCompleted ? "pointer" : "not-allowed",
-              fontSize: 12,
-            }}
-          >
-            Очистить выполненные
-          </button>
+          <div style={{ display: "flex", gap: 6 }}>
+            {[
+              { key: "undo", icon: "↶", label: historyState.undoLabel, prefix: tr("history.undo"), onClick: undo },
+              { key: "redo", icon: "↷", label: historyState.redoLabel, prefix: tr("history.redo"), onClick: redo },
+            ].map((item) => (
+              <button
+                key={item.key}
+                onClick={item.onClick}
+                disabled={!item.label}
+                title={item.label ? `${item.prefix}: ${tr(item.label)}` : item.prefix}
+                style={{
+                  padding: "6px 10px",
+                  borderRadius: 10,
+                  border: "1px solid rgba(255,255,255,0.08)",
+                  background: "transparent",
+                  color: item.label ? "#cfd6e3" : "#5f6b7a",
+                  cursor: item.label ? "pointer" : "not-allowed",
+                  fontSize: 12,
+                }}
+              >
+                {item.icon}
+              </button>
+            ))}
+            <button
+              onClick={() => setHelpOpen(true)}
+              title={tr("shortcuts.button")}
+              style={{
+                padding: "6px 10px",
+                borderRadius: 10,
+                border: "1px solid rgba(255,255,255,0.08)",
+                background: "transparent",
+                color: "#cfd6e3",
+                cursor: "pointer",
+                fontSize: 12,
+              }}
+            >
+              ⌨
+            </button>
+            <button
+              onClick={selecting ? stopSelecting : startSelecting}
+              disabled={!canEdit}
+              aria-pressed={selecting}
+              style={{
+                padding: "6px 10px",
+                borderRadius: 10,
+                border: "1px solid rgba(255,255,255,0.08)",
+                background: selecting ? "#1f3b5c" : "transparent",
+                color: canEdit ? "#cfd6e3" : "#5f6b7a",
+                cursor: canEdit ? "pointer" : "not-allowed",
+                fontSize: 12,
+              }}
+            >
+              {tr(selecting ? "bulk.stop" : "bulk.select")}
+            </button>
+            <button
+              onClick={clearCompleted}
+              disabled={!canClearCompleted}
+              style={{
+                padding: "6px 10px",
+                borderRadius: 10,
+                border: "1px solid rgba(255,255,255,0.08)",
+                background: canClearCompleted ? "#141922" : "transparent",
+                color: canClearCompleted ? "#cfd6e3" : "#5f6b7a",
+                cursor: canClearCompleted ? "pointer" : "not-allowed",
+                fontSize: 12,
+              }}
+            >
+              {tr("tasks.clearCompleted")}
+            </button>
+          </div>
+        </div>
+
+        <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 10, flexWrap: "wrap", fontSize: 12 }}>
+          <span style={{ color: "#8b96a8" }}>{tr("transfer.export")}</span>
+          {Object.entries(TRANSFER_FORMATS).map(([format, { label }]) => (
+            <button
+              key={format}
+              onClick={() => exportTasks(format)}
+              disabled={filteredTasks.length === 0}
+              style={{
+                padding: "6px 10px",
+                borderRadius: 10,
+                border: "1px solid rgba(255,255,255,0.08)",
+                background: "transparent",
+                color: filteredTasks.length ? "#cfd6e3" : "#5f6b7a",
+                cursor: filteredTasks.length ? "pointer" : "not-allowed",
+                fontSize: 12,
+              }}
+            >
+              {label}
+            </button>
+          ))}
+          {canEdit ? (
+            <label
+              style={{
+                marginLeft: "auto",
+                padding: "6px 10px",
+                borderRadius: 10,
+                border: "1px solid rgba(255,255,255,0.08)",
+                color: "#cfd6e3",
+                cursor: "pointer",
+              }}
+            >
+              {tr("transfer.import")}
+              <input
+                type="file"
+                accept=".json,.csv,.md,.txt"
+                onChange={(e) => {
+                  readTransferFile(e.target.files[0]);
+                  e.target.value = "";
+                }}
+                style={{ display: "none" }}
+              />
+            </label>
+          ) : null}
         </div>
 
+        {transferPreview ? (
+          <div style={{ marginTop: 10, padding: 12, borderRadius: 12, background: "#141922", fontSize: 13 }}>
+            <div style={{ color: "#cfd6e3" }}>
+              {tr("transfer.summary", { file: transferPreview.fileName, count: transferPreview.items.length })}
+              {transferPreview.items.some((item) => item.duplicate)
+                ? tr("transfer.duplicates", { count: transferPreview.items.filter((item) => item.duplicate).length })
+                : ""}
+            </div>
+
+            {transferPreview.errors.length > 0 ? (
+              <div style={{ marginTop: 8, display: "grid", gap: 2, fontSize: 12, color: "#ffb4b4" }}>
+                {transferPreview.errors.map((error, index) => (
+                  <div key={index}>
+                    {error.line != null ? `${tr("transfer.line", { line: error.line })}: ` : ""}
+                    {error.message}
+                  </div>
+                ))}
+              </div>
+            ) : null}
+
+            <div style={{ marginTop: 8, display: "grid", gap: 4, maxHeight: 240, overflowY: "auto" }}>
+              {transferPreview.items.map((item, index) => (
+                <div key={index} style={{ color: "#e7eaf0", opacity: skipDuplicates && item.duplicate ? 0.45 : 1 }}>
+                  <div>
+                    {item.done ? "☑" : "☐"} {item.title}
+                    {item.dueDate ? (
+                      <span style={{ marginLeft: 6, fontSize: 12, color: "#8b96a8" }}>
+                        📅 {item.dueDate} {item.dueTime ?? ""}
+                      </span>
+                    ) : null}
+                    {item.duplicate ? (
+                      <span style={{ marginLeft: 6, fontSize: 12, color: "#e0b85c" }}>{tr("transfer.duplicate")}</span>
+                    ) : null}
+                  </div>
+                  {item.subtasks.map((sub, subIndex) => (
+                    <div key={subIndex} style={{ paddingLeft: 20, fontSize: 12, color: "#cfd6e3" }}>
+                      {sub.done ? "☑" : "☐"} {sub.title}
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+
+            <div style={{ marginTop: 10, display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+              <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: "#cfd6e3" }}>
+                <input
+                  type="checkbox"
+                  checked={skipDuplicates}
+                  onChange={(e) => setSkipDuplicates(e.target.checked)}
+                />
+                {tr("transfer.skipDuplicates")}
+              </label>
+              <button
+                onClick={applyTransferImport}
+                disabled={transferItems.length === 0}
+                style={{
+                  padding: "6px 10px",
+                  borderRadius: 10,
+                  border: "1px solid rgba(255,255,255,0.08)",
+                  background: transferItems.length ? "#1b2330" : "transparent",
+                  color: transferItems.length ? "#cfd6e3" : "#5f6b7a",
+                  cursor: transferItems.length ? "pointer" : "not-allowed",
+                  fontSize: 12,
+                  fontWeight: 700,
+                }}
+              >
+                {tr("transfer.apply", { count: transferItems.length })}
+              </button>
+              <button
+                onClick={() => setTransferPreview(null)}
+                style={{
+                  padding: "6px 10px",
+                  borderRadius: 10,
+                  border: "1px solid rgba(255,255,255,0.08)",
+                  background: "transparent",
+                  color: "#cfd6e3",
+                  cursor: "pointer",
+                  fontSize: 12,
+                }}
+              >
+                {tr("transfer.cancel")}
+              </button>
+            </div>
+          </div>
+        ) : null}
+
         <div style={{ marginTop: 16, display: "grid", gap: 10 }}>
+          {selecting ? (
+            <div
+              style={{
+                position: "sticky",
+                top: 0,
+                zIndex: 1,
+                display: "flex",
+                alignItems: "center",
+                gap: 8,
+                flexWrap: "wrap",
+                padding: "8px 12px",
+                borderRadius: 12,
+                border: "1px solid rgba(91,141,239,0.35)",
+                background: "#1b2330",
+                fontSize: 12,
+              }}
+            >
+              <span style={{ color: "#e7eaf0", fontWeight: 700 }}>
+                {tr("bulk.selected", { count: selection.length })}
+              </span>
+              <button
+                onClick={() =>
+                  setSelectedIds(selection.length === filteredTasks.length ? [] : filteredTasks.map((t) => t.id))
+                }
+                style={{
+                  padding: "4px 10px",
+                  borderRadius: 8,
+                  border: "1px solid rgba(255,255,255,0.12)",
+                  background: "transparent",
+                  color: "#cfd6e3",
+                  cursor: "pointer",
+                  fontSize: 12,
+                }}
+              >
+                {tr(selection.length === filteredTasks.length ? "bulk.selectNone" : "bulk.selectAll")}
+              </button>
+              <span style={{ flex: 1 }} />
+              {[
+                { label: tr("bulk.complete"), run: () => completeSelected(true) },
+                { label: tr("bulk.reopen"), run: () => completeSelected(false) },
+              ].map((action) => (
+                <button
+                  key={action.label}
+                  onClick={action.run}
+                  disabled={!selection.length}
+                  style={{
+                    padding: "4px 10px",
+                    borderRadius: 8,
+                    border: "1px solid rgba(255,255,255,0.12)",
+                    background: "transparent",
+                    color: selection.length ? "#e7eaf0" : "#5f6b7a",
+                    cursor: selection.length ? "pointer" : "not-allowed",
+                    fontSize: 12,
+                  }}
+                >
+                  {action.label}
+                </button>
+              ))}
+              <select
+                value=""
+                onChange={(e) => prioritizeSelected(e.target.value)}
+                disabled={!selection.length}
+                aria-label={tr("bulk.priority")}
+                style={{
+                  padding: "4px 8px",
+                  borderRadius: 8,
+                  border: "1px solid rgba(255,255,255,0.12)",
+                  background: "#10141b",
+                  color: "#cfd6e3",
+                  fontSize: 12,
+                }}
+              >
+                <option value="" disabled>
+                  {tr("bulk.priority")}
+                </option>
+                {PRIORITY_LEVELS.map((level) => (
+                  <option key={level} value={level}>
+                    {tr(`priority.${level}`)}
+                  </option>
+                ))}
+              </select>
+              {canUseLists && moveTargets.length ? (
+                <select
+                  value=""
+                  onChange={(e) => moveSelected(moveTargets[Number(e.target.value)].id)}
+                  disabled={!selection.some((t) => rootTasks.includes(t))}
+                  aria-label={tr("bulk.move")}
+                  style={{
+                    padding: "4px 8px",
+                    borderRadius: 8,
+                    border: "1px solid rgba(255,255,255,0.12)",
+                    background: "#10141b",
+                    color: "#cfd6e3",
+                    fontSize: 12,
+                  }}
+                >
+                  <option value="" disabled>
+                    {tr("bulk.move")}
+                  </option>
+                  {moveTargets.map((l, index) => (
+                    <option key={l.id ?? "inbox"} value={index}>
+                      {listName(l)}
+                    </option>
+                  ))}
+                </select>
+              ) : null}
+              <button
+                onClick={deleteSelected}
+                disabled={!selection.length}
+                style={{
+                  padding: "4px 10px",
+                  borderRadius: 8,
+                  border: "1px solid rgba(255,107,107,0.35)",
+                  background: "transparent",
+                  color: selection.length ? "#ff6b6b" : "#5f6b7a",
+                  cursor: selection.length ? "pointer" : "not-allowed",
+                  fontSize: 12,
+                }}
+              >
+                {tr("bulk.delete")}
+              </button>
+            </div>
+          ) : null}
+
           {remoteLoading ? (
             <div style={{ padding: 14, borderRadius: 12, background: "#141922", color: "#8f98a8" }}>
-              Загружаю задачи из Supabase…
+              {tr("tasks.loading")}
             </div>
           ) : null}
 
           {filteredTasks.length === 0 ? (
             <div style={{ padding: 14, borderRadius: 12, background: "#141922", color: "#8f98a8" }}>
-              {emptyMessages[filter]}
+              {tr(query.trim() || tag ? "empty.noMatches" : `empty.${filter}`)}
             </div>
           ) : (
-            filteredTasks.map((t) => (
-              <div
-                key={t.id}
-                style={{
-                  display: "flex",
-                  alignItems: "center",
-                  gap: 12,
-                  padding: 12,
-                  borderRadius: 12,
-                  background: t.done ? "rgba(20,25,34,0.6)" : "#141922",
-                  border: "1px solid rgba(255,255,255,0.06)",
-                }}
-              >
-                <input
-                  type="checkbox"
-                  checked={t.done}
-                  onChange={() => toggleTask(t.id)}
-                  style={{ width: 18, height: 18 }}
-                />
+            filteredTasks.map((t, index) => {
+              const isChild = Boolean(subtaskGroups.get(t.parentId)?.includes(t));
+              const progress = subtaskProgress(subtaskGroups, t.id);
+              // The new-subtask input goes after the last visible row of its group.
+              const groupId = isChild ? t.parentId : t.id;
+              const next = filteredTasks[index + 1];
+              const showSubtaskInput = subtaskParentId === groupId && next?.parentId !== groupId;
+              const priority = taskPriority(t);
+              const isSelected = selecting && selectedIds.includes(t.id);
 
-                {editingId === t.id ? (
-                  <input
-                    value={editingText}
-                    onChange={(e) => setEditingText(e.target.value)}
-                    onKeyDown={(e) => {
-                      if (e.key === "Enter") saveEditing(t.id);
-                      if (e.key === "Escape") cancelEditing();
+              return (
+                <Fragment key={t.id}>
+                  <div
+                    data-task-id={String(t.id)}
+                    style={{
+                      display: "flex",
+                      alignItems: "center",
+                      gap: 12,
+                      padding: isChild ? "8px 12px" : 12,
+                      marginLeft: isChild ? 28 : 0,
+                      borderRadius: 12,
+                      background: isSelected ? "#1a2537" : t.done ? "rgba(20,25,34,0.6)" : "#141922",
+                      border: `1px solid ${isSelected ? "rgba(91,141,239,0.35)" : "rgba(255,255,255,0.06)"}`,
+                      borderLeft: `3px solid ${PRIORITY_COLORS[priority] ?? "rgba(255,255,255,0.06)"}`,
+                      opacity: drag?.id === t.id ? 0.5 : 1,
+                      boxShadow: drag?.overId === t.id ? `inset 0 ${drag.placeAfter ? -2 : 2}px 0 #5b8def` : "none",
+                      outline: cursorTask === t ? "1px solid #5b8def" : "none",
                     }}
-                    onBlur={() => saveEditing(t.id)}
-                    autoFocus
+                  >
+                    {selecting ? (
+                      <input
+                        type="checkbox"
+                        checked={isSelected}
+                        // A click event underneath, so it knows about Shift.
+                        onChange={(e) => toggleSelected(t.id, e.nativeEvent.shiftKey)}
+                        aria-label={tr("bulk.selectTask", { title: t.title })}
+                        title={tr("bulk.rangeHint")}
+                        style={{ width: 16, height: 16, accentColor: "#5b8def" }}
+                      />
+                    ) : null}
+
+                    {canReorder ? (
+                      <button
+                        onPointerDown={(e) => startDrag(e, t)}
+                        onPointerMove={updateDrag}
+                        onPointerUp={endDrag}
+                        onPointerCancel={() => setDrag(null)}
+                        onKeyDown={(e) => {
+                          if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+                            e.preventDefault();
+                            moveTaskBy(t.id, e.key === "ArrowUp" ? -1 : 1);
+                          }
+                        }}
+                        aria-label={tr("task.move")}
+                        title={tr("task.moveHint")}
+                        style={{
+                          border: "none",
+                          background: "transparent",
+                          padding: 0,
+                          cursor: drag ? "grabbing" : "grab",
+                          touchAction: "none",
+                          fontSize: 14,
+                          color: "#5f6b7a",
+                        }}
+                      >
+                        ⋮⋮
+                      </button>
+                    ) : null}
+
+                    <input
+                      type="checkbox"
+                      checked={t.done}
+                      onChange={() => toggleTask(t.id)}
+                      disabled={!canEdit}
+                      style={{ width: 18, height: 18 }}
+                    />
+
+                    {editingId === t.id ? (
+                      <div
+                        // Save when focus leaves the editor, not when it moves between its fields.
+                        onBlur={(e) => {
+                          if (!e.currentTarget.contains(e.relatedTarget)) saveEditing(t.id);
+                        }}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter") saveEditing(t.id);
+                          if (e.key === "Escape") cancelEditing();
+                        }}
+                        style={{ flex: 1, display: "flex", gap: 6, flexWrap: "wrap" }}
+                      >
+                        <input
+                          value={editingText}
+                          onChange={(e) => setEditingText(e.target.value)}
+                          autoFocus
+                          style={{
+                            flex: 1,
+                            minWidth: 160,
+                            fontSize: 15,
+                            padding: "6px 8px",
+                            borderRadius: 8,
+                            border: "1px solid rgba(255,255,255,0.12)",
+                            background: "#0f1115",
+                            color: "#e7eaf0",
+                            outline: "none",
+                          }}
+                        />
+                        <input
+                          type="date"
+                          value={editingDueDate}
+                          onChange={(e) => setEditingDueDate(e.target.value)}
+                          style={{
+                            padding: "6px 8px",
+                            borderRadius: 8,
+                            border: "1px solid rgba(255,255,255,0.12)",
+                            background: "#0f1115",
+                            color: "#e7eaf0",
+                            fontSize: 12,
+                          }}
+                        />
+                        <input
+                          type="time"
+                          value={editingDueTime}
+                          disabled={!editingDueDate}
+                          onChange={(e) => setEditingDueTime(e.target.value)}
+                          style={{
+                            padding: "6px 8px",
+                            borderRadius: 8,
+                            border: "1px solid rgba(255,255,255,0.12)",
+                            background: "#0f1115",
+                            color: editingDueDate ? "#e7eaf0" : "#5f6b7a",
+                            fontSize: 12,
+                          }}
+                        />
+                        <select
+                          value={editingPriority}
+                          onChange={(e) => setEditingPriority(e.target.value)}
+                          title={tr("priority.label")}
+                          style={{
+                            padding: "6px 8px",
+                            borderRadius: 8,
+                            border: "1px solid rgba(255,255,255,0.12)",
+                            background: "#0f1115",
+                            color: PRIORITY_COLORS[editingPriority] ?? "#e7eaf0",
+                            fontSize: 12,
+                          }}
+                        >
+                          {PRIORITY_LEVELS.map((level) => (
+                            <option key={level} value={level}>
+                              {tr(`priority.${level}`)}
+                            </option>
+                          ))}
+                        </select>
+                        <select
+                          value={editingRecurrence?.type ?? ""}
+                          onChange={(e) => changeEditingRecurrence(e.target.value)}
+                          title={tr("recurrence.label")}
+                          style={{
+                            padding: "6px 8px",
+                            borderRadius: 8,
+                            border: "1px solid rgba(255,255,255,0.12)",
+                            background: "#0f1115",
+                            color: "#e7eaf0",
+                            fontSize: 12,
+                          }}
+                        >
+                          <option value="">{tr("recurrence.option.none")}</option>
+                          {Object.values(RECURRENCE_TYPES).map((type) => (
+                            <option key={type} value={type}>
+                              {tr(`recurrence.option.${type}`)}
+                            </option>
+                          ))}
+                        </select>
+                        {editingRecurrence?.type === RECURRENCE_TYPES.weekly ? (
+                          <div style={{ display: "flex", gap: 4 }}>
+                            {WEEK_DAYS.map((day) => {
+                              const isActive = editingRecurrence.days?.includes(day);
+                              return (
+                                <button
+                                  key={day}
+                                  type="button"
+                                  onClick={() => toggleEditingRecurrenceDay(day)}
+                                  style={{
+                                    padding: "6px 6px",
+                                    borderRadius: 8,
+                                    border: "1px solid rgba(255,255,255,0.12)",
+                                    background: isActive ? "#1b2330" : "transparent",
+                                    color: isActive ? "#e7eaf0" : "#8b96a8",
+                                    cursor: "pointer",
+                                    fontSize: 12,
+                                  }}
+                                >
+                                  {weekDayLabel(day)}
+                                </button>
+                              );
+                            })}
+                          </div>
+                        ) : null}
+                        {editingRecurrence?.type === RECURRENCE_TYPES.interval ? (
+                          <input
+                            type="number"
+                            min={1}
+                            value={editingRecurrence.every}
+                            onChange={(e) => setEditingRecurrence((prev) => ({ ...prev, every: e.target.value }))}
+                            title={tr("recurrence.intervalHint")}
+                            style={{
+                              width: 56,
+                              padding: "6px 8px",
+                              borderRadius: 8,
+                              border: "1px solid rgba(255,255,255,0.12)",
+                              background: "#0f1115",
+                              color: "#e7eaf0",
+                              fontSize: 12,
+                            }}
+                          />
+                        ) : null}
+                      </div>
+                    ) : (
+                      <div
+                        onClick={() => startEditing(t)}
+                        style={{
+                          flex: 1,
+                          fontSize: 15,
+                          textDecoration: t.done ? "line-through" : "none",
+                          opacity: t.done ? 0.6 : 1,
+                          color: t.done ? "#98a1b2" : "#e7eaf0",
+                          cursor: "text",
+                        }}
+                      >
+                        {t.title}
+                        {priority !== PRIORITIES.normal ? (
+                          <span
+                            style={{
+                              marginLeft: 8,
+                              padding: "1px 6px",
+                              borderRadius: 6,
+                              border: `1px solid ${PRIORITY_COLORS[priority]}`,
+                              color: PRIORITY_COLORS[priority],
+                              fontSize: 11,
+                              textDecoration: "none",
+                              display: "inline-block",
+                            }}
+                          >
+                            {tr(`priority.${priority}`)}
+                          </span>
+                        ) : null}
+                        {t.dueDate || t.recurrence ? (
+                          <div
+                            style={{
+                              marginTop: 2,
+                              fontSize: 12,
+                              textDecoration: "none",
+                              color: isOverdue(t, now) ? "#ffb4b4" : "#8b96a8",
+                            }}
+                          >
+                            {t.dueDate ? `📅 ${formatDue(t, now)}` : null}
+                            {t.dueDate && t.recurrence ? " · " : null}
+                            {t.recurrence ? `🔁 ${formatRecurrence(t.recurrence)}` : null}
+                          </div>
+                        ) : null}
+                        {isSharedList && (t.createdBy || t.completedBy) ? (
+                          <div style={{ marginTop: 2, fontSize: 11, textDecoration: "none", color: "#667386" }}>
+                            {t.createdBy
+                              ? tr("task.addedBy", { name: memberLabel(members, t.createdBy, userId) })
+                              : null}
+                            {t.createdBy && t.done && t.completedBy ? " · " : null}
+                            {t.done && t.completedBy
+                              ? tr("task.completedBy", { name: memberLabel(members, t.completedBy, userId) })
+                              : null}
+                          </div>
+                        ) : null}
+                      </div>
+                    )}
+
+                    {!isChild && progress.total > 0 ? (
+                      <span
+                        title={tr("task.subtasks")}
+                        style={{
+                          fontSize: 12,
+                          whiteSpace: "nowrap",
+                          color: progress.done === progress.total ? "#8fd19e" : "#8b96a8",
+                        }}
+                      >
+                        ☑ {progress.done}/{progress.total}
+                      </span>
+                    ) : null}
+
+                    <button
+                      onClick={() => toggleDetails(t.id)}
+                      aria-expanded={detailsId === t.id}
+                      style={{
+                        border: "none",
+                        background: "transparent",
+                        cursor: "pointer",
+                        fontSize: 14,
+                        opacity: t.notes || detailsId === t.id ? 1 : 0.45,
+                      }}
+                      title={tr(detailsId === t.id ? "details.close" : t.notes ? "details.openNotes" : "details.open")}
+                    >
+                      📝
+                    </button>
+
+                    {!isChild && canEdit ? (
+                      <button
+                        onClick={() => startSubtask(t.id)}
+                        style={{
+                          border: "none",
+                          background: "transparent",
+                          cursor: "pointer",
+                          fontSize: 14,
+                          color: "#9aa3b2",
+                        }}
+                        title={tr("task.addSubtask")}
+                      >
+                        ＋
+                      </button>
+                    ) : null}
+
+                    {user ? (
+                      <span
+                        title={
+                          syncState.statuses[t.id] === SYNC_STATUS.failed
+                            ? syncState.errors[t.id]
+                            : syncState.statuses[t.id] === SYNC_STATUS.pending
+                              ? tr("sync.pendingTitle")
+                              : tr("sync.syncedTitle")
+                        }
+                        style={{
+                          fontSize: 12,
+                          whiteSpace: "nowrap",
+                          color: syncState.statuses[t.id] === SYNC_STATUS.failed ? "#ffb4b4" : "#667386",
+                        }}
+                      >
+                        {syncState.statuses[t.id] === SYNC_STATUS.failed ? "⚠️" : syncState.statuses[t.id] === SYNC_STATUS.pending ? "⏳" : "✓"}
+                      </span>
+                    ) : null}
+
+                    {syncState.statuses[t.id] === SYNC_STATUS.failed ? (
+                      <>
+                        <button
+                          onClick={() => taskRepository.retry(t.id)}
+                          style={{
+                            padding: "4px 8px",
+                            borderRadius: 8,
+                            border: "1px solid rgba(255,255,255,0.08)",
+                            background: "transparent",
+                            color: "#cfd6e3",
+                            cursor: "pointer",
+                            fontSize: 12,
+                          }}
+                          title={tr("task.retry")}
+                        >
+                          ↻
+                        </button>
+                        <button
+                          onClick={() => discardTaskChanges(t.id)}
+                          style={{
+                            padding: "4px 8px",
+                            borderRadius: 8,
+                            border: "1px solid rgba(255,255,255,0.08)",
+                            background: "transparent",
+                            color: "#cfd6e3",
+                            cursor: "pointer",
+                            fontSize: 12,
+                          }}
+                          title={tr("task.discard")}
+                        >
+                          ✕
+                        </button>
+                      </>
+                    ) : null}
+
+                    {canEdit ? (
+                      <button
+                        onClick={() => removeTask(t.id)}
+                        style={{
+                          border: "none",
+                          background: "transparent",
+                          cursor: "pointer",
+                          fontSize: 18,
+                          color: "#9aa3b2",
+                        }}
+                        title={tr("task.delete")}
+                      >
+                        🗑️
+                      </button>
+                    ) : null}
+                  </div>
+
+                  {detailsId === t.id ? (
+                    <div
+                      style={{
+                        marginLeft: isChild ? 28 : 0,
+                        padding: 12,
+                        borderRadius: 12,
+                        background: "#11161e",
+                        border: "1px solid rgba(255,255,255,0.06)",
+                        display: "grid",
+                        gap: 10,
+                      }}
+                    >
+                      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                        <span style={{ flex: 1, fontSize: 12, fontWeight: 700, color: "#8b96a8" }}>
+                          {tr("details.notes")}
+                        </span>
+                        {canEditNotes ? (
+                          <button
+                            // Keeps the focus in the notes, so their blur doesn't close them before the click.
+                            onMouseDown={(e) => e.preventDefault()}
+                            onClick={() => (notesDraft?.id === t.id ? finishNotes() : startNotes(t))}
+                            style={{
+                              padding: "4px 10px",
+                              borderRadius: 8,
+                              border: "1px solid rgba(255,255,255,0.08)",
+                              background: "transparent",
+                              color: "#cfd6e3",
+                              cursor: "pointer",
+                              fontSize: 12,
+                            }}
+                          >
+                            {tr(notesDraft?.id === t.id ? "details.doneEditing" : "details.editNotes")}
+                          </button>
+                        ) : null}
+                      </div>
+
+                      {notesDraft?.id === t.id ? (
+                        <textarea
+                          value={notesDraft.text}
+                          onChange={(e) => setNotesDraft({ id: t.id, text: e.target.value })}
+                          onBlur={finishNotes}
+                          onKeyDown={(e) => e.key === "Escape" && finishNotes()}
+                          autoFocus
+                          rows={6}
+                          placeholder={tr("details.notesPlaceholder")}
+                          style={{
+                            padding: "10px 12px",
+                            borderRadius: 10,
+                            border: "1px solid rgba(255,255,255,0.12)",
+                            background: "#0f1115",
+                            color: "#e7eaf0",
+                            outline: "none",
+                            fontSize: 13,
+                            fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace",
+                            resize: "vertical",
+                          }}
+                        />
+                      ) : t.notes ? (
+                        <MarkdownNotes
+                          text={t.notes}
+                          onToggle={canEditNotes ? (line) => toggleNotesItem(t, line) : null}
+                        />
+                      ) : (
+                        <div style={{ fontSize: 13, color: "#667386" }}>
+                          {tr(
+                            canEditNotes
+                              ? "details.noNotes"
+                              : canEdit
+                                ? "details.notesUnavailable"
+                                : "details.noNotesReadOnly"
+                          )}
+                        </div>
+                      )}
+
+                      <div style={{ display: "flex", gap: 12, flexWrap: "wrap", fontSize: 11, color: "#667386" }}>
+                        <span>
+                          {tr("details.created", {
+                            time: t.createdAt ? formatTimestamp(t.createdAt) : tr("details.unknownTime"),
+                          })}
+                        </span>
+                        {t.updatedAt ? (
+                          <span>{tr("details.updated", { time: formatTimestamp(t.updatedAt) })}</span>
+                        ) : null}
+                        {t.done && t.completedAt ? (
+                          <span>{tr("details.completed", { time: formatTimestamp(t.completedAt) })}</span>
+                        ) : null}
+                      </div>
+                    </div>
+                  ) : null}
+
+                  {showSubtaskInput ? (
+                    <input
+                      value={subtaskText}
+                      onChange={(e) => setSubtaskText(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") addSubtask();
+                        if (e.key === "Escape") cancelSubtask();
+                      }}
+                      onBlur={cancelSubtask}
+                      autoFocus
+                      placeholder={tr("subtask.placeholder")}
+                      style={{
+                        marginLeft: 28,
+                        padding: "8px 12px",
+                        borderRadius: 12,
+                        border: "1px solid rgba(255,255,255,0.12)",
+                        background: "#0f1115",
+                        color: "#e7eaf0",
+                        outline: "none",
+                        fontSize: 14,
+                      }}
+                    />
+                  ) : null}
+                </Fragment>
+              );
+            })
+          )}
+        </div>
+      </div>
+
+      {paletteOpen ? (
+        <div
+          onMouseDown={(e) => e.target === e.currentTarget && closePalette()}
+          style={{
+            position: "fixed",
+            inset: 0,
+            display: "flex",
+            justifyContent: "center",
+            alignItems: "flex-start",
+            paddingTop: "15vh",
+            background: "rgba(8,10,14,0.6)",
+          }}
+        >
+          <div
+            role="dialog"
+            aria-label={tr("palette.label")}
+            style={{
+              width: "min(520px, calc(100vw - 32px))",
+              borderRadius: 14,
+              border: "1px solid rgba(255,255,255,0.08)",
+              background: "#141922",
+              boxShadow: "0 20px 50px rgba(0,0,0,0.45)",
+              overflow: "hidden",
+            }}
+          >
+            <input
+              value={paletteQuery}
+              onChange={(e) => {
+                setPaletteQuery(e.target.value);
+                setPaletteIndex(0);
+              }}
+              onKeyDown={handlePaletteKeyDown}
+              autoFocus
+              placeholder={tr("palette.placeholder")}
+              style={{
+                width: "100%",
+                boxSizing: "border-box",
+                padding: "12px 14px",
+                border: "none",
+                borderBottom: "1px solid rgba(255,255,255,0.06)",
+                background: "transparent",
+                color: "#e7eaf0",
+                outline: "none",
+                fontSize: 14,
+              }}
+            />
+            <div style={{ maxHeight: 320, overflowY: "auto", padding: 6 }}>
+              {paletteCommands.length === 0 ? (
+                <div style={{ padding: "8px 10px", fontSize: 13, color: "#8b96a8" }}>{tr("palette.empty")}</div>
+              ) : (
+                paletteCommands.map((command, index) => (
+                  <button
+                    key={command.id}
+                    onClick={() => runCommand(command)}
+                    onMouseEnter={() => setPaletteIndex(index)}
                     style={{
-                      flex: 1,
-                      fontSize: 15,
-                      padding: "6px 8px",
+                      width: "100%",
+                      display: "flex",
+                      justifyContent: "space-between",
+                      gap: 12,
+                      padding: "8px 10px",
                       borderRadius: 8,
-                      border: "1px solid rgba(255,255,255,0.12)",
-                      background: "#0f1115",
+                      border: "none",
+                      background: index === paletteIndex ? "#1b2330" : "transparent",
                       color: "#e7eaf0",
-                      outline: "none",
+                      cursor: "pointer",
+                      fontSize: 13,
+                      textAlign: "left",
                     }}
-                  />
-                ) : (
+                  >
+                    <span>{command.label}</span>
+                    {command.keys ? <span style={{ color: "#667386", fontSize: 12 }}>{command.keys}</span> : null}
+                  </button>
+                ))
+              )}
+            </div>
+          </div>
+        </div>
+      ) : null}
+
+      {helpOpen ? (
+        <div
+          onMouseDown={(e) => e.target === e.currentTarget && setHelpOpen(false)}
+          style={{
+            position: "fixed",
+            inset: 0,
+            display: "grid",
+            placeItems: "center",
+            background: "rgba(8,10,14,0.6)",
+          }}
+        >
+          <div
+            role="dialog"
+            aria-label={tr("shortcuts.title")}
+            style={{
+              width: "min(420px, calc(100vw - 32px))",
+              padding: 18,
+              borderRadius: 14,
+              border: "1px solid rgba(255,255,255,0.08)",
+              background: "#141922",
+              boxShadow: "0 20px 50px rgba(0,0,0,0.45)",
+            }}
+          >
+            <div style={{ fontSize: 15, fontWeight: 700, color: "#e7eaf0", marginBottom: 10 }}>{tr("shortcuts.title")}</div>
+            <div style={{ display: "grid", gridTemplateColumns: "auto 1fr", gap: "6px 14px", fontSize: 13 }}>
+              {SHORTCUT_HELP.map((item) => (
+                <Fragment key={item.keys}>
+                  <kbd style={{ color: "#e7eaf0", fontFamily: "inherit", fontWeight: 700 }}>{item.keys}</kbd>
+                  <span style={{ color: "#8b96a8" }}>{tr(item.message)}</span>
+                </Fragment>
+              ))}
+            </div>
+            <div style={{ marginTop: 12, fontSize: 12, color: "#667386" }}>{tr("shortcuts.hint")}</div>
+          </div>
+        </div>
+      ) : null}
+
+      {stats ? (
+        <div
+          onMouseDown={(e) => e.target === e.currentTarget && setStatsOpen(false)}
+          style={{
+            position: "fixed",
+            inset: 0,
+            display: "grid",
+            placeItems: "center",
+            background: "rgba(8,10,14,0.6)",
+          }}
+        >
+          <div
+            role="dialog"
+            aria-label={tr("stats.title")}
+            style={{
+              width: "min(560px, calc(100vw - 32px))",
+              maxHeight: "calc(100vh - 32px)",
+              overflowY: "auto",
+              padding: 18,
+              borderRadius: 14,
+              border: "1px solid rgba(255,255,255,0.08)",
+              background: "#141922",
+              boxShadow: "0 20px 50px rgba(0,0,0,0.45)",
+              display: "grid",
+              gap: 16,
+            }}
+          >
+            <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+              <div style={{ fontSize: 15, fontWeight: 700, color: "#e7eaf0" }}>{tr("stats.title")}</div>
+              <button
+                onClick={() => setStatsOpen(false)}
+                aria-label={tr("stats.close")}
+                style={{
+                  border: "none",
+                  background: "transparent",
+                  color: "#8b96a8",
+                  cursor: "pointer",
+                  fontSize: 16,
+                }}
+              >
+                ✕
+              </button>
+            </div>
+
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(110px, 1fr))", gap: 8 }}>
+              {[
+                { label: tr("stats.today"), value: stats.today },
+                { label: tr("stats.thisWeek"), value: stats.thisWeek },
+                { label: tr("stats.streak"), value: tr("stats.days", { count: stats.streak }) },
+                {
+                  label: tr("stats.average"),
+                  value: stats.averageMs === null ? tr("stats.noAverage") : formatDuration(stats.averageMs),
+                },
+              ].map((tile) => (
+                <div
+                  key={tile.label}
+                  style={{
+                    padding: "10px 12px",
+                    borderRadius: 10,
+                    border: "1px solid rgba(255,255,255,0.06)",
+                    background: "#10141b",
+                  }}
+                >
+                  <div style={{ fontSize: 12, color: "#8b96a8" }}>{tile.label}</div>
+                  <div style={{ marginTop: 4, fontSize: 18, fontWeight: 700, color: "#e7eaf0" }}>{tile.value}</div>
+                </div>
+              ))}
+            </div>
+
+            {stats.total ? (
+              <>
+                <div style={{ display: "grid", gap: 8 }}>
+                  <div style={{ fontSize: 13, color: "#8b96a8" }}>{tr("stats.perDay")}</div>
+                  <StatsBars items={stats.daily} label={dayLabel} />
+                </div>
+                <div style={{ display: "grid", gap: 8 }}>
+                  <div style={{ fontSize: 13, color: "#8b96a8" }}>{tr("stats.perWeek")}</div>
+                  <StatsBars items={stats.weekly} label={weekLabel} />
+                </div>
+                <div style={{ display: "grid", gap: 8 }}>
+                  <div style={{ fontSize: 13, color: "#8b96a8" }}>{tr("stats.heatmap")}</div>
                   <div
-                    onClick={() => startEditing(t)}
                     style={{
-                      flex: 1,
-                      fontSize: 15,
-                      textDecoration: t.done ? "line-through" : "none",
-                      opacity: t.done ? 0.6 : 1,
-                      color: t.done ? "#98a1b2" : "#e7eaf0",
-                      cursor: "text",
+                      display: "grid",
+                      gridTemplateRows: "repeat(7, 12px)",
+                      gridAutoFlow: "column",
+                      gridAutoColumns: "12px",
+                      gap: 3,
+                      overflowX: "auto",
                     }}
                   >
-                    {t.title}
+                    {stats.heatmap.flat().map((cell) => (
+                      <div
+                        key={cell.key}
+                        title={
+                          cell.future
+                            ? undefined
+                            : `${dayLabel(cell.key)}: ${tr("stats.completed", { count: cell.count })}`
+                        }
+                        style={{
+                          borderRadius: 3,
+                          background: cell.future
+                            ? "transparent"
+                            : HEAT_COLORS[heatLevel(cell.count, stats.heatmapMax)],
+                        }}
+                      />
+                    ))}
                   </div>
-                )}
+                </div>
+              </>
+            ) : (
+              <div style={{ fontSize: 13, color: "#667386" }}>{tr("stats.empty")}</div>
+            )}
+          </div>
+        </div>
+      ) : null}
 
-                <button
-                  onClick={() => removeTask(t.id)}
+      {trashOpen ? (
+        <div
+          onMouseDown={(e) => e.target === e.currentTarget && setTrashOpen(false)}
+          style={{
+            position: "fixed",
+            inset: 0,
+            display: "grid",
+            placeItems: "center",
+            background: "rgba(8,10,14,0.6)",
+          }}
+        >
+          <div
+            role="dialog"
+            aria-label={tr("trash.title")}
+            style={{
+              width: "min(560px, calc(100vw - 32px))",
+              maxHeight: "calc(100vh - 32px)",
+              overflowY: "auto",
+              padding: 18,
+              borderRadius: 14,
+              border: "1px solid rgba(255,255,255,0.08)",
+              background: "#141922",
+              boxShadow: "0 20px 50px rgba(0,0,0,0.45)",
+              display: "grid",
+              gap: 12,
+            }}
+          >
+            <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+              <div style={{ fontSize: 15, fontWeight: 700, color: "#e7eaf0" }}>{tr("trash.title")}</div>
+              <button
+                onClick={() => setTrashOpen(false)}
+                aria-label={tr("trash.close")}
+                style={{
+                  border: "none",
+                  background: "transparent",
+                  color: "#8b96a8",
+                  cursor: "pointer",
+                  fontSize: 16,
+                }}
+              >
+                ✕
+              </button>
+            </div>
+
+            {canTrash ? (
+              <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, color: "#8b96a8" }}>
+                {tr("trash.purgeAfter")}
+                <select
+                  value={trashDays}
+                  onChange={(e) => changeTrashDays(Number(e.target.value))}
                   style={{
-                    border: "none",
-                    background: "transparent",
-                    cursor: "pointer",
-                    fontSize: 18,
-                    color: "#9aa3b2",
+                    padding: "4px 8px",
+                    borderRadius: 8,
+                    border: "1px solid rgba(255,255,255,0.08)",
+                    background: "#10141b",
+                    color: "#cfd6e3",
+                    fontSize: 12,
                   }}
-                  title="Удалить"
                 >
-                  🗑️
-                </button>
+                  {TRASH_DAYS_OPTIONS.map((days) => (
+                    <option key={days} value={days}>
+                      {days ? tr("trash.days", { count: days }) : tr("trash.never")}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ) : (
+              <div style={{ fontSize: 12, color: "#ffd58a" }}>{tr("trash.unavailable")}</div>
+            )}
+
+            {trash.length ? (
+              <div style={{ display: "grid", gap: 6 }}>
+                {trash.map(({ task, ids, editable }) => (
+                  <div
+                    key={task.id}
+                    style={{
+                      display: "flex",
+                      alignItems: "center",
+                      gap: 10,
+                      padding: "8px 10px",
+                      borderRadius: 10,
+                      border: "1px solid rgba(255,255,255,0.06)",
+                      background: "#10141b",
+                    }}
+                  >
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <div
+                        style={{
+                          fontSize: 14,
+                          color: "#e7eaf0",
+                          textDecoration: task.done ? "line-through" : "none",
+                          overflow: "hidden",
+                          textOverflow: "ellipsis",
+                          whiteSpace: "nowrap",
+                        }}
+                      >
+                        {task.title}
+                      </div>
+                      <div style={{ fontSize: 12, color: "#667386" }}>
+                        {[
+                          listName(lists.find((l) => l.id === task.listId) ?? INBOX),
+                          tr("trash.deletedAt", {
+                            date: formatDate(new Date(task.deletedAt), {
+                              day: "numeric",
+                              month: "short",
+                              hour: "numeric",
+                              minute: "2-digit",
+                            }),
+                          }),
+                          ids.length > 1 ? tr("trash.subtasks", { count: ids.length - 1 }) : "",
+                        ]
+                          .filter(Boolean)
+                          .join(" · ")}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => restoreFromTrash(ids)}
+                      disabled={!editable}
+                      style={{
+                        padding: "4px 10px",
+                        borderRadius: 8,
+                        border: "1px solid rgba(255,255,255,0.12)",
+                        background: "transparent",
+                        color: editable ? "#e7eaf0" : "#5f6b7a",
+                        cursor: editable ? "pointer" : "not-allowed",
+                        fontSize: 12,
+                      }}
+                    >
+                      {tr("trash.restore")}
+                    </button>
+                    <button
+                      onClick={() => purgeFromTrash(ids)}
+                      disabled={!editable}
+                      style={{
+                        padding: "4px 10px",
+                        borderRadius: 8,
+                        border: "1px solid rgba(255,107,107,0.35)",
+                        background: "transparent",
+                        color: editable ? "#ff6b6b" : "#5f6b7a",
+                        cursor: editable ? "pointer" : "not-allowed",
+                        fontSize: 12,
+                      }}
+                    >
+                      {tr("trash.purge")}
+                    </button>
+                  </div>
+                ))}
               </div>
-            ))
-          )}
+            ) : (
+              <div style={{ fontSize: 13, color: "#667386" }}>{tr("trash.empty")}</div>
+            )}
+
+            {trash.some((entry) => entry.editable) ? (
+              <button
+                onClick={emptyTrash}
+                style={{
+                  justifySelf: "end",
+                  padding: "6px 10px",
+                  borderRadius: 10,
+                  border: "1px solid rgba(255,107,107,0.35)",
+                  background: "transparent",
+                  color: "#ff6b6b",
+                  cursor: "pointer",
+                  fontSize: 12,
+                }}
+              >
+                {tr("trash.emptyTrash")}
+              </button>
+            ) : null}
+          </div>
         </div>
-      </div>
+      ) : null}
+
+      {updateReady ? (
+        <div
+          role="status"
+          style={{
+            position: "fixed",
+            left: "50%",
+            top: 16,
+            transform: "translateX(-50%)",
+            display: "flex",
+            alignItems: "center",
+            gap: 12,
+            padding: "10px 14px",
+            borderRadius: 12,
+            border: "1px solid rgba(91,141,239,0.35)",
+            background: "#1b2330",
+            color: "#e7eaf0",
+            fontSize: 13,
+            boxShadow: "0 10px 30px rgba(0,0,0,0.35)",
+          }}
+        >
+          <span>{tr("pwa.updateReady")}</span>
+          <button
+            onClick={applyUpdate}
+            style={{
+              padding: "4px 10px",
+              borderRadius: 8,
+              border: "none",
+              background: "#5b8def",
+              color: "#0f1115",
+              cursor: "pointer",
+              fontSize: 12,
+              fontWeight: 700,
+            }}
+          >
+            {tr("pwa.reload")}
+          </button>
+          <button
+            onClick={dismissUpdate}
+            style={{
+              padding: "4px 10px",
+              borderRadius: 8,
+              border: "1px solid rgba(255,255,255,0.12)",
+              background: "transparent",
+              color: "#8b96a8",
+              cursor: "pointer",
+              fontSize: 12,
+            }}
+          >
+            {tr("pwa.later")}
+          </button>
+        </div>
+      ) : null}
+
+      {undoToast ? (
+        <div
+          role="status"
+          style={{
+            position: "fixed",
+            left: "50%",
+            bottom: 24,
+            transform: "translateX(-50%)",
+            display: "flex",
+            alignItems: "center",
+            gap: 12,
+            padding: "10px 14px",
+            borderRadius: 12,
+            border: "1px solid rgba(255,255,255,0.08)",
+            background: "#1b2330",
+            color: "#e7eaf0",
+            fontSize: 13,
+            boxShadow: "0 10px 30px rgba(0,0,0,0.35)",
+          }}
+        >
+          <span>{undoToast.message}</span>
+          <button
+            onClick={undoToast.action === "undo" ? undo : redo}
+            style={{
+              padding: "4px 10px",
+              borderRadius: 8,
+              border: "1px solid rgba(255,255,255,0.12)",
+              background: "transparent",
+              color: "#e7eaf0",
+              cursor: "pointer",
+              fontSize: 12,
+              fontWeight: 700,
+            }}
+          >
+            {tr(undoToast.action === "undo" ? "toast.undo" : "toast.redo")}
+          </button>
+        </div>
+      ) : null}
     </div>
   );
 }
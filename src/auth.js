@@ -0,0 +1,136 @@
+// Sign-in methods besides e-mail + password. Every link Supabase mails (magic
+// link, sign-up confirmation, password reset) and every OAuth round trip comes
+// back to the page the app is served from; supabaseClient.js picks the session
+// up from the URL (detectSessionInUrl).
+
+import { hasMessage, tr } from "./i18n";
+
+const PROVIDER_LABELS = {
+  github: "GitHub",
+  google: "Google",
+  gitlab: "GitLab",
+  bitbucket: "Bitbucket",
+  apple: "Apple",
+  azure: "Microsoft",
+  discord: "Discord",
+  facebook: "Facebook",
+  twitter: "X",
+};
+
+// OAuth providers are opt-in, since each one has to be enabled in the
+// Supabase project first: VITE_SUPABASE_OAUTH_PROVIDERS=github,google
+export const OAUTH_PROVIDERS = String(import.meta.env.VITE_SUPABASE_OAUTH_PROVIDERS ?? "")
+  .split(",")
+  .map((p) => p.trim().toLowerCase())
+  .filter((p, i, all) => p && all.indexOf(p) === i)
+  .map((id) => ({ id, label: PROVIDER_LABELS[id] ?? id }));
+
+// The current page without query or hash, so links keep the GitHub Pages base path.
+function redirectUrl() {
+  return window.location.origin + window.location.pathname;
+}
+
+// Whether the page was opened from a password-reset link. Read while the
+// modules load: the client consumes the URL right after, and its
+// PASSWORD_RECOVERY event can fire before App subscribes to it.
+export const OPENED_FROM_RECOVERY_LINK =
+  typeof window !== "undefined" &&
+  [window.location.hash, window.location.search].some((part) => /(^|[#&?])type=recovery(&|$)/.test(part));
+
+const REDIRECT_ERROR_PARAMS = ["error", "error_code", "error_description"];
+
+function redirectErrorParams() {
+  const hash = new URLSearchParams(window.location.hash.slice(1));
+  if (hash.has("error") || hash.has("error_description")) return hash;
+  const search = new URLSearchParams(window.location.search);
+  return search.has("error") || search.has("error_description") ? search : null;
+}
+
+// Supabase reports a failed redirect (expired or reused link, cancelled OAuth
+// consent) in the URL instead of an exception.
+export function readRedirectError() {
+  const params = redirectErrorParams();
+  if (!params) return "";
+  const code = params.get("error_code");
+  if (code && hasMessage(`auth.error.${code}`)) return tr(`auth.error.${code}`);
+  return params.get("error_description") || tr("auth.error.link");
+}
+
+// So a reload doesn't show the same error again.
+export function clearRedirectError() {
+  if (!redirectErrorParams()) return;
+  const search = new URLSearchParams(window.location.search);
+  for (const key of REDIRECT_ERROR_PARAMS) search.delete(key);
+  const query = search.toString();
+  window.history.replaceState(window.history.state, "", window.location.pathname + (query ? `?${query}` : ""));
+}
+
+// Supabase auth errors carry a stable `code`; known ones get a message in the
+// UI language, anything else falls back to the server's English text.
+export function authErrorMessage(error) {
+  if (!error) return "";
+  if (error.code && hasMessage(`auth.error.${error.code}`)) return tr(`auth.error.${error.code}`);
+  // Fetch failures (offline, blocked) come without a code.
+  if (error.name === "AuthRetryableFetchError") return tr("auth.error.network");
+  return error.message || tr("auth.error.unknown");
+}
+
+// Sign-up with "Confirm email" turned on gives back a user without a session.
+// An address that is already registered comes back without identities
+// (Supabase doesn't reveal that it exists), so nothing is sent in that case.
+export async function signUpWithPassword(client, email, password) {
+  const { data, error } = await client.auth.signUp({
+    email,
+    password,
+    options: { emailRedirectTo: redirectUrl() },
+  });
+  if (error) return { error: authErrorMessage(error) };
+  if (data.session) return { status: "signed-in" };
+  if (data.user?.identities?.length === 0) return { status: "exists" };
+  return { status: "confirm" };
+}
+
+export function isEmailNotConfirmed(error) {
+  return error?.code === "email_not_confirmed" || /email not confirmed/i.test(error?.message ?? "");
+}
+
+export async function resendConfirmation(client, email) {
+  const { error } = await client.auth.resend({
+    type: "signup",
+    email,
+    options: { emailRedirectTo: redirectUrl() },
+  });
+  return authErrorMessage(error);
+}
+
+// Magic links only sign existing users in; registration stays explicit.
+export async function sendMagicLink(client, email) {
+  const { error } = await client.auth.signInWithOtp({
+    email,
+    options: { emailRedirectTo: redirectUrl(), shouldCreateUser: false },
+  });
+  // With sign-ups off for OTP, an unknown address is reported as otp_disabled.
+  if (error?.code === "otp_disabled") return tr("auth.error.user_not_found");
+  return authErrorMessage(error);
+}
+
+// The reset link signs the user in and fires PASSWORD_RECOVERY, which is
+// when the app asks for the new password.
+export async function sendPasswordReset(client, email) {
+  const { error } = await client.auth.resetPasswordForEmail(email, { redirectTo: redirectUrl() });
+  return authErrorMessage(error);
+}
+
+export async function updatePassword(client, password) {
+  const { error } = await client.auth.updateUser({ password });
+  return authErrorMessage(error);
+}
+
+// Leaves the page; on success Supabase redirects back with the session.
+export async function signInWithProvider(client, provider) {
+  const { error } = await client.auth.signInWithOAuth({
+    provider,
+    options: { redirectTo: redirectUrl() },
+  });
+  return authErrorMessage(error);
+}
@@ -0,0 +1,69 @@
+// Due dates are stored as local calendar values: `dueDate` is "YYYY-MM-DD",
+// `dueTime` is an optional "HH:MM". A task without a time is due by the end
+// of its day.
+
+import { formatDate, formatTime, tr } from "./i18n";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+export function toDateKey(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function parseDateKey(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+export function addDays(key, days) {
+  const date = parseDateKey(key);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+}
+
+// Milliseconds timestamp of the moment the task becomes overdue, or null.
+export function dueAt(task) {
+  if (!task.dueDate) return null;
+  const date = parseDateKey(task.dueDate);
+  if (!task.dueTime) return date.getTime() + DAY_MS;
+
+  const [h, min] = task.dueTime.split(":").map(Number);
+  date.setHours(h, min, 0, 0);
+  return date.getTime();
+}
+
+export function isOverdue(task, now) {
+  const at = dueAt(task);
+  return !task.done && at !== null && at <= now;
+}
+
+export function isDueToday(task, now) {
+  return Boolean(task.dueDate) && task.dueDate === toDateKey(new Date(now));
+}
+
+// Soonest first; tasks without a due date keep their order at the end.
+export function compareByDue(a, b) {
+  const left = dueAt(a);
+  const right = dueAt(b);
+  if (left === right) return 0;
+  if (left === null) return 1;
+  if (right === null) return -1;
+  return left - right;
+}
+
+export function formatDue(task, now) {
+  if (!task.dueDate) return "";
+
+  const today = toDateKey(new Date(now));
+  let day;
+  if (task.dueDate === today) day = tr("due.today");
+  else if (task.dueDate === addDays(today, 1)) day = tr("due.tomorrow");
+  else if (task.dueDate === addDays(today, -1)) day = tr("due.yesterday");
+  else day = formatDate(parseDateKey(task.dueDate), { day: "numeric", month: "short" });
+
+  return task.dueTime ? `${day}, ${formatTime(task.dueTime)}` : day;
+}
@@ -0,0 +1,108 @@
+// UI language. Messages live in one catalog per language (src/locales),
+// under flat dotted keys. A message is a string with {param} placeholders,
+// or, when it depends on a number, an object of plural forms keyed by
+// Intl.PluralRules categories ("one", "few", "many", "other"), picked by the
+// `count` param.
+//
+// The language is module state rather than React context, so that helpers
+// outside components (due dates, recurrence, import errors) translate too;
+// App subscribes with useSyncExternalStore and re-renders on a switch.
+
+import { en } from "./locales/en";
+import { ru } from "./locales/ru";
+
+export const LOCALES = {
+  ru: { label: "Русский", messages: ru },
+  en: { label: "English", messages: en },
+};
+
+const LOCALE_KEY = "todo.locale.v1";
+// The app was written in Russian, so its catalog is the complete one.
+const SOURCE_LOCALE = "ru";
+const DEFAULT_LOCALE = "en";
+
+function storedLocale() {
+  try {
+    const raw = localStorage.getItem(LOCALE_KEY);
+    if (raw && LOCALES[raw]) return raw;
+  } catch {
+    // ignore storage errors
+  }
+  return null;
+}
+
+// The first of the browser's preferred languages we have a catalog for.
+function browserLocale() {
+  const preferred = typeof navigator === "undefined" ? [] : (navigator.languages ?? [navigator.language]);
+  for (const tag of preferred) {
+    // "en-US" → "en"
+    const language = `${tag ?? ""}`.toLowerCase().split("-")[0];
+    if (LOCALES[language]) return language;
+  }
+  return DEFAULT_LOCALE;
+}
+
+let locale = storedLocale() ?? browserLocale();
+const listeners = new Set();
+const pluralRules = new Map();
+
+function applyDocumentLanguage() {
+  if (typeof document !== "undefined") document.documentElement.lang = locale;
+}
+
+applyDocumentLanguage();
+
+export function getLocale() {
+  return locale;
+}
+
+// Shaped for useSyncExternalStore, like the repositories.
+export function subscribeLocale(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function setLocale(next) {
+  if (!LOCALES[next] || next === locale) return;
+  locale = next;
+  try {
+    localStorage.setItem(LOCALE_KEY, next);
+  } catch {
+    // ignore storage errors
+  }
+  applyDocumentLanguage();
+  listeners.forEach((listener) => listener());
+}
+
+function lookup(key) {
+  return LOCALES[locale].messages[key] ?? LOCALES[SOURCE_LOCALE].messages[key];
+}
+
+export function hasMessage(key) {
+  return lookup(key) !== undefined;
+}
+
+function pluralForm(forms, count) {
+  if (!pluralRules.has(locale)) pluralRules.set(locale, new Intl.PluralRules(locale));
+  return forms[pluralRules.get(locale).select(count)] ?? forms.other;
+}
+
+// The message for `key` in the current language; the key itself when no
+// catalog has it, so a missing message shows up instead of an empty label.
+export function tr(key, params = {}) {
+  const message = lookup(key);
+  if (message === undefined) return key;
+  const text = typeof message === "string" ? message : pluralForm(message, Number(params.count));
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Dates and times in the current language's conventions.
+export function formatDate(date, options) {
+  return new Intl.DateTimeFormat(locale, options).format(date);
+}
+
+// "HH:MM" as the current language writes it (14:30 or 2:30 PM).
+export function formatTime(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return formatDate(new Date(2000, 0, 1, hours, minutes), { hour: "numeric", minute: "2-digit" });
+}
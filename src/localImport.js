@@ -0,0 +1,52 @@
+// Moving anonymous (localStorage) tasks into an account on sign-in.
+
+const HANDLED_KEY = "todo.imported.v1";
+
+export function normalizeTitle(title) {
+  return String(title ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+// Local task ids the user has already decided about, per account, so the
+// offer isn't repeated on every login.
+function loadHandled() {
+  try {
+    const raw = localStorage.getItem(HANDLED_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function markImportHandled(userId, ids) {
+  const handled = loadHandled();
+  const prev = handled[userId] ?? [];
+  handled[userId] = [...new Set([...prev, ...ids])];
+  try {
+    localStorage.setItem(HANDLED_KEY, JSON.stringify(handled));
+  } catch {
+    // ignore storage errors
+  }
+}
+
+// Local tasks worth offering: not decided on before, and not already in the
+// account under the same title (first one wins among local duplicates).
+export function findImportCandidates(userId, localTasks, remoteTasks) {
+  const handled = new Set(loadHandled()[userId] ?? []);
+  const seen = new Set(remoteTasks.map((t) => normalizeTitle(t.title)));
+  const candidates = [];
+  const duplicates = [];
+
+  for (const task of localTasks) {
+    if (handled.has(task.id)) continue;
+    const key = normalizeTitle(task.title);
+    if (!key || seen.has(key)) {
+      duplicates.push(task.id);
+      continue;
+    }
+    seen.add(key);
+    candidates.push(task);
+  }
+
+  return { candidates, duplicates };
+}
@@ -0,0 +1,425 @@
+// English messages. A key missing here falls back to the Russian catalog.
+
+export const en = {
+  "app.title": "To-do list",
+  "app.subtitle": "Add tasks and check them off — everything in one place.",
+  "app.doneCounter": {
+    one: "{done} of {total} task done",
+    other: "{done} of {total} tasks done",
+  },
+  "app.language": "Language",
+
+  "demo.first": "Ship my first vibe project 😎",
+  "demo.second": "Add a task",
+
+  "filters.all": "All",
+  "filters.active": "Active",
+  "filters.done": "Done",
+  "filters.today": "Today",
+  "filters.overdue": "Overdue",
+
+  "empty.all": "No tasks yet. Add the first one 🙂",
+  "empty.active": "No active tasks. Time to breathe out 🙂",
+  "empty.done": "No completed tasks yet.",
+  "empty.today": "Nothing planned for today.",
+  "empty.overdue": "No overdue tasks 👍",
+  "empty.noMatches": "Nothing found.",
+
+  "history.undone": "Undone: {action}",
+  "history.redone": "Redone: {action}",
+  "history.undo": "Undo",
+  "history.redo": "Redo",
+  "history.import": "task import",
+  "history.addTask": "adding a task",
+  "history.uncheck": "unchecking a task",
+  "history.check": "checking off a task",
+  "history.removeTask": "deleting a task",
+  "history.clearCompleted": "clearing completed",
+  "history.moveTask": "moving a task",
+  "history.addSubtask": "adding a subtask",
+  "history.editTask": "editing a task",
+  "history.restore": "restoring from the trash",
+  "history.checkMany": "checking off tasks",
+  "history.uncheckMany": "unchecking tasks",
+  "history.prioritize": "changing priority",
+  "history.moveTasks": "moving tasks to another list",
+  "history.removeTasks": "deleting tasks",
+  "history.purge": "deleting for good",
+
+  "toast.taskRemoved": "Task deleted",
+  "toast.tasksRemoved": {
+    one: "{count} task deleted",
+    other: "{count} tasks deleted",
+  },
+  "toast.taskTrashed": "Task moved to the trash",
+  "toast.tasksTrashed": {
+    one: "{count} task moved to the trash",
+    other: "{count} tasks moved to the trash",
+  },
+  "toast.tasksRestored": {
+    one: "{count} task restored",
+    other: "{count} tasks restored",
+  },
+  "toast.tasksMoved": {
+    one: "{count} task moved to {list}",
+    other: "{count} tasks moved to {list}",
+  },
+  "toast.undo": "Undo",
+  "toast.redo": "Redo",
+
+  "reminders.title": "A task is due soon",
+  "reminders.enable": "Turn on reminders",
+  "reminders.enableHint": "Notify a few minutes before tasks that have a due time",
+  "reminders.denied": "Reminders are blocked in the browser",
+
+  "errors.load": "Couldn't load tasks from Supabase.",
+  "errors.rejected": "You don't have permission for this change — it was reverted.",
+  "errors.rolledBack": {
+    one: "The change to {count} task failed and was reverted: {message}",
+    other: "The change to {count} tasks failed and was reverted: {message}",
+  },
+
+  "lists.inbox": "Inbox",
+  "lists.confirmLeave": "Leave the list “{name}”?",
+  "lists.confirmDeleteWithTasks": {
+    one: "Delete the list “{name}” and its {count} task?",
+    other: "Delete the list “{name}” and its {count} tasks?",
+  },
+  "lists.confirmDelete": "Delete the list “{name}”?",
+  "lists.namePlaceholder": "List name",
+  "lists.add": "+ List",
+  "lists.rename": "Rename",
+  "lists.moveLeft": "Move left",
+  "lists.moveRight": "Move right",
+  "lists.sharing": "Sharing",
+  "lists.delete": "Delete list",
+
+  "sharing.title": "Who has access",
+  "sharing.yourRole": "Shared list, your role: {role}",
+  "sharing.role.owner": "owner",
+  "sharing.role.editor": "editor",
+  "sharing.role.viewer": "viewer",
+  "sharing.you": "you",
+  "sharing.formerMember": "former member",
+  "sharing.revoke": "Remove access",
+  "sharing.emailPlaceholder": "member's email",
+  "sharing.invite": "Invite",
+  "sharing.leave": "Leave list",
+  "sharing.error.notRegistered": "No user is registered with this email.",
+  "sharing.error.notOwner": "Only the list owner can invite people.",
+  "sharing.error.cannotInvite": "This user can't be invited.",
+  "sharing.error.invite": "Couldn't invite the user.",
+  "sharing.error.leave": "Couldn't leave the list.",
+
+  "supabase.notConfigured":
+    "Supabase isn't configured. Add {url} and {key} to the env (locally in {env}, on GitHub Pages in the build env) and restart the dev server.",
+
+  "auth.signedInAs": "Signed in as {email}",
+  "auth.offline": "offline",
+  "auth.signOut": "Sign out",
+  "auth.recoveryPrompt": "You signed in with a password reset link. Choose a new password.",
+  "auth.newPasswordPlaceholder": "new password",
+  "auth.savePassword": "Save password",
+  "auth.later": "Later",
+  "auth.confirmTitle": "Confirm your email",
+  "auth.confirmText":
+    "We sent an email to {email}. Follow the link in it and you'll be signed in automatically. No email? Check your spam folder.",
+  "auth.resend": "Send again",
+  "auth.back": "Back",
+  "auth.emailPlaceholder": "email",
+  "auth.passwordPlaceholder": "password",
+  "auth.signIn": "Sign in",
+  "auth.signUp": "Sign up",
+  "auth.sendLink": "Send link",
+  "auth.resetPassword": "Reset password",
+  "auth.orWith": "or continue with",
+  "auth.modePassword": "Sign in with password",
+  "auth.modeMagic": "Sign in with an email link",
+  "auth.modeReset": "Forgot password?",
+  "auth.localNote": "Until you sign in, tasks are stored on this device. After that, in Supabase.",
+  "auth.emailTaken": "This email is already registered. Sign in or reset your password.",
+  "auth.magicLinkSent": "A sign-in link was sent to {email}. Open it on this device.",
+  "auth.resetSent": "A password reset link was sent to {email}.",
+  "auth.resent": "Email sent again.",
+  "auth.passwordTooShort": "The password must be at least 6 characters long.",
+  "auth.passwordUpdated": "Password updated.",
+
+  // Supabase auth error codes (AuthError#code).
+  "auth.error.invalid_credentials": "Wrong email or password.",
+  "auth.error.email_not_confirmed": "This email hasn't been confirmed yet.",
+  "auth.error.user_already_exists": "This email is already registered.",
+  "auth.error.email_exists": "This email is already registered.",
+  "auth.error.weak_password": "The password is too weak.",
+  "auth.error.same_password": "The new password must be different from the old one.",
+  "auth.error.over_email_send_rate_limit": "Too many emails. Wait a little and try again.",
+  "auth.error.over_request_rate_limit": "Too many attempts. Wait a little and try again.",
+  "auth.error.email_address_invalid": "Invalid email address.",
+  "auth.error.signup_disabled": "Sign-ups are turned off.",
+  "auth.error.email_provider_disabled": "Email sign-in is turned off.",
+  "auth.error.provider_disabled": "This sign-in method is turned off.",
+  "auth.error.otp_expired": "The link has expired or was already used. Request a new one.",
+  "auth.error.user_not_found": "No user is registered with this email.",
+  "auth.error.session_expired": "Your session has expired. Sign in again.",
+  "auth.error.session_not_found": "Session not found. Sign in again.",
+  "auth.error.user_banned": "This user is blocked.",
+  "auth.error.validation_failed": "Check what you entered.",
+  "auth.error.network": "Can't reach the server. Check your connection.",
+  "auth.error.unknown": "Something went wrong. Try again.",
+  "auth.error.link": "Couldn't sign in with the link.",
+
+  "sync.pending": "not synced: {count}",
+  "sync.pendingTitle": "Waiting to sync",
+  "sync.syncedTitle": "Synced",
+
+  "storage.tasks": "Tasks",
+  "storage.lists": "Lists",
+  "storage.readPartially": "{collection} on this device were only partly read: {problem}.",
+  "storage.problem.unparsable": "the data is damaged",
+  "storage.problem.unknown-format": "unknown format",
+  "storage.problem.newer-version": "they were saved by a newer version of the app",
+  "storage.problem.invalid-records": {
+    one: "{count} invalid record skipped",
+    other: "{count} invalid records skipped",
+  },
+  "storage.backupSaved": "The original data was saved to {key}.",
+  "storage.downloadBackup": "Download a copy",
+  "storage.backupFailed": "The backup couldn't be saved, so changes aren't written until storage has room again.",
+  "storage.dismiss": "Got it",
+
+  "import.offer": {
+    one: "This device has {count} task created before you signed in. Move it to your account?",
+    other: "This device has {count} tasks created before you signed in. Move them to your account?",
+  },
+  "import.all": "Move all",
+  "import.selected": "Move selected ({count})",
+  "import.none": "Don't move",
+
+  "add.placeholder": "For example: take one small step today",
+  "add.readOnly": "This list is read-only",
+  "quickAdd.preview": "Will add:",
+  "quickAdd.hint":
+    'Type a date, time, priority or repeat rule with the task: "buy milk tomorrow 18:00 !high #home every week". Put a backslash before a word to keep it in the title: \\tomorrow',
+  "due.label": "Due:",
+  "due.today": "today",
+  "due.tomorrow": "tomorrow",
+  "due.yesterday": "yesterday",
+  "search.placeholder": "Search tasks and #tags",
+  "sort.manual": "Manual",
+  "sort.due": "By due date",
+  "sort.priority": "By priority",
+  "sort.created": "Newest first",
+  "sort.title": "Alphabetical",
+  "priority.label": "Priority",
+  "priority.urgent": "Urgent",
+  "priority.high": "High",
+  "priority.normal": "Normal",
+  "priority.low": "Low",
+  "tasks.clearCompleted": "Clear completed",
+
+  "transfer.export": "Export:",
+  "transfer.import": "Import…",
+  "transfer.summary": {
+    one: "{file}: {count} task",
+    other: "{file}: {count} tasks",
+  },
+  "transfer.duplicates": ", {count} already in the list",
+  "transfer.line": "Line {line}",
+  "transfer.duplicate": "duplicate",
+  "transfer.skipDuplicates": "Skip duplicates",
+  "transfer.apply": "Import ({count})",
+  "transfer.cancel": "Cancel",
+  "transfer.error.noTitle": "no title",
+  "transfer.error.badDate": "invalid date “{value}”",
+  "transfer.error.badTime": "invalid time “{value}”",
+  "transfer.error.timeWithoutDate": "time without a date",
+  "transfer.error.badPriority": "unknown priority “{value}”",
+  "transfer.error.json": "Invalid JSON: {reason}",
+  "transfer.error.notArray": "Expected an array of tasks.",
+  "transfer.error.noTitleColumn": "The CSV has no title column.",
+  "transfer.error.subtask": "subtask: {problems}",
+  "transfer.error.empty": "No tasks found in the file.",
+
+  "tasks.loading": "Loading tasks from Supabase…",
+
+  "task.move": "Move task",
+  "task.moveHint": "Drag, or use ↑/↓",
+  "task.addedBy": "added by {name}",
+  "task.completedBy": "completed by {name}",
+  "task.subtasks": "Subtasks",
+  "task.addSubtask": "Add subtask",
+  "task.retry": "Send again",
+  "task.discard": "Discard local changes",
+  "task.delete": "Delete",
+  "details.open": "Details",
+  "details.openNotes": "Details and notes",
+  "details.close": "Hide details",
+  "details.notes": "Notes",
+  "details.editNotes": "Edit",
+  "details.doneEditing": "Done",
+  "details.notesPlaceholder": "Markdown: **bold**, *italic*, [links](https://…), - [ ] checklists. Saved as you type.",
+  "details.noNotes": "No notes yet. Press Edit to add some.",
+  "details.noNotesReadOnly": "No notes.",
+  "details.notesUnavailable": "No notes. The database doesn't store notes until its migrations are applied.",
+  "details.created": "Created {time}",
+  "details.updated": "Edited {time}",
+  "details.completed": "Completed {time}",
+  "details.unknownTime": "at an unknown time",
+  "subtask.placeholder": "New subtask",
+
+  "recurrence.label": "Repeat",
+  "recurrence.intervalHint": "Interval in days",
+  "recurrence.option.none": "Don't repeat",
+  "recurrence.option.daily": "Every day",
+  "recurrence.option.weekdays": "Weekdays",
+  "recurrence.option.weekly": "On days of the week",
+  "recurrence.option.monthly": "Every month",
+  "recurrence.option.interval": "Every N days",
+  "recurrence.summary.daily": "every day",
+  "recurrence.summary.weekdays": "on weekdays",
+  "recurrence.summary.monthly": "every month",
+  "recurrence.summary.weekly": "on {days}",
+  "recurrence.summary.interval": {
+    one: "every {count} day",
+    other: "every {count} days",
+  },
+  "recurrence.weekday.1": "Mo",
+  "recurrence.weekday.2": "Tu",
+  "recurrence.weekday.3": "We",
+  "recurrence.weekday.4": "Th",
+  "recurrence.weekday.5": "Fr",
+  "recurrence.weekday.6": "Sa",
+  "recurrence.weekday.0": "Su",
+  "recurrence.dayInList.1": "Mon",
+  "recurrence.dayInList.2": "Tue",
+  "recurrence.dayInList.3": "Wed",
+  "recurrence.dayInList.4": "Thu",
+  "recurrence.dayInList.5": "Fri",
+  "recurrence.dayInList.6": "Sat",
+  "recurrence.dayInList.0": "Sun",
+
+  "palette.label": "Command palette",
+  "palette.placeholder": "Command…",
+  "palette.empty": "No such command.",
+
+  "commands.add": "New task",
+  "commands.search": "Search",
+  "commands.show": "Show: {filter}",
+  "commands.sort.manual": "Sort: manual",
+  "commands.sort.due": "Sort: by due date",
+  "commands.sort.priority": "Sort: by priority",
+  "commands.sort.created": "Sort: newest first",
+  "commands.sort.title": "Sort: alphabetical",
+  "commands.openList": "Open list: {name}",
+  "commands.uncheck": "Uncheck the selected task",
+  "commands.check": "Check off the selected task",
+  "commands.edit": "Edit the selected task",
+  "commands.delete": "Delete the selected task",
+  "commands.undo": "Undo: {action}",
+  "commands.redo": "Redo: {action}",
+  "commands.clearCompleted": "Clear completed",
+  "commands.export": "Export: {format}",
+  "commands.help": "Keyboard shortcuts",
+  "commands.stats": "Statistics",
+  "commands.trash": "Trash",
+  "commands.details": "Show task details",
+  "commands.closeDetails": "Hide task details",
+  "commands.select": "Select tasks",
+  "commands.stopSelecting": "Stop selecting",
+  "commands.language": "Language: {language}",
+  "commands.signOut": "Sign out",
+
+  "shortcuts.title": "Keyboard shortcuts",
+  "shortcuts.button": "Keyboard shortcuts (?)",
+  "shortcuts.hint": "Keys work while the cursor isn't in a text field.",
+  "shortcuts.navigate": "next / previous task",
+  "shortcuts.toggle": "check off or uncheck",
+  "shortcuts.edit": "edit",
+  "shortcuts.details": "details and notes",
+  "shortcuts.delete": "delete",
+  "shortcuts.filters": "all / active / done",
+  "shortcuts.search": "search",
+  "shortcuts.palette": "command palette",
+  "shortcuts.undoRedo": "undo / redo",
+  "shortcuts.help": "this help",
+  "shortcuts.escape": "close or clear the selection",
+
+  "bulk.select": "Select",
+  "bulk.stop": "Done selecting",
+  "bulk.selected": {
+    one: "{count} selected",
+    other: "{count} selected",
+  },
+  "bulk.selectAll": "Select all",
+  "bulk.selectNone": "Select none",
+  "bulk.complete": "Check off",
+  "bulk.reopen": "Uncheck",
+  "bulk.priority": "Priority…",
+  "bulk.move": "Move to…",
+  "bulk.delete": "Delete",
+  "bulk.selectTask": "Select “{title}”",
+  "bulk.rangeHint": "Shift-click to select a range",
+
+  "trash.title": "Trash",
+  "trash.close": "Close the trash",
+  "trash.purgeAfter": "Delete for good after",
+  "trash.days": {
+    one: "{count} day",
+    other: "{count} days",
+  },
+  "trash.never": "never",
+  "trash.unavailable": "The database has no trash yet: deleted tasks are removed right away.",
+  "trash.deletedAt": "deleted {date}",
+  "trash.subtasks": {
+    one: "with {count} subtask",
+    other: "with {count} subtasks",
+  },
+  "trash.restore": "Restore",
+  "trash.purge": "Delete for good",
+  "trash.empty": "The trash is empty.",
+  "trash.emptyTrash": "Empty the trash",
+  "trash.confirmEmpty": {
+    one: "Delete {count} task for good?",
+    other: "Delete {count} tasks for good?",
+  },
+  "trash.confirmShorten": {
+    one: "{count} task has been in the trash longer than that and will be deleted for good now. Continue?",
+    other: "{count} tasks have been in the trash longer than that and will be deleted for good now. Continue?",
+  },
+
+  "pwa.updateReady": "A new version of the app is available.",
+  "pwa.reload": "Reload",
+  "pwa.later": "Later",
+
+  "stats.title": "Statistics",
+  "stats.close": "Close statistics",
+  "stats.today": "Done today",
+  "stats.thisWeek": "Done this week",
+  "stats.streak": "Streak",
+  "stats.days": {
+    one: "{count} day",
+    other: "{count} days",
+  },
+  "stats.average": "Average time to done",
+  "stats.noAverage": "—",
+  "stats.perDay": "Completed per day",
+  "stats.perWeek": "Completed per week",
+  "stats.weekOf": "Week of {date}",
+  "stats.heatmap": "Last six months",
+  "stats.completed": {
+    one: "{count} task completed",
+    other: "{count} tasks completed",
+  },
+  "stats.empty": "No completed tasks yet. Check off a task and it will show up here.",
+  "stats.duration.days": {
+    one: "{count} day",
+    other: "{count} days",
+  },
+  "stats.duration.hours": {
+    one: "{count} hour",
+    other: "{count} hours",
+  },
+  "stats.duration.minutes": {
+    one: "{count} minute",
+    other: "{count} minutes",
+  },
+};
@@ -0,0 +1,464 @@
+// Russian messages, the app's source language: every key exists here.
+
+export const ru = {
+  "app.title": "Список дел",
+  "app.subtitle": "Добавляй задачи и отмечай выполненное — всё под рукой.",
+  "app.doneCounter": {
+    one: "Сделано {done} из {total} задачи",
+    few: "Сделано {done} из {total} задач",
+    many: "Сделано {done} из {total} задач",
+    other: "Сделано {done} из {total} задачи",
+  },
+  "app.language": "Язык",
+
+  "demo.first": "Сделать первый вайб-проект 😎",
+  "demo.second": "Добавить задачу",
+
+  "filters.all": "Все",
+  "filters.active": "Активные",
+  "filters.done": "Выполненные",
+  "filters.today": "Сегодня",
+  "filters.overdue": "Просроченные",
+
+  "empty.all": "Пока задач нет. Добавь первую 🙂",
+  "empty.active": "Активных задач нет. Можно выдохнуть 🙂",
+  "empty.done": "Выполненных задач пока нет.",
+  "empty.today": "На сегодня ничего не запланировано.",
+  "empty.overdue": "Просроченных задач нет 👍",
+  "empty.noMatches": "Ничего не найдено.",
+
+  "history.undone": "Отменено: {action}",
+  "history.redone": "Повторено: {action}",
+  "history.undo": "Отменить",
+  "history.redo": "Повторить",
+  "history.import": "импорт задач",
+  "history.addTask": "добавление задачи",
+  "history.uncheck": "снятие отметки",
+  "history.check": "отметка выполнения",
+  "history.removeTask": "удаление задачи",
+  "history.clearCompleted": "очистка выполненных",
+  "history.moveTask": "перемещение задачи",
+  "history.addSubtask": "добавление подзадачи",
+  "history.editTask": "изменение задачи",
+  "history.restore": "восстановление из корзины",
+  "history.checkMany": "отметка задач",
+  "history.uncheckMany": "снятие отметок",
+  "history.prioritize": "смена приоритета",
+  "history.moveTasks": "перенос задач в другой список",
+  "history.removeTasks": "удаление задач",
+  "history.purge": "окончательное удаление",
+
+  "toast.taskRemoved": "Задача удалена",
+  "toast.tasksRemoved": {
+    one: "Удалена {count} задача",
+    few: "Удалено {count} задачи",
+    many: "Удалено {count} задач",
+    other: "Удалено {count} задачи",
+  },
+  "toast.taskTrashed": "Задача перемещена в корзину",
+  "toast.tasksTrashed": {
+    one: "В корзину перемещена {count} задача",
+    few: "В корзину перемещено {count} задачи",
+    many: "В корзину перемещено {count} задач",
+    other: "В корзину перемещено {count} задачи",
+  },
+  "toast.tasksRestored": {
+    one: "Восстановлена {count} задача",
+    few: "Восстановлено {count} задачи",
+    many: "Восстановлено {count} задач",
+    other: "Восстановлено {count} задачи",
+  },
+  "toast.tasksMoved": {
+    one: "{count} задача перенесена в «{list}»",
+    few: "{count} задачи перенесены в «{list}»",
+    many: "{count} задач перенесено в «{list}»",
+    other: "{count} задачи перенесены в «{list}»",
+  },
+  "toast.undo": "Отменить",
+  "toast.redo": "Вернуть",
+
+  "reminders.title": "Скоро срок задачи",
+  "reminders.enable": "Включить напоминания",
+  "reminders.enableHint": "Уведомлять о задачах со временем за несколько минут до срока",
+  "reminders.denied": "Напоминания запрещены в браузере",
+
+  "errors.load": "Не удалось загрузить задачи из Supabase.",
+  "errors.rejected": "Нет прав на это изменение — оно отменено.",
+  "errors.rolledBack": {
+    one: "Изменение {count} задачи не удалось и отменено: {message}",
+    few: "Изменение {count} задач не удалось и отменено: {message}",
+    many: "Изменение {count} задач не удалось и отменено: {message}",
+    other: "Изменение {count} задачи не удалось и отменено: {message}",
+  },
+
+  "lists.inbox": "Входящие",
+  "lists.confirmLeave": "Покинуть список «{name}»?",
+  "lists.confirmDeleteWithTasks": {
+    one: "Удалить список «{name}» и {count} задачу в нём?",
+    few: "Удалить список «{name}» и {count} задачи в нём?",
+    many: "Удалить список «{name}» и {count} задач в нём?",
+    other: "Удалить список «{name}» и {count} задачи в нём?",
+  },
+  "lists.confirmDelete": "Удалить список «{name}»?",
+  "lists.namePlaceholder": "Название списка",
+  "lists.add": "+ Список",
+  "lists.rename": "Переименовать",
+  "lists.moveLeft": "Сдвинуть левее",
+  "lists.moveRight": "Сдвинуть правее",
+  "lists.sharing": "Доступ",
+  "lists.delete": "Удалить список",
+
+  "sharing.title": "Доступ к списку",
+  "sharing.yourRole": "Общий список, ваша роль — {role}",
+  "sharing.role.owner": "владелец",
+  "sharing.role.editor": "редактор",
+  "sharing.role.viewer": "читатель",
+  "sharing.you": "вы",
+  "sharing.formerMember": "бывший участник",
+  "sharing.revoke": "Закрыть доступ",
+  "sharing.emailPlaceholder": "email участника",
+  "sharing.invite": "Пригласить",
+  "sharing.leave": "Покинуть список",
+  "sharing.error.notRegistered": "Пользователь с таким email не зарегистрирован.",
+  "sharing.error.notOwner": "Приглашать может только владелец списка.",
+  "sharing.error.cannotInvite": "Этого пользователя нельзя пригласить.",
+  "sharing.error.invite": "Не удалось пригласить пользователя.",
+  "sharing.error.leave": "Не удалось покинуть список.",
+
+  "supabase.notConfigured":
+    "Supabase не настроен. Добавь {url} и {key} в env (локально — через {env}, на GitHub Pages — через build env), и перезапусти dev-сервер.",
+
+  "auth.signedInAs": "Вход: {email}",
+  "auth.offline": "офлайн",
+  "auth.signOut": "Выйти",
+  "auth.recoveryPrompt": "Вы вошли по ссылке для сброса пароля. Задайте новый пароль.",
+  "auth.newPasswordPlaceholder": "новый пароль",
+  "auth.savePassword": "Сохранить пароль",
+  "auth.later": "Позже",
+  "auth.confirmTitle": "Подтвердите email",
+  "auth.confirmText":
+    "Мы отправили письмо на {email}. Перейдите по ссылке из письма — после этого вы войдёте автоматически. Письма нет — проверьте «Спам».",
+  "auth.resend": "Отправить ещё раз",
+  "auth.back": "Назад",
+  "auth.emailPlaceholder": "email",
+  "auth.passwordPlaceholder": "password",
+  "auth.signIn": "Войти",
+  "auth.signUp": "Регистрация",
+  "auth.sendLink": "Прислать ссылку",
+  "auth.resetPassword": "Сбросить пароль",
+  "auth.orWith": "или через",
+  "auth.modePassword": "Вход с паролем",
+  "auth.modeMagic": "Войти по ссылке из письма",
+  "auth.modeReset": "Забыли пароль?",
+  "auth.localNote": "До логина задачи хранятся локально. После логина — в Supabase.",
+  "auth.emailTaken": "Этот email уже зарегистрирован. Войдите или восстановите пароль.",
+  "auth.magicLinkSent": "Ссылка для входа отправлена на {email}. Откройте её на этом устройстве.",
+  "auth.resetSent": "Письмо со ссылкой для сброса пароля отправлено на {email}.",
+  "auth.resent": "Письмо отправлено ещё раз.",
+  "auth.passwordTooShort": "Пароль должен быть не короче 6 символов.",
+  "auth.passwordUpdated": "Пароль обновлён.",
+
+  // Supabase auth error codes (AuthError#code).
+  "auth.error.invalid_credentials": "Неверный email или пароль.",
+  "auth.error.email_not_confirmed": "Email ещё не подтверждён.",
+  "auth.error.user_already_exists": "Этот email уже зарегистрирован.",
+  "auth.error.email_exists": "Этот email уже зарегистрирован.",
+  "auth.error.weak_password": "Пароль слишком простой.",
+  "auth.error.same_password": "Новый пароль должен отличаться от старого.",
+  "auth.error.over_email_send_rate_limit": "Слишком много писем. Подождите немного и попробуйте снова.",
+  "auth.error.over_request_rate_limit": "Слишком много попыток. Подождите немного и попробуйте снова.",
+  "auth.error.email_address_invalid": "Некорректный email.",
+  "auth.error.signup_disabled": "Регистрация отключена.",
+  "auth.error.email_provider_disabled": "Вход по email отключён.",
+  "auth.error.provider_disabled": "Этот способ входа отключён.",
+  "auth.error.otp_expired": "Ссылка устарела или уже использована. Запросите новую.",
+  "auth.error.user_not_found": "Пользователь с таким email не зарегистрирован.",
+  "auth.error.session_expired": "Сессия истекла. Войдите снова.",
+  "auth.error.session_not_found": "Сессия не найдена. Войдите снова.",
+  "auth.error.user_banned": "Пользователь заблокирован.",
+  "auth.error.validation_failed": "Проверьте введённые данные.",
+  "auth.error.network": "Нет связи с сервером. Проверьте подключение.",
+  "auth.error.unknown": "Что-то пошло не так. Попробуйте ещё раз.",
+  "auth.error.link": "Не удалось войти по ссылке.",
+
+  "sync.pending": "не синхронизировано: {count}",
+  "sync.pendingTitle": "Ожидает синхронизации",
+  "sync.syncedTitle": "Синхронизировано",
+
+  "storage.tasks": "Задачи",
+  "storage.lists": "Списки",
+  "storage.readPartially": "{collection} на этом устройстве прочитаны не полностью: {problem}.",
+  "storage.problem.unparsable": "данные повреждены",
+  "storage.problem.unknown-format": "неизвестный формат",
+  "storage.problem.newer-version": "они сохранены более новой версией приложения",
+  "storage.problem.invalid-records": {
+    one: "пропущена {count} некорректная запись",
+    few: "пропущены {count} некорректные записи",
+    many: "пропущено {count} некорректных записей",
+    other: "пропущено {count} некорректной записи",
+  },
+  "storage.backupSaved": "Исходные данные сохранены в {key}.",
+  "storage.downloadBackup": "Скачать копию",
+  "storage.backupFailed":
+    "Сохранить резервную копию не удалось, поэтому изменения не записываются, пока хранилище не освободится.",
+  "storage.dismiss": "Понятно",
+
+  "import.offer": "На этом устройстве есть задачи, созданные до входа ({count}). Перенести их в аккаунт?",
+  "import.all": "Перенести все",
+  "import.selected": "Перенести выбранные ({count})",
+  "import.none": "Не переносить",
+
+  "add.placeholder": "Например: сделать 1 маленький шаг сегодня",
+  "add.readOnly": "Список доступен только для просмотра",
+  "quickAdd.preview": "Будет добавлено:",
+  "quickAdd.hint":
+    "Дату, время, приоритет и повтор можно написать прямо в задаче: «купить молоко завтра в 18:00 !высокий #дом каждую неделю». Обратная косая черта перед словом оставляет его в названии: \\завтра",
+  "due.label": "Срок:",
+  "due.today": "сегодня",
+  "due.tomorrow": "завтра",
+  "due.yesterday": "вчера",
+  "search.placeholder": "Поиск по задачам и #тегам",
+  "sort.manual": "Вручную",
+  "sort.due": "По сроку",
+  "sort.priority": "По приоритету",
+  "sort.created": "Сначала новые",
+  "sort.title": "По алфавиту",
+  "priority.label": "Приоритет",
+  "priority.urgent": "Срочно",
+  "priority.high": "Высокий",
+  "priority.normal": "Обычный",
+  "priority.low": "Низкий",
+  "tasks.clearCompleted": "Очистить выполненные",
+
+  "transfer.export": "Экспорт:",
+  "transfer.import": "Импорт…",
+  "transfer.summary": {
+    one: "{file}: {count} задача",
+    few: "{file}: {count} задачи",
+    many: "{file}: {count} задач",
+    other: "{file}: {count} задачи",
+  },
+  "transfer.duplicates": ", из них уже есть в списке — {count}",
+  "transfer.line": "Строка {line}",
+  "transfer.duplicate": "дубликат",
+  "transfer.skipDuplicates": "Пропускать дубликаты",
+  "transfer.apply": "Импортировать ({count})",
+  "transfer.cancel": "Отмена",
+  "transfer.error.noTitle": "нет названия",
+  "transfer.error.badDate": "неверная дата «{value}»",
+  "transfer.error.badTime": "неверное время «{value}»",
+  "transfer.error.timeWithoutDate": "время без даты",
+  "transfer.error.badPriority": "неизвестный приоритет «{value}»",
+  "transfer.error.json": "Некорректный JSON: {reason}",
+  "transfer.error.notArray": "Ожидался массив задач.",
+  "transfer.error.noTitleColumn": "В CSV нет колонки title.",
+  "transfer.error.subtask": "подзадача: {problems}",
+  "transfer.error.empty": "В файле не найдено задач.",
+
+  "tasks.loading": "Загружаю задачи из Supabase…",
+
+  "task.move": "Переместить задачу",
+  "task.moveHint": "Перетащите или используйте ↑/↓",
+  "task.addedBy": "добавил(а) {name}",
+  "task.completedBy": "выполнил(а) {name}",
+  "task.subtasks": "Подзадачи",
+  "task.addSubtask": "Добавить подзадачу",
+  "task.retry": "Отправить ещё раз",
+  "task.discard": "Отменить локальные изменения",
+  "task.delete": "Удалить",
+  "details.open": "Подробности",
+  "details.openNotes": "Подробности и заметки",
+  "details.close": "Скрыть подробности",
+  "details.notes": "Заметки",
+  "details.editNotes": "Изменить",
+  "details.doneEditing": "Готово",
+  "details.notesPlaceholder":
+    "Markdown: **жирный**, *курсив*, [ссылки](https://…), - [ ] чек-листы. Сохраняется по ходу ввода.",
+  "details.noNotes": "Заметок пока нет. Нажмите «Изменить», чтобы добавить.",
+  "details.noNotesReadOnly": "Заметок нет.",
+  "details.notesUnavailable": "Заметок нет. База данных начнёт хранить заметки после применения миграций.",
+  "details.created": "Создана {time}",
+  "details.updated": "Изменена {time}",
+  "details.completed": "Выполнена {time}",
+  "details.unknownTime": "неизвестно когда",
+  "subtask.placeholder": "Новая подзадача",
+
+  "recurrence.label": "Повтор",
+  "recurrence.intervalHint": "Интервал в днях",
+  "recurrence.option.none": "Не повторять",
+  "recurrence.option.daily": "Каждый день",
+  "recurrence.option.weekdays": "По будням",
+  "recurrence.option.weekly": "По дням недели",
+  "recurrence.option.monthly": "Каждый месяц",
+  "recurrence.option.interval": "Каждые N дней",
+  "recurrence.summary.daily": "каждый день",
+  "recurrence.summary.weekdays": "по будням",
+  "recurrence.summary.monthly": "каждый месяц",
+  "recurrence.summary.weekly": "по {days}",
+  "recurrence.summary.interval": {
+    one: "каждый {count} день",
+    few: "каждые {count} дня",
+    many: "каждые {count} дней",
+    other: "каждые {count} дня",
+  },
+  "recurrence.weekday.1": "Пн",
+  "recurrence.weekday.2": "Вт",
+  "recurrence.weekday.3": "Ср",
+  "recurrence.weekday.4": "Чт",
+  "recurrence.weekday.5": "Пт",
+  "recurrence.weekday.6": "Сб",
+  "recurrence.weekday.0": "Вс",
+  "recurrence.dayInList.1": "пн",
+  "recurrence.dayInList.2": "вт",
+  "recurrence.dayInList.3": "ср",
+  "recurrence.dayInList.4": "чт",
+  "recurrence.dayInList.5": "пт",
+  "recurrence.dayInList.6": "сб",
+  "recurrence.dayInList.0": "вс",
+
+  "palette.label": "Палитра команд",
+  "palette.placeholder": "Команда…",
+  "palette.empty": "Нет такой команды.",
+
+  "commands.add": "Новая задача",
+  "commands.search": "Поиск",
+  "commands.show": "Показать: {filter}",
+  "commands.sort.manual": "Сортировка: вручную",
+  "commands.sort.due": "Сортировка: по сроку",
+  "commands.sort.priority": "Сортировка: по приоритету",
+  "commands.sort.created": "Сортировка: сначала новые",
+  "commands.sort.title": "Сортировка: по алфавиту",
+  "commands.openList": "Открыть список: {name}",
+  "commands.uncheck": "Снять отметку с выбранной задачи",
+  "commands.check": "Отметить выбранную задачу выполненной",
+  "commands.edit": "Редактировать выбранную задачу",
+  "commands.delete": "Удалить выбранную задачу",
+  "commands.undo": "Отменить: {action}",
+  "commands.redo": "Повторить: {action}",
+  "commands.clearCompleted": "Очистить выполненные",
+  "commands.export": "Экспорт: {format}",
+  "commands.help": "Горячие клавиши",
+  "commands.stats": "Статистика",
+  "commands.trash": "Корзина",
+  "commands.details": "Показать подробности задачи",
+  "commands.closeDetails": "Скрыть подробности задачи",
+  "commands.select": "Выбрать задачи",
+  "commands.stopSelecting": "Закончить выбор",
+  "commands.language": "Язык: {language}",
+  "commands.signOut": "Выйти из аккаунта",
+
+  "shortcuts.title": "Горячие клавиши",
+  "shortcuts.button": "Горячие клавиши (?)",
+  "shortcuts.hint": "Клавиши работают, когда курсор не в поле ввода.",
+  "shortcuts.navigate": "следующая / предыдущая задача",
+  "shortcuts.toggle": "отметить выполненной или снять отметку",
+  "shortcuts.edit": "редактировать",
+  "shortcuts.details": "подробности и заметки",
+  "shortcuts.delete": "удалить",
+  "shortcuts.filters": "все / активные / выполненные",
+  "shortcuts.search": "поиск",
+  "shortcuts.palette": "палитра команд",
+  "shortcuts.undoRedo": "отменить / повторить",
+  "shortcuts.help": "эта подсказка",
+  "shortcuts.escape": "закрыть или снять выделение",
+
+  "bulk.select": "Выбрать",
+  "bulk.stop": "Готово",
+  "bulk.selected": {
+    one: "Выбрана {count}",
+    few: "Выбрано {count}",
+    many: "Выбрано {count}",
+    other: "Выбрано {count}",
+  },
+  "bulk.selectAll": "Выбрать все",
+  "bulk.selectNone": "Снять выбор",
+  "bulk.complete": "Отметить",
+  "bulk.reopen": "Снять отметку",
+  "bulk.priority": "Приоритет…",
+  "bulk.move": "Перенести в…",
+  "bulk.delete": "Удалить",
+  "bulk.selectTask": "Выбрать «{title}»",
+  "bulk.rangeHint": "Shift+щелчок выбирает диапазон",
+
+  "trash.title": "Корзина",
+  "trash.close": "Закрыть корзину",
+  "trash.purgeAfter": "Удалять навсегда через",
+  "trash.days": {
+    one: "{count} день",
+    few: "{count} дня",
+    many: "{count} дней",
+    other: "{count} дня",
+  },
+  "trash.never": "никогда",
+  "trash.unavailable": "В базе данных пока нет корзины: удалённые задачи стираются сразу.",
+  "trash.deletedAt": "удалена {date}",
+  "trash.subtasks": {
+    one: "с {count} подзадачей",
+    few: "с {count} подзадачами",
+    many: "с {count} подзадачами",
+    other: "с {count} подзадачами",
+  },
+  "trash.restore": "Восстановить",
+  "trash.purge": "Удалить навсегда",
+  "trash.empty": "Корзина пуста.",
+  "trash.emptyTrash": "Очистить корзину",
+  "trash.confirmEmpty": {
+    one: "Удалить навсегда {count} задачу?",
+    few: "Удалить навсегда {count} задачи?",
+    many: "Удалить навсегда {count} задач?",
+    other: "Удалить навсегда {count} задачи?",
+  },
+  "trash.confirmShorten": {
+    one: "{count} задача лежит в корзине дольше и будет сразу удалена навсегда. Продолжить?",
+    few: "{count} задачи лежат в корзине дольше и будут сразу удалены навсегда. Продолжить?",
+    many: "{count} задач лежат в корзине дольше и будут сразу удалены навсегда. Продолжить?",
+    other: "{count} задачи лежат в корзине дольше и будут сразу удалены навсегда. Продолжить?",
+  },
+
+  "pwa.updateReady": "Доступна новая версия приложения.",
+  "pwa.reload": "Обновить",
+  "pwa.later": "Позже",
+
+  "stats.title": "Статистика",
+  "stats.close": "Закрыть статистику",
+  "stats.today": "Сделано сегодня",
+  "stats.thisWeek": "Сделано за неделю",
+  "stats.streak": "Серия",
+  "stats.days": {
+    one: "{count} день",
+    few: "{count} дня",
+    many: "{count} дней",
+    other: "{count} дня",
+  },
+  "stats.average": "Среднее время до выполнения",
+  "stats.noAverage": "—",
+  "stats.perDay": "Выполнено по дням",
+  "stats.perWeek": "Выполнено по неделям",
+  "stats.weekOf": "Неделя с {date}",
+  "stats.heatmap": "Последние полгода",
+  "stats.completed": {
+    one: "Выполнена {count} задача",
+    few: "Выполнено {count} задачи",
+    many: "Выполнено {count} задач",
+    other: "Выполнено {count} задачи",
+  },
+  "stats.empty": "Выполненных задач пока нет. Отметьте задачу — и она появится здесь.",
+  "stats.duration.days": {
+    one: "{count} день",
+    few: "{count} дня",
+    many: "{count} дней",
+    other: "{count} дня",
+  },
+  "stats.duration.hours": {
+    one: "{count} час",
+    few: "{count} часа",
+    many: "{count} часов",
+    other: "{count} часа",
+  },
+  "stats.duration.minutes": {
+    one: "{count} минута",
+    few: "{count} минуты",
+    many: "{count} минут",
+    other: "{count} минуты",
+  },
+};
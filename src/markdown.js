@@ -0,0 +1,174 @@
+// The Markdown that task notes are written in, parsed into plain blocks and
+// inline nodes that the app renders as React elements. No HTML is ever
+// produced from the text, so nothing in it can run; links are kept only for
+// http(s) and mailto addresses.
+//
+// Blocks: headings (#, ##, ###), paragraphs, "> " quotes, ``` code, "---"
+// rules and lists ("- ", "* ", "1. "), whose items may be checklist items
+// ("- [ ] ", "- [x] "). Inline: `code`, **bold**, *italic* / _italic_,
+// ~~strikethrough~~, [text](url) and bare http(s) URLs; a backslash keeps the
+// next character as it is.
+
+const LINK_PROTOCOLS = new Set(["http:", "https:", "mailto:"]);
+
+const HEADING = /^(#{1,3})\s+(.*)$/;
+const QUOTE = /^>\s?(.*)$/;
+const FENCE = /^```/;
+const RULE = /^(?:-{3,}|\*{3,})$/;
+const LIST_ITEM = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/;
+const CHECKBOX = /^\[([ xX])\]\s+(.*)$/;
+// Where a checklist item's box is in its source line, for toggling it.
+const CHECKLIST_LINE = /^(\s*[-*+]\s+\[)([ xX])(\])/;
+
+const INLINE = new RegExp(
+  [
+    /\\([\\`*_~[\]()#>!-])/.source,
+    /`([^`]+)`/.source,
+    /\*\*(\S(?:.*?\S)?)\*\*/.source,
+    /~~(\S(?:.*?\S)?)~~/.source,
+    /\*(\S(?:.*?\S)?)\*/.source,
+    /\b_(\S(?:.*?\S)?)_\b/.source,
+    // The address may hold balanced parentheses, as in Wikipedia's Foo_(bar).
+    /\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/.source,
+    /(https?:\/\/[^\s<>]*[^\s<>.,;:!?'")\]])/.source,
+  ].join("|"),
+  "g"
+);
+
+// The address a link may point to, or null for anything but http(s) and mailto.
+export function safeHref(url) {
+  try {
+    const parsed = new URL(url);
+    return LINK_PROTOCOLS.has(parsed.protocol) ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// Source lines, whatever the line endings (pasted or imported notes may use \r\n or \r).
+// parseMarkdown and toggleChecklistItem must agree on them, since items carry their line.
+function splitLines(text) {
+  return text.replace(/\r\n?/g, "\n").split("\n");
+}
+
+// Inline nodes: { type: "text", text }, { type: "code", text },
+// { type: "strong" | "em" | "strike", children } and { type: "link", href, children }.
+export function parseInline(text) {
+  const nodes = [];
+  const pushText = (value) => {
+    if (!value) return;
+    const last = nodes[nodes.length - 1];
+    if (last?.type === "text") last.text += value;
+    else nodes.push({ type: "text", text: value });
+  };
+
+  let index = 0;
+  for (const match of text.matchAll(INLINE)) {
+    pushText(text.slice(index, match.index));
+    index = match.index + match[0].length;
+    const [whole, escaped, code, strong, strike, em, emUnderscore, label, url, bare] = match;
+
+    if (escaped !== undefined) pushText(escaped);
+    else if (code !== undefined) nodes.push({ type: "code", text: code });
+    else if (strong !== undefined) nodes.push({ type: "strong", children: parseInline(strong) });
+    else if (strike !== undefined) nodes.push({ type: "strike", children: parseInline(strike) });
+    else if (em !== undefined || emUnderscore !== undefined) {
+      nodes.push({ type: "em", children: parseInline(em ?? emUnderscore) });
+    } else if (label !== undefined) {
+      const href = safeHref(url);
+      // A link to anywhere else is shown as written.
+      if (href) nodes.push({ type: "link", href, children: parseInline(label) });
+      else pushText(whole);
+    } else {
+      const href = safeHref(bare);
+      if (href) nodes.push({ type: "link", href, children: [{ type: "text", text: bare }] });
+      else pushText(bare);
+    }
+  }
+  pushText(text.slice(index));
+  return nodes;
+}
+
+// Blocks: { type: "heading", level, content }, { type: "paragraph", lines },
+// { type: "quote", lines }, { type: "code", text }, { type: "rule" } and
+// { type: "list", ordered, items: [{ content, checked, line }] }, where
+// `checked` is null for a plain item and `line` is the item's source line.
+// `content` and each of `lines` are inline nodes.
+export function parseMarkdown(text) {
+  const lines = splitLines(text);
+  const blocks = [];
+  let open = null;
+
+  const close = () => {
+    open = null;
+  };
+  const openBlock = (block) => {
+    blocks.push(block);
+    open = block;
+    return block;
+  };
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+
+    if (FENCE.test(line.trim())) {
+      const code = [];
+      for (i += 1; i < lines.length && !FENCE.test(lines[i].trim()); i += 1) code.push(lines[i]);
+      blocks.push({ type: "code", text: code.join("\n") });
+      close();
+      continue;
+    }
+    if (!line.trim()) {
+      close();
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, content: parseInline(heading[2]) });
+      close();
+      continue;
+    }
+    if (RULE.test(line.trim())) {
+      blocks.push({ type: "rule" });
+      close();
+      continue;
+    }
+
+    const quote = QUOTE.exec(line);
+    if (quote) {
+      const block = open?.type === "quote" ? open : openBlock({ type: "quote", lines: [] });
+      block.lines.push(parseInline(quote[1]));
+      continue;
+    }
+
+    const item = LIST_ITEM.exec(line);
+    if (item) {
+      const ordered = item[2] !== undefined;
+      const block =
+        open?.type === "list" && open.ordered === ordered ? open : openBlock({ type: "list", ordered, items: [] });
+      const checkbox = ordered ? null : CHECKBOX.exec(item[3]);
+      block.items.push({
+        content: parseInline(checkbox ? checkbox[2] : item[3]),
+        checked: checkbox ? checkbox[1] !== " " : null,
+        line: i,
+      });
+      continue;
+    }
+
+    const block = open?.type === "paragraph" ? open : openBlock({ type: "paragraph", lines: [] });
+    block.lines.push(parseInline(line.trim()));
+  }
+  return blocks;
+}
+
+// The notes with the checklist item on source line `line` ticked or unticked,
+// written back with \n line endings.
+export function toggleChecklistItem(text, line) {
+  const lines = splitLines(text);
+  if (!CHECKLIST_LINE.test(lines[line] ?? "")) return text;
+  lines[line] = lines[line].replace(CHECKLIST_LINE, (_match, start, mark, end) =>
+    mark === " " ? `${start}x${end}` : `${start} ${end}`
+  );
+  return lines.join("\n");
+}
@@ -0,0 +1,36 @@
+import { describe, expect, it } from "vitest";
+import { parseInline, parseMarkdown, toggleChecklistItem } from "./markdown";
+
+describe("toggleChecklistItem", () => {
+  it("ticks the item parseMarkdown reported, whatever the line endings", () => {
+    for (const newline of ["\n", "\r\n", "\r"]) {
+      const notes = ["Shopping", "- [ ] milk", "- [ ] eggs"].join(newline);
+      const [, list] = parseMarkdown(notes);
+      const eggs = list.items[1];
+      expect(toggleChecklistItem(notes, eggs.line)).toBe("Shopping\n- [ ] milk\n- [x] eggs");
+    }
+  });
+
+  it("leaves lines that aren't checklist items alone", () => {
+    expect(toggleChecklistItem("- plain\n- [x] done", 0)).toBe("- plain\n- [x] done");
+    expect(toggleChecklistItem("- plain\n- [x] done", 1)).toBe("- plain\n- [ ] done");
+  });
+});
+
+describe("parseInline", () => {
+  it("keeps balanced parentheses in link addresses", () => {
+    expect(parseInline("see [Foo](https://en.wikipedia.org/wiki/Foo_(bar)) too")).toEqual([
+      { type: "text", text: "see " },
+      { type: "link", href: "https://en.wikipedia.org/wiki/Foo_(bar)", children: [{ type: "text", text: "Foo" }] },
+      { type: "text", text: " too" },
+    ]);
+  });
+
+  it("ends a link at the parenthesis that closes it", () => {
+    expect(parseInline("([docs](https://example.com/a))")).toEqual([
+      { type: "text", text: "(" },
+      { type: "link", href: "https://example.com/a", children: [{ type: "text", text: "docs" }] },
+      { type: "text", text: ")" },
+    ]);
+  });
+});
@@ -0,0 +1,56 @@
+// Manual ordering via a fractional `position` (smaller = higher). Moving a
+// task only rewrites that task: it takes the midpoint of its new neighbours.
+
+const RESPACE_STEP = 1024;
+
+let lastTopPosition = 0;
+
+// Tasks saved before positions existed fall back to their numeric id, which
+// grows over time both locally (Date.now()) and in Supabase, so newest stay on top.
+export function effectivePosition(task) {
+  if (typeof task.position === "number") return task.position;
+  return typeof task.id === "number" ? -task.id : 0;
+}
+
+export function compareByPosition(a, b) {
+  return effectivePosition(a) - effectivePosition(b);
+}
+
+// New top-level tasks go above everything created before them, on any device.
+export function newTopPosition() {
+  lastTopPosition = Math.min(-Date.now(), lastTopPosition - 1);
+  return lastTopPosition;
+}
+
+// New subtasks go below their siblings.
+export function newBottomPosition(siblings) {
+  return siblings.reduce((max, t) => Math.max(max, effectivePosition(t) + 1), 0);
+}
+
+// [id, { position }] changes that move `id` next to `targetId` within the
+// ordered `siblings`. Normally a single change; when two neighbours are too
+// close for a midpoint, the whole group is respaced once.
+export function moveChanges(siblings, id, targetId, placeAfter) {
+  if (id === targetId) return [];
+  const rest = siblings.filter((t) => t.id !== id);
+  const targetIndex = rest.findIndex((t) => t.id === targetId);
+  if (targetIndex < 0 || rest.length === siblings.length) return [];
+
+  const insertAt = placeAfter ? targetIndex + 1 : targetIndex;
+  const before = rest[insertAt - 1];
+  const after = rest[insertAt];
+
+  let position;
+  if (before && after) position = (effectivePosition(before) + effectivePosition(after)) / 2;
+  else if (before) position = effectivePosition(before) + 1;
+  else position = effectivePosition(after) - 1;
+
+  const hasRoom =
+    (!before || position > effectivePosition(before)) && (!after || position < effectivePosition(after));
+  if (hasRoom) return [[id, { position }]];
+
+  const moved = siblings.find((t) => t.id === id);
+  const reordered = [...rest.slice(0, insertAt), moved, ...rest.slice(insertAt)];
+  const start = effectivePosition(reordered[0]);
+  return reordered.map((t, index) => [t.id, { position: start + index * RESPACE_STEP }]);
+}
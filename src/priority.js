@@ -0,0 +1,40 @@
+// Task priority. Stored as its name; tasks saved before priorities existed
+// (or cached from an older database) count as normal.
+
+export const PRIORITIES = {
+  low: "low",
+  normal: "normal",
+  high: "high",
+  urgent: "urgent",
+};
+
+export const DEFAULT_PRIORITY = PRIORITIES.normal;
+
+// Most important first, the order of the priority menus.
+const RANKS = {
+  [PRIORITIES.urgent]: 0,
+  [PRIORITIES.high]: 1,
+  [PRIORITIES.normal]: 2,
+  [PRIORITIES.low]: 3,
+};
+
+export const PRIORITY_LEVELS = Object.keys(RANKS);
+
+export const PRIORITY_COLORS = {
+  [PRIORITIES.urgent]: "#ff6b6b",
+  [PRIORITIES.high]: "#e0b85c",
+  [PRIORITIES.normal]: null,
+  [PRIORITIES.low]: "#5f6b7a",
+};
+
+export function normalizePriority(value) {
+  return Object.hasOwn(PRIORITIES, value) ? value : DEFAULT_PRIORITY;
+}
+
+export function taskPriority(task) {
+  return normalizePriority(task.priority);
+}
+
+export function compareByPriority(a, b) {
+  return RANKS[taskPriority(a)] - RANKS[taskPriority(b)];
+}
@@ -0,0 +1,85 @@
+// Service worker registration (production builds only; the worker itself is
+// src/sw.js), the "new version available" state for the update prompt and the
+// background sync hook the outbox uses to hear that the connection is back.
+
+// Must match SYNC_TAG in src/sw.js.
+const SYNC_TAG = "todo-outbox";
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+const updateListeners = new Set();
+const syncListeners = new Set();
+let waitingWorker = null;
+
+function setWaitingWorker(worker) {
+  waitingWorker = worker;
+  updateListeners.forEach((listener) => listener());
+}
+
+function isSupported() {
+  return typeof navigator !== "undefined" && "serviceWorker" in navigator;
+}
+
+export function registerServiceWorker() {
+  if (!isSupported()) return;
+
+  // The first install takes over silently; a new version reloads the page onto its files.
+  let controlled = Boolean(navigator.serviceWorker.controller);
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (controlled) window.location.reload();
+    controlled = true;
+  });
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    if (event.data?.type === "sync") syncListeners.forEach((listener) => listener());
+  });
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`)
+      .then((registration) => {
+        if (registration.waiting && navigator.serviceWorker.controller) setWaitingWorker(registration.waiting);
+        registration.addEventListener("updatefound", () => {
+          const worker = registration.installing;
+          worker?.addEventListener("statechange", () => {
+            // Installed while a worker already controls the page: a new deploy, not the first visit.
+            if (worker.state === "installed" && navigator.serviceWorker.controller) setWaitingWorker(worker);
+          });
+        });
+        // Tabs that stay open for days still hear about new deploys.
+        setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+      })
+      .catch(() => {
+        // the app works without offline support
+      });
+  });
+}
+
+export function subscribeUpdate(listener) {
+  updateListeners.add(listener);
+  return () => updateListeners.delete(listener);
+}
+
+export function isUpdateReady() {
+  return waitingWorker !== null;
+}
+
+// Activates the waiting version; the page reloads once it has taken over.
+export function applyUpdate() {
+  waitingWorker?.postMessage({ type: "skip-waiting" });
+}
+
+// Keeps the current version; the new one starts once every tab of the app is closed.
+export function dismissUpdate() {
+  setWaitingWorker(null);
+}
+
+// Asks the worker to wake the page when the connection is back, where the
+// browser supports Background Sync; elsewhere the "online" event does it.
+export function requestBackgroundSync() {
+  if (!isSupported() || !navigator.serviceWorker.controller) return;
+  navigator.serviceWorker.ready.then((registration) => registration.sync?.register(SYNC_TAG)).catch(() => {});
+}
+
+export function onBackgroundSync(listener) {
+  syncListeners.add(listener);
+  return () => syncListeners.delete(listener);
+}
@@ -0,0 +1,407 @@
+// Quick add: reads a due date, time, priority and repeat rule out of the text
+// typed into the add field, in English or Russian whatever the UI language:
+//
+//   "buy milk tomorrow 18:00 !high #home every week"
+//   "купить молоко завтра в 18:00 !высокий #дом каждую неделю"
+//
+// Recognized words are taken out of the title; #tags stay in it, since tags
+// are derived from the title (see search.js). The first phrase of each kind
+// wins and later ones stay in the title. A word typed with a leading
+// backslash is kept as it is ("\tomorrow" adds the word "tomorrow"). Text
+// that would leave no title is taken verbatim.
+//
+// Pure: the date to count from is passed in as `todayKey`.
+
+import { addDays, parseDateKey, toDateKey } from "./dueDates";
+import { PRIORITIES } from "./priority";
+import { RECURRENCE_TYPES, normalizeRecurrence } from "./recurrence";
+import { extractTags } from "./search";
+
+const WEEKDAYS = {
+  sunday: 0,
+  monday: 1,
+  tuesday: 2,
+  wednesday: 3,
+  thursday: 4,
+  friday: 5,
+  saturday: 6,
+  воскресенье: 0,
+  понедельник: 1,
+  вторник: 2,
+  среда: 3,
+  среду: 3,
+  четверг: 4,
+  пятница: 5,
+  пятницу: 5,
+  суббота: 6,
+  субботу: 6,
+};
+
+// Short names are ordinary words too ("sun", "sat"), so they only count after
+// "on", "every", "в" and the like.
+const SHORT_WEEKDAYS = {
+  sun: 0,
+  mon: 1,
+  tue: 2,
+  wed: 3,
+  thu: 4,
+  fri: 5,
+  sat: 6,
+  вс: 0,
+  пн: 1,
+  вт: 2,
+  ср: 3,
+  чт: 4,
+  пт: 5,
+  сб: 6,
+};
+
+// "по понедельникам"
+const WEEKDAYS_PLURAL = {
+  воскресеньям: 0,
+  понедельникам: 1,
+  вторникам: 2,
+  средам: 3,
+  четвергам: 4,
+  пятницам: 5,
+  субботам: 6,
+};
+
+const MONTHS = {
+  january: 0,
+  february: 1,
+  march: 2,
+  april: 3,
+  may: 4,
+  june: 5,
+  july: 6,
+  august: 7,
+  september: 8,
+  october: 9,
+  november: 10,
+  december: 11,
+  января: 0,
+  февраля: 1,
+  марта: 2,
+  апреля: 3,
+  мая: 4,
+  июня: 5,
+  июля: 6,
+  августа: 7,
+  сентября: 8,
+  октября: 9,
+  ноября: 10,
+  декабря: 11,
+};
+
+// Like short weekday names, only after a prefix: "read 2 mar chapters" keeps its words.
+const SHORT_MONTHS = {
+  jan: 0,
+  feb: 1,
+  mar: 2,
+  apr: 3,
+  jun: 5,
+  jul: 6,
+  aug: 7,
+  sep: 8,
+  sept: 8,
+  oct: 9,
+  nov: 10,
+  dec: 11,
+};
+
+const PRIORITY_WORDS = {
+  urgent: PRIORITIES.urgent,
+  срочно: PRIORITIES.urgent,
+  срочный: PRIORITIES.urgent,
+  high: PRIORITIES.high,
+  высокий: PRIORITIES.high,
+  важно: PRIORITIES.high,
+  normal: PRIORITIES.normal,
+  обычный: PRIORITIES.normal,
+  low: PRIORITIES.low,
+  низкий: PRIORITIES.low,
+};
+
+const PRIORITY_BANGS = {
+  "!!": PRIORITIES.high,
+  "!!!": PRIORITIES.urgent,
+};
+
+const DAY_UNITS = new Set(["day", "days", "день", "дня", "дней"]);
+const WEEK_UNITS = new Set(["week", "weeks", "неделя", "неделю", "недели", "недель"]);
+
+const DATE_PREFIXES = new Set(["on", "this", "в", "во"]);
+// "next friday", "(в) следующую пятницу": that day of the following week.
+const NEXT = new Set(["next", "следующий", "следующую", "следующее", "следующая"]);
+const TIME_PREFIXES = new Set(["at", "by", "в", "к"]);
+const EVERY = new Set(["every", "каждый", "каждую", "каждое", "каждые"]);
+
+const TIME_24 = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const TIME_12 = /^(1[0-2]|0?[1-9])(?::([0-5]\d))?(am|pm)$/;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+// A two-digit month, so "1.5 kg" stays a number; without a year only after a
+// prefix, so "1.10" can still be a version number.
+const DOTTED_DATE = /^(\d{1,2})\.(\d{2})(?:\.(\d{4}))?$/;
+const NUMBER = /^\d{1,3}$/;
+const YEAR = /^\d{4}$/;
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+// How a word is compared: lower case, "ё" as "е", without trailing punctuation.
+function wordKey(word) {
+  return word
+    .toLowerCase()
+    .replace(/ё/g, "е")
+    .replace(/[,.;]+$/, "");
+}
+
+// A date key for a real calendar date, or null ("31.02" isn't one).
+function dateKey(year, month, day) {
+  const date = new Date(year, month, day);
+  return date.getMonth() === month && date.getDate() === day ? toDateKey(date) : null;
+}
+
+// The next such day and month from today on; this year's if it hasn't passed.
+function upcomingDate(month, day, todayKey) {
+  const year = parseDateKey(todayKey).getFullYear();
+  const thisYear = dateKey(year, month, day);
+  if (thisYear && thisYear >= todayKey) return thisYear;
+  return dateKey(year + 1, month, day) ?? thisYear;
+}
+
+// Days from today to the weekday: 1-7 for a date ("friday" said on a Friday
+// means next week's), 0-6 for the start of a weekly rule.
+function daysUntil(weekday, todayKey, allowToday) {
+  const offset = (weekday - parseDateKey(todayKey).getDay() + 7) % 7;
+  return offset === 0 && !allowToday ? 7 : offset;
+}
+
+// Days from today to the weekday in the following week, weeks starting on Monday.
+function daysUntilNextWeek(weekday, todayKey) {
+  const nextMonday = 7 - ((parseDateKey(todayKey).getDay() + 6) % 7);
+  return nextMonday + ((weekday + 6) % 7);
+}
+
+function weekdayAt(keys, i, withShortNames) {
+  const key = keys[i];
+  if (Object.hasOwn(WEEKDAYS, key)) return WEEKDAYS[key];
+  if (withShortNames && Object.hasOwn(SHORT_WEEKDAYS, key)) return SHORT_WEEKDAYS[key];
+  return null;
+}
+
+function monthOf(key, withShortNames) {
+  if (Object.hasOwn(MONTHS, key)) return MONTHS[key];
+  if (withShortNames && Object.hasOwn(SHORT_MONTHS, key)) return SHORT_MONTHS[key];
+  return null;
+}
+
+// Each matcher looks at the words from `i` on and returns the number of words
+// it used with the value it read, or null.
+
+function matchPriority(keys, i) {
+  const key = keys[i];
+  if (Object.hasOwn(PRIORITY_BANGS, key)) return { length: 1, value: PRIORITY_BANGS[key] };
+  const word = key.slice(1);
+  return key.startsWith("!") && Object.hasOwn(PRIORITY_WORDS, word) ? { length: 1, value: PRIORITY_WORDS[word] } : null;
+}
+
+function matchRecurrence(keys, i) {
+  const [first, second, third, fourth] = keys.slice(i, i + 4);
+  const daily = { type: RECURRENCE_TYPES.daily };
+  const phrases = [
+    [["every", "day"], daily],
+    [["everyday"], daily],
+    [["каждый", "день"], daily],
+    [["ежедневно"], daily],
+    [["every", "weekday"], { type: RECURRENCE_TYPES.weekdays }],
+    [["every", "workday"], { type: RECURRENCE_TYPES.weekdays }],
+    [["по", "будням"], { type: RECURRENCE_TYPES.weekdays }],
+    [["каждый", "будний", "день"], { type: RECURRENCE_TYPES.weekdays }],
+    [["every", "week"], { type: RECURRENCE_TYPES.weekly }],
+    [["каждую", "неделю"], { type: RECURRENCE_TYPES.weekly }],
+    [["еженедельно"], { type: RECURRENCE_TYPES.weekly }],
+    [["every", "month"], { type: RECURRENCE_TYPES.monthly }],
+    [["каждый", "месяц"], { type: RECURRENCE_TYPES.monthly }],
+    [["ежемесячно"], { type: RECURRENCE_TYPES.monthly }],
+    [["every", "other", "day"], { type: RECURRENCE_TYPES.interval, every: 2 }],
+    [["через", "день"], { type: RECURRENCE_TYPES.interval, every: 2 }],
+  ];
+  for (const [words, value] of phrases) {
+    if (words.every((word, offset) => keys[i + offset] === word)) return { length: words.length, value };
+  }
+
+  if (!EVERY.has(first)) {
+    if (first === "по" && Object.hasOwn(WEEKDAYS_PLURAL, second)) {
+      return { length: 2, value: { type: RECURRENCE_TYPES.weekly, days: [WEEKDAYS_PLURAL[second]] } };
+    }
+    return null;
+  }
+  // "every 3 days", "каждые 3 дня"
+  if (NUMBER.test(second ?? "") && DAY_UNITS.has(third)) {
+    const every = Number(second);
+    return { length: 3, value: every === 1 ? daily : { type: RECURRENCE_TYPES.interval, every } };
+  }
+  // "every monday", "каждую пятницу"; "every mon and thu" / "каждый пн и чт" for two days.
+  const day = weekdayAt(keys, i + 1, true);
+  if (day === null) return null;
+  const other = (third === "and" || third === "и") && fourth !== undefined ? weekdayAt(keys, i + 3, true) : null;
+  if (other !== null) return { length: 4, value: { type: RECURRENCE_TYPES.weekly, days: [day, other] } };
+  return { length: 2, value: { type: RECURRENCE_TYPES.weekly, days: [day] } };
+}
+
+function matchDate(keys, i, todayKey) {
+  const [first, second, third] = keys.slice(i, i + 3);
+
+  if (first === "today" || first === "сегодня") return { length: 1, value: todayKey };
+  if (first === "tomorrow" || first === "завтра") return { length: 1, value: addDays(todayKey, 1) };
+  if (first === "послезавтра") return { length: 1, value: addDays(todayKey, 2) };
+  if (first === "day" && second === "after" && third === "tomorrow") return { length: 3, value: addDays(todayKey, 2) };
+
+  // "in 3 days", "через 2 недели", "in a week", "через неделю"
+  if (first === "in" || first === "через") {
+    if ((second === "a" && WEEK_UNITS.has(third)) || (first === "через" && WEEK_UNITS.has(second))) {
+      return { length: second === "a" ? 3 : 2, value: addDays(todayKey, 7) };
+    }
+    if (NUMBER.test(second ?? "") && (DAY_UNITS.has(third) || WEEK_UNITS.has(third))) {
+      return { length: 3, value: addDays(todayKey, Number(second) * (WEEK_UNITS.has(third) ? 7 : 1)) };
+    }
+    return null;
+  }
+
+  const nextAt = NEXT.has(first) ? i + 1 : DATE_PREFIXES.has(first) && NEXT.has(second) ? i + 2 : null;
+  if (nextAt !== null) {
+    const weekday = weekdayAt(keys, nextAt, true);
+    if (weekday === null) return null;
+    return { length: nextAt - i + 1, value: addDays(todayKey, daysUntilNextWeek(weekday, todayKey)) };
+  }
+
+  const prefixed = DATE_PREFIXES.has(first);
+  const at = prefixed ? i + 1 : i;
+  const used = prefixed ? 1 : 0;
+  const key = keys[at];
+  if (key === undefined) return null;
+
+  const weekday = weekdayAt(keys, at, prefixed);
+  if (weekday !== null) return { length: used + 1, value: addDays(todayKey, daysUntil(weekday, todayKey, false)) };
+
+  const iso = ISO_DATE.exec(key);
+  if (iso) {
+    const value = dateKey(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+    return value ? { length: used + 1, value } : null;
+  }
+  const dotted = DOTTED_DATE.exec(key);
+  if (dotted && (prefixed || dotted[3])) {
+    const [day, month] = [Number(dotted[1]), Number(dotted[2]) - 1];
+    const value = dotted[3] ? dateKey(Number(dotted[3]), month, day) : upcomingDate(month, day, todayKey);
+    return value ? { length: used + 1, value } : null;
+  }
+
+  // "5 may", "may 5", "5 мая", "on 2 mar", with an optional year after them
+  const next = keys[at + 1];
+  const [dayKey, month] = NUMBER.test(key) ? [key, monthOf(next, prefixed)] : [next, monthOf(key, prefixed)];
+  if (month === null || !NUMBER.test(dayKey ?? "")) return null;
+  const day = Number(dayKey);
+  const yearKey = keys[at + 2];
+  if (YEAR.test(yearKey ?? "")) {
+    const value = dateKey(Number(yearKey), month, day);
+    return value ? { length: used + 3, value } : null;
+  }
+  const value = upcomingDate(month, day, todayKey);
+  return value ? { length: used + 2, value } : null;
+}
+
+function matchTime(keys, i) {
+  const prefixed = TIME_PREFIXES.has(keys[i]);
+  const at = prefixed ? i + 1 : i;
+  const used = prefixed ? 1 : 0;
+  const key = keys[at];
+  if (key === undefined) return null;
+
+  const time24 = TIME_24.exec(key);
+  if (time24) return { length: used + 1, value: `${pad(time24[1])}:${time24[2]}` };
+
+  // "6pm", "6:30pm", "6 pm"
+  const next = keys[at + 1];
+  const spaced = next === "am" || next === "pm";
+  const time12 = TIME_12.exec(spaced ? `${key}${next}` : key);
+  if (!time12) return null;
+  const hours = (Number(time12[1]) % 12) + (time12[3] === "pm" ? 12 : 0);
+  return { length: used + (spaced ? 2 : 1), value: `${pad(hours)}:${time12[2] ?? "00"}` };
+}
+
+/**
+ * @param {string} text  what was typed into the add field
+ * @param {string} todayKey  "YYYY-MM-DD"
+ * @returns {{ title: string, dueDate: string | null, dueTime: string | null, priority: string | null,
+ *   recurrence: Object | null, tags: string[] }}  null where nothing was recognized
+ */
+export function parseQuickAdd(text, todayKey) {
+  const words = text.trim().split(/\s+/).filter(Boolean);
+  // Escaped words have no key, so no matcher can take them.
+  const keys = words.map((word) => (word.length > 1 && word.startsWith("\\") ? null : wordKey(word)));
+  const literal = words.map((word, index) => (keys[index] === null ? word.slice(1) : word));
+
+  const found = { dueDate: null, dueTime: null, priority: null, recurrence: null };
+  const matchers = [
+    ["priority", (i) => matchPriority(keys, i)],
+    ["recurrence", (i) => matchRecurrence(keys, i)],
+    ["dueDate", (i) => matchDate(keys, i, todayKey)],
+    ["dueTime", (i) => matchTime(keys, i)],
+  ];
+
+  const titleWords = [];
+  for (let i = 0; i < words.length;) {
+    let match = null;
+    if (keys[i] !== null) {
+      for (const [field, matcher] of matchers) {
+        if (found[field] !== null) continue;
+        match = matcher(i);
+        // A match can't reach over an escaped word.
+        if (match && keys.slice(i, i + match.length).includes(null)) match = null;
+        if (match) {
+          found[field] = match.value;
+          break;
+        }
+      }
+    }
+    if (match) {
+      i += match.length;
+    } else {
+      titleWords.push(literal[i]);
+      i += 1;
+    }
+  }
+
+  const title = titleWords.join(" ");
+  if (!title) {
+    const verbatim = text.trim();
+    return {
+      title: verbatim,
+      dueDate: null,
+      dueTime: null,
+      priority: null,
+      recurrence: null,
+      tags: extractTags(verbatim),
+    };
+  }
+
+  let { dueDate } = found;
+  // A weekly rule on given days starts on the first of them, today included.
+  if (!dueDate && found.recurrence?.days) {
+    dueDate = addDays(todayKey, Math.min(...found.recurrence.days.map((day) => daysUntil(day, todayKey, true))));
+  }
+  // A time alone is for today.
+  if (!dueDate && found.dueTime) dueDate = todayKey;
+
+  return {
+    title,
+    dueDate,
+    dueTime: found.dueTime,
+    priority: found.priority,
+    recurrence: found.recurrence ? normalizeRecurrence(found.recurrence, dueDate) : null,
+    tags: extractTags(title),
+  };
+}
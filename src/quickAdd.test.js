@@ -0,0 +1,117 @@
+import { describe, expect, it } from "vitest";
+import { parseQuickAdd } from "./quickAdd";
+
+// A Monday.
+const TODAY = "2026-10-19";
+
+function parse(text) {
+  return parseQuickAdd(text, TODAY);
+}
+
+describe("parseQuickAdd", () => {
+  it("reads a date, time, priority and repeat rule in English", () => {
+    expect(parse("buy milk tomorrow 18:00 !high #home every week")).toEqual({
+      title: "buy milk #home",
+      dueDate: "2026-10-20",
+      dueTime: "18:00",
+      priority: "high",
+      recurrence: { type: "weekly", days: [2] },
+      tags: ["home"],
+    });
+  });
+
+  it("reads the same phrase in Russian", () => {
+    expect(parse("купить молоко завтра в 18:00 !высокий #дом каждую неделю")).toEqual({
+      title: "купить молоко #дом",
+      dueDate: "2026-10-20",
+      dueTime: "18:00",
+      priority: "high",
+      recurrence: { type: "weekly", days: [2] },
+      tags: ["дом"],
+    });
+  });
+
+  it("reads relative dates, weekdays and 12-hour times", () => {
+    expect(parse("report friday at 6pm !!!")).toMatchObject({
+      title: "report",
+      dueDate: "2026-10-23",
+      dueTime: "18:00",
+      priority: "urgent",
+    });
+    expect(parse("встреча через 2 недели")).toMatchObject({ title: "встреча", dueDate: "2026-11-02" });
+    expect(parse("ёлка послезавтра")).toMatchObject({ title: "ёлка", dueDate: "2026-10-21" });
+    expect(parse("walk in a week")).toMatchObject({ title: "walk", dueDate: "2026-10-26" });
+  });
+
+  it("reads calendar dates, rolling a passed day over to next year", () => {
+    expect(parse("pay rent 5 may")).toMatchObject({ title: "pay rent", dueDate: "2027-05-05" });
+    expect(parse("pay rent on 01.11")).toMatchObject({ title: "pay rent", dueDate: "2026-11-01" });
+    expect(parse("pay rent 2026-12-01 9 am")).toMatchObject({ dueDate: "2026-12-01", dueTime: "09:00" });
+    expect(parse("сдать отчёт 3 декабря")).toMatchObject({ title: "сдать отчёт", dueDate: "2026-12-03" });
+    expect(parse("pay rent 31.02")).toMatchObject({ title: "pay rent 31.02", dueDate: null });
+  });
+
+  it("reads a dotted date only after a prefix or with a year", () => {
+    expect(parse("fix bug 1.10 release")).toMatchObject({ title: "fix bug 1.10 release", dueDate: null });
+    expect(parse("release on 1.10")).toMatchObject({ title: "release", dueDate: "2027-10-01" });
+    expect(parse("релиз в 01.11")).toMatchObject({ title: "релиз", dueDate: "2026-11-01" });
+    expect(parse("release 1.10.2026")).toMatchObject({ title: "release", dueDate: "2026-10-01" });
+  });
+
+  it("reads next <weekday> as that day of the following week", () => {
+    expect(parse("report this friday")).toMatchObject({ title: "report", dueDate: "2026-10-23" });
+    expect(parse("report next friday")).toMatchObject({ title: "report", dueDate: "2026-10-30" });
+    expect(parse("report next mon")).toMatchObject({ title: "report", dueDate: "2026-10-26" });
+    expect(parse("отчёт в следующую пятницу")).toMatchObject({ title: "отчёт", dueDate: "2026-10-30" });
+    expect(parse("отчёт следующий вторник")).toMatchObject({ title: "отчёт", dueDate: "2026-10-27" });
+    expect(parse("the next chapter")).toMatchObject({ title: "the next chapter", dueDate: null });
+  });
+
+  it("leaves short names in the title unless a prefix says they are a date", () => {
+    expect(parse("read 2 mar chapters")).toMatchObject({ title: "read 2 mar chapters", dueDate: null });
+    expect(parse("read chapters on 2 mar")).toMatchObject({ title: "read chapters", dueDate: "2027-03-02" });
+    expect(parse("sat on a chair")).toMatchObject({ title: "sat on a chair", dueDate: null });
+    expect(parse("weigh 1.5 kg")).toMatchObject({ title: "weigh 1.5 kg", dueDate: null });
+  });
+
+  it("reads repeat rules and starts weekly ones on their first day", () => {
+    expect(parse("gym every 3 days").recurrence).toEqual({ type: "interval", every: 3 });
+    expect(parse("water plants every other day").recurrence).toEqual({ type: "interval", every: 2 });
+    expect(parse("standup every weekday at 9:30")).toMatchObject({
+      dueDate: TODAY,
+      dueTime: "09:30",
+      recurrence: { type: "weekdays" },
+    });
+    expect(parse("call mom every friday")).toMatchObject({
+      dueDate: "2026-10-23",
+      recurrence: { type: "weekly", days: [5] },
+    });
+    expect(parse("плавание каждый пн и чт")).toMatchObject({
+      title: "плавание",
+      dueDate: TODAY,
+      recurrence: { type: "weekly", days: [1, 4] },
+    });
+    expect(parse("по понедельникам вынести мусор")).toMatchObject({
+      title: "вынести мусор",
+      recurrence: { type: "weekly", days: [1] },
+    });
+    expect(parse("отчёт ежемесячно").recurrence).toEqual({ type: "monthly" });
+  });
+
+  it("keeps backslash-escaped words in the title as typed", () => {
+    expect(parse("read \\tomorrow book")).toMatchObject({ title: "read tomorrow book", dueDate: null });
+    expect(parse("watch \\every \\day films")).toMatchObject({ title: "watch every day films", recurrence: null });
+    expect(parse("\\!high five")).toMatchObject({ title: "!high five", priority: null });
+  });
+
+  it("takes the text verbatim when nothing would be left of the title", () => {
+    expect(parse("tomorrow")).toEqual({
+      title: "tomorrow",
+      dueDate: null,
+      dueTime: null,
+      priority: null,
+      recurrence: null,
+      tags: [],
+    });
+  });
+});
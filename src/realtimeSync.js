@@ -0,0 +1,40 @@
+// Live updates of synced tables from other tabs, devices and collaborators.
+// Requires the tables to be part of the `supabase_realtime` publication; rows
+// are scoped by row-level security, so shared lists come through too.
+
+import { applyOutbox, opRecordIds } from "./syncQueue";
+
+export function subscribeToTable(client, table, userId, { onChange, onResubscribe }) {
+  let hasSubscribed = false;
+
+  const channel = client
+    .channel(`${table}:${userId}`)
+    .on("postgres_changes", { event: "*", schema: "public", table }, onChange)
+    .subscribe((status) => {
+      if (status !== "SUBSCRIBED") return;
+      // Events sent while the socket was down are lost; the caller refetches.
+      if (hasSubscribed) onResubscribe();
+      hasSubscribed = true;
+    });
+
+  return () => {
+    client.removeChannel(channel);
+  };
+}
+
+// Applies a server change, then replays our own queued ops for that record on
+// top, so an echo of an older write can't clobber a newer optimistic value.
+export function applyRemoteChange(records, payload, ops, fromRow) {
+  if (payload.eventType === "DELETE") {
+    const id = payload.old?.id;
+    return records.filter((r) => r.id !== id);
+  }
+
+  const incoming = fromRow(payload.new);
+  const pending = ops.filter((op) => opRecordIds(op).includes(incoming.id));
+  const [reconciled] = applyOutbox([incoming], pending);
+
+  if (!reconciled) return records.filter((r) => r.id !== incoming.id);
+  if (!records.some((r) => r.id === incoming.id)) return [reconciled, ...records];
+  return records.map((r) => (r.id === incoming.id ? { ...r, ...reconciled } : r));
+}
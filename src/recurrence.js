@@ -0,0 +1,107 @@
+// Repeat rules for chores. A task carries its rule in `recurrence`:
+//   { type: "daily" }
+//   { type: "weekdays" }                 Mon-Fri
+//   { type: "weekly", days: [1, 3] }     Date#getDay() numbers, 0 = Sunday
+//   { type: "monthly" }                  on the due date's day of month
+//   { type: "interval", every: 3 }       every N days
+// Completing the task creates the next occurrence; see nextDueDate.
+
+import { addDays, parseDateKey, toDateKey } from "./dueDates";
+import { tr } from "./i18n";
+
+export const RECURRENCE_TYPES = {
+  daily: "daily",
+  weekdays: "weekdays",
+  weekly: "weekly",
+  monthly: "monthly",
+  interval: "interval",
+};
+
+// Date#getDay() numbers, Monday first (ISO weeks).
+export const WEEK_DAYS = [1, 2, 3, 4, 5, 6, 0];
+
+// Short day name for the weekday toggles.
+export function weekDayLabel(day) {
+  return tr(`recurrence.weekday.${day}`);
+}
+
+export function formatRecurrence(rule) {
+  if (!rule) return "";
+  if (rule.type === RECURRENCE_TYPES.interval && rule.every !== 1) {
+    return tr("recurrence.summary.interval", { count: rule.every });
+  }
+  if (rule.type === RECURRENCE_TYPES.weekly) {
+    const days = WEEK_DAYS.filter((day) => rule.days.includes(day)).map((day) => tr(`recurrence.dayInList.${day}`));
+    return tr("recurrence.summary.weekly", { days: days.join(", ") });
+  }
+  // Every single day is just daily.
+  return tr(`recurrence.summary.${rule.type === RECURRENCE_TYPES.interval ? RECURRENCE_TYPES.daily : rule.type}`);
+}
+
+// Fills in what the editor may leave out; null for "does not repeat".
+export function normalizeRecurrence(rule, dueDate) {
+  if (!rule || !RECURRENCE_TYPES[rule.type]) return null;
+  if (rule.type === RECURRENCE_TYPES.weekly) {
+    const days = [...new Set(rule.days ?? [])].sort((a, b) => a - b);
+    if (days.length) return { type: rule.type, days };
+    return { type: rule.type, days: [parseDateKey(dueDate ?? toDateKey(new Date())).getDay()] };
+  }
+  if (rule.type === RECURRENCE_TYPES.interval) {
+    return { type: rule.type, every: Math.max(1, Math.floor(Number(rule.every)) || 1) };
+  }
+  return { type: rule.type };
+}
+
+export function isSameRecurrence(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function monthlyAfter(anchorDay, fromKey) {
+  const from = parseDateKey(fromKey);
+  for (let offset = 0; offset <= 1; offset += 1) {
+    const month = new Date(from.getFullYear(), from.getMonth() + offset, 1);
+    const lastDay = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+    // The 31st repeats on the last day of shorter months.
+    const candidate = toDateKey(new Date(month.getFullYear(), month.getMonth(), Math.min(anchorDay, lastDay)));
+    if (candidate > fromKey) return candidate;
+  }
+  return null;
+}
+
+// Date key of the next occurrence after a task due on `dueDate` (or undated)
+// is completed on `todayKey`. A late chore continues from today rather than
+// piling up occurrences in the past.
+export function nextDueDate(rule, dueDate, todayKey) {
+  const base = dueDate ?? todayKey;
+  const from = base < todayKey ? todayKey : base;
+
+  if (rule.type === RECURRENCE_TYPES.monthly) return monthlyAfter(parseDateKey(base).getDate(), from);
+  if (rule.type === RECURRENCE_TYPES.interval) return addDays(from, rule.every);
+
+  let next = addDays(from, 1);
+  for (let i = 0; i < 7; i += 1) {
+    const day = parseDateKey(next).getDay();
+    if (rule.type === RECURRENCE_TYPES.daily) break;
+    if (rule.type === RECURRENCE_TYPES.weekdays && day !== 0 && day !== 6) break;
+    if (rule.type === RECURRENCE_TYPES.weekly && rule.days.includes(day)) break;
+    next = addDays(next, 1);
+  }
+  return next;
+}
+
+// Insert records for the occurrence following `task`: a fresh copy due on the
+// next date, with its checklist (`subtasks`) reopened. The rule moves to the copy.
+export function nextOccurrence(task, subtasks, todayKey) {
+  // Copies must not keep the originals' ids, or undo history would treat them as the same records.
+  // They are new tasks, created now and not completed or edited yet.
+  const createdAt = new Date().toISOString();
+  const copy = (record) => {
+    const { id: _id, ...fields } = record;
+    return { ...fields, createdAt, completedAt: null, updatedAt: null };
+  };
+  const key = `next-${task.id}`;
+  return [
+    { ...copy(task), id: key, done: false, dueDate: nextDueDate(task.recurrence, task.dueDate, todayKey) },
+    ...subtasks.map((sub) => ({ ...copy(sub), parentId: key, done: false })),
+  ];
+}
@@ -0,0 +1,66 @@
+// Browser notifications for timed tasks, scheduled while the app is open.
+
+import { dueAt } from "./dueDates";
+
+const REMINDED_KEY = "todo.reminded.v1";
+export const REMINDER_LEAD_MS = 10 * 60 * 1000;
+// Timers further out than this are set up on a later pass.
+const HORIZON_MS = 6 * 60 * 60 * 1000;
+
+export function notificationsSupported() {
+  return typeof window !== "undefined" && "Notification" in window;
+}
+
+function loadReminded() {
+  try {
+    const raw = localStorage.getItem(REMINDED_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function markReminded(key) {
+  // Keep the list short; old keys can't match future due dates anyway.
+  const next = [...loadReminded().filter((k) => k !== key), key].slice(-200);
+  try {
+    localStorage.setItem(REMINDED_KEY, JSON.stringify(next));
+  } catch {
+    // ignore storage errors
+  }
+}
+
+// Schedules a notification REMINDER_LEAD_MS before each upcoming timed task.
+// Returns a cleanup that cancels everything still pending.
+export function scheduleReminders(tasks, notify) {
+  const timers = [];
+
+  function plan() {
+    const now = Date.now();
+    const reminded = new Set(loadReminded());
+
+    for (const task of tasks) {
+      if (task.done || !task.dueTime) continue;
+      const at = dueAt(task);
+      // A reminder is only worth showing until the task is actually due.
+      if (at === null || at <= now || at - REMINDER_LEAD_MS > now + HORIZON_MS) continue;
+
+      const key = `${task.id}@${task.dueDate}T${task.dueTime}`;
+      if (reminded.has(key)) continue;
+
+      const fireIn = Math.max(0, at - REMINDER_LEAD_MS - now);
+      timers.push(
+        setTimeout(() => {
+          markReminded(key);
+          notify(task);
+        }, fireIn)
+      );
+    }
+
+    timers.push(setTimeout(plan, HORIZON_MS));
+  }
+
+  plan();
+  return () => timers.forEach(clearTimeout);
+}
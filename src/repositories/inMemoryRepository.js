@@ -0,0 +1,91 @@
+// Base store for a collection of records (tasks, lists): keeps them in memory
+// and notifies subscribers. The other repositories extend it with
+// persistence; on its own it is handy for exercising task logic without
+// storage or network.
+
+const EMPTY_SYNC_STATE = { statuses: {}, errors: {}, pendingCount: 0 };
+
+export class InMemoryRepository {
+  constructor(records = []) {
+    this.records = records;
+    this.syncState = EMPTY_SYNC_STATE;
+    // Set by backends that found stored data they couldn't read in full.
+    this.recovery = null;
+    this.listeners = new Set();
+    this.lastId = 0;
+  }
+
+  // Shaped for useSyncExternalStore, hence the bound arrow properties.
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    if (this.listeners.size === 1) this.start();
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) this.stop();
+    };
+  };
+
+  getSnapshot = () => this.records;
+
+  getSyncState = () => this.syncState;
+
+  async load() {
+    return this.records;
+  }
+
+  add(values) {
+    const record = { id: this.createId(), ...values };
+    this.commit([record, ...this.records]);
+    return record;
+  }
+
+  update(id, patch) {
+    this.commit(this.records.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  }
+
+  updateMany(ids, patch) {
+    this.commit(this.records.map((r) => (ids.includes(r.id) ? { ...r, ...patch } : r)));
+  }
+
+  remove(ids) {
+    this.commit(this.records.filter((r) => !ids.includes(r.id)));
+  }
+
+  // Only meaningful for backends with a sync queue.
+  retry() {}
+
+  discard() {}
+
+  group(apply) {
+    apply();
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  supports() {
+    return true;
+  }
+
+  createId() {
+    this.lastId = Math.max(Date.now(), this.lastId + 1);
+    return this.lastId;
+  }
+
+  commit(records) {
+    this.records = records;
+    this.persist(records);
+    this.emit();
+  }
+
+  emit(event) {
+    this.listeners.forEach((listener) => listener(event));
+  }
+
+  persist() {}
+
+  start() {}
+
+  stop() {}
+}
@@ -0,0 +1,145 @@
+// What LocalStorageRepository keeps in localStorage. Records are stored in an
+// envelope, { version, records }, and read through the collection's
+// migrations and validation, so a field added later is filled in once
+// instead of being guessed at on every read.
+//
+//   1  a bare array of records, before the envelope existed
+//   2  the envelope
+//   3  tasks have a priority
+//   4  tasks have createdAt / completedAt (ISO timestamps or null)
+//   5  tasks have deletedAt (ISO timestamp while in the trash, otherwise null)
+//   6  tasks have notes (Markdown, "" for none) and updatedAt (ISO timestamp or null)
+
+import { DEFAULT_PRIORITY, normalizePriority } from "../priority";
+import { normalizeRecurrence } from "../recurrence";
+
+export const LOCAL_SCHEMA_VERSION = 6;
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const TIME = /^\d{2}:\d{2}$/;
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isId(value) {
+  return (typeof value === "number" && Number.isFinite(value)) || (typeof value === "string" && value !== "");
+}
+
+// Optional reference fields (listId, parentId): an id or null.
+function idOrNull(value) {
+  return isId(value) ? value : null;
+}
+
+function timestampOrNull(value) {
+  return typeof value === "string" && !Number.isNaN(Date.parse(value)) ? value : null;
+}
+
+// Local ids are creation timestamps (InMemoryRepository#createId), except for
+// the two demo tasks.
+function createdAtFromId(id) {
+  return typeof id === "number" && id > Date.UTC(2000, 0, 1) ? new Date(id).toISOString() : null;
+}
+
+// A record the app can't work with (no id or title) is dropped; optional
+// fields that don't make sense are reset rather than losing the whole task.
+function validateTask(record) {
+  if (!isObject(record) || !isId(record.id) || typeof record.title !== "string" || !record.title.trim()) return null;
+
+  const task = {
+    ...record,
+    done: record.done === true,
+    listId: idOrNull(record.listId),
+    parentId: idOrNull(record.parentId),
+    dueDate: typeof record.dueDate === "string" && DATE_KEY.test(record.dueDate) ? record.dueDate : null,
+  };
+  task.dueTime =
+    task.dueDate && typeof record.dueTime === "string" && TIME.test(record.dueTime) ? record.dueTime : null;
+  task.recurrence = isObject(record.recurrence) ? normalizeRecurrence(record.recurrence, task.dueDate) : null;
+  task.priority = normalizePriority(record.priority);
+  task.createdAt = timestampOrNull(record.createdAt);
+  task.completedAt = task.done ? timestampOrNull(record.completedAt) : null;
+  task.deletedAt = timestampOrNull(record.deletedAt);
+  task.notes = typeof record.notes === "string" ? record.notes : "";
+  task.updatedAt = timestampOrNull(record.updatedAt);
+  if (typeof record.position !== "number" || !Number.isFinite(record.position)) delete task.position;
+  if (!Array.isArray(record.tags) || !record.tags.every((t) => typeof t === "string")) delete task.tags;
+  return task;
+}
+
+function validateList(record) {
+  if (!isObject(record) || !isId(record.id) || typeof record.name !== "string" || !record.name.trim()) return null;
+
+  const list = { ...record };
+  if (typeof record.position !== "number" || !Number.isFinite(record.position)) delete list.position;
+  return list;
+}
+
+// migrations[n] turns the records of version n into those of version n + 1.
+export const LOCAL_TASKS = {
+  validate: validateTask,
+  migrations: {
+    // The envelope is the only change.
+    1: (records) => records,
+    2: (records) => records.map((record) => ({ priority: DEFAULT_PRIORITY, ...record })),
+    // When tasks were completed wasn't kept.
+    3: (records) =>
+      records.map((record) => ({
+        ...record,
+        createdAt: record.createdAt ?? createdAtFromId(record.id),
+        completedAt: null,
+      })),
+    // Deleted tasks used to be removed outright, so none is in the trash.
+    4: (records) => records.map((record) => ({ ...record, deletedAt: null })),
+    5: (records) => records.map((record) => ({ ...record, notes: "", updatedAt: null })),
+  },
+};
+
+export const LOCAL_LISTS = {
+  validate: validateList,
+  migrations: {
+    1: (records) => records,
+    2: (records) => records,
+    3: (records) => records,
+    4: (records) => records,
+    5: (records) => records,
+  },
+};
+
+function isEnvelope(value) {
+  return isObject(value) && Number.isInteger(value.version) && value.version >= 1 && Array.isArray(value.records);
+}
+
+// Parses a stored value into current records. `dropped` counts records that
+// failed validation; `problem` says why nothing could be read (records is
+// then null): "unparsable", "unknown-format" or "newer-version". It is ""
+// otherwise.
+export function decodeRecords(raw, collection) {
+  let stored;
+  try {
+    stored = JSON.parse(raw);
+  } catch {
+    return { records: null, dropped: 0, problem: "unparsable" };
+  }
+
+  const envelope = Array.isArray(stored) ? { version: 1, records: stored } : stored;
+  if (!isEnvelope(envelope)) {
+    return { records: null, dropped: 0, problem: "unknown-format" };
+  }
+  if (envelope.version > LOCAL_SCHEMA_VERSION) {
+    // Written by a newer version of the app; reading it would lose its fields.
+    return { records: null, dropped: 0, problem: "newer-version" };
+  }
+
+  let records = envelope.records;
+  for (let version = envelope.version; version < LOCAL_SCHEMA_VERSION; version += 1) {
+    records = collection.migrations[version](records);
+  }
+
+  const valid = records.map(collection.validate).filter(Boolean);
+  return { records: valid, dropped: records.length - valid.length, problem: "" };
+}
+
+export function encodeRecords(records) {
+  return JSON.stringify({ version: LOCAL_SCHEMA_VERSION, records });
+}
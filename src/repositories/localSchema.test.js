@@ -0,0 +1,122 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { LOCAL_LISTS, LOCAL_SCHEMA_VERSION, LOCAL_TASKS, decodeRecords, encodeRecords } from "./localSchema";
+import { LocalStorageRepository } from "./localStorageRepository";
+
+function createStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    items,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+describe("decodeRecords", () => {
+  it("brings a bare array from before the envelope up to the current version", () => {
+    const createdId = Date.UTC(2025, 4, 1);
+    const raw = JSON.stringify([
+      { id: createdId, title: "Buy milk", done: true, dueDate: "2025-05-02" },
+      { id: 2, title: "Demo", done: false },
+    ]);
+
+    const { records, dropped, problem } = decodeRecords(raw, LOCAL_TASKS);
+    expect(problem).toBe("");
+    expect(dropped).toBe(0);
+    expect(records[0]).toEqual({
+      id: createdId,
+      title: "Buy milk",
+      done: true,
+      listId: null,
+      parentId: null,
+      dueDate: "2025-05-02",
+      dueTime: null,
+      recurrence: null,
+      priority: "normal",
+      createdAt: "2025-05-01T00:00:00.000Z",
+      completedAt: null,
+      deletedAt: null,
+      notes: "",
+      updatedAt: null,
+    });
+    // The demo tasks' ids aren't timestamps.
+    expect(records[1].createdAt).toBeNull();
+  });
+
+  it("reads what it writes", () => {
+    const [task] = decodeRecords(JSON.stringify([{ id: 1, title: "a" }]), LOCAL_TASKS).records;
+    expect(JSON.parse(encodeRecords([task])).version).toBe(LOCAL_SCHEMA_VERSION);
+    expect(decodeRecords(encodeRecords([task]), LOCAL_TASKS).records).toEqual([task]);
+  });
+
+  it("drops records it can't work with and counts them", () => {
+    const raw = JSON.stringify({ version: 2, records: [{ id: 1, name: "Home" }, { id: 2 }, null] });
+    expect(decodeRecords(raw, LOCAL_LISTS)).toEqual({ records: [{ id: 1, name: "Home" }], dropped: 2, problem: "" });
+  });
+
+  it("says why nothing could be read", () => {
+    expect(decodeRecords("{", LOCAL_TASKS)).toMatchObject({ records: null, problem: "unparsable" });
+    expect(decodeRecords('{"tasks":[]}', LOCAL_TASKS)).toMatchObject({ records: null, problem: "unknown-format" });
+    const newer = JSON.stringify({ version: LOCAL_SCHEMA_VERSION + 1, records: [] });
+    expect(decodeRecords(newer, LOCAL_TASKS)).toMatchObject({ records: null, problem: "newer-version" });
+  });
+});
+
+describe("LocalStorageRepository", () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ now: Date.UTC(2026, 9, 19) });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it("copies unreadable data aside before saving over it", () => {
+    const storage = createStorage({ "todo.tasks": "{not json" });
+    vi.stubGlobal("localStorage", storage);
+
+    const repository = new LocalStorageRepository("todo.tasks", LOCAL_TASKS, [{ id: 1, title: "demo" }]);
+    const backupKey = `todo.tasks.backup.${Date.UTC(2026, 9, 19)}`;
+    expect(repository.getSnapshot()).toEqual([]);
+    expect(repository.recovery).toEqual({
+      storageKey: "todo.tasks",
+      backupKey,
+      problem: "unparsable",
+      dropped: 0,
+    });
+    expect(storage.getItem(backupKey)).toBe("{not json");
+
+    repository.add({ title: "new" });
+    expect(decodeRecords(storage.getItem("todo.tasks"), LOCAL_TASKS).records).toMatchObject([{ title: "new" }]);
+  });
+
+  it("doesn't save over unreadable data it couldn't back up", () => {
+    const storage = createStorage({ "todo.tasks": "{not json" });
+    storage.setItem = (key, value) => {
+      if (key !== "todo.tasks") throw new Error("QuotaExceededError");
+      storage.items.set(key, value);
+    };
+    vi.stubGlobal("localStorage", storage);
+
+    const repository = new LocalStorageRepository("todo.tasks", LOCAL_TASKS);
+    expect(repository.recovery.backupKey).toBeNull();
+
+    repository.add({ title: "new" });
+    expect(storage.getItem("todo.tasks")).toBe("{not json");
+  });
+
+  it("keeps the readable records and a backup when some were dropped", () => {
+    const raw = JSON.stringify([
+      { id: 1, title: "kept" },
+      { id: 2, title: "" },
+    ]);
+    const storage = createStorage({ "todo.tasks": raw });
+    vi.stubGlobal("localStorage", storage);
+
+    const repository = new LocalStorageRepository("todo.tasks", LOCAL_TASKS);
+    expect(repository.getSnapshot()).toMatchObject([{ id: 1, title: "kept" }]);
+    expect(repository.recovery).toMatchObject({ problem: "invalid-records", dropped: 1 });
+    expect(storage.getItem(repository.recovery.backupKey)).toBe(raw);
+  });
+});
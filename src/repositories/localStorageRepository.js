@@ -0,0 +1,89 @@
+import { InMemoryRepository } from "./inMemoryRepository";
+import { decodeRecords, encodeRecords } from "./localSchema";
+
+function readRaw(storageKey) {
+  try {
+    return localStorage.getItem(storageKey);
+  } catch {
+    return null;
+  }
+}
+
+// Records stored under `storageKey` (see localSchema.js), or null when there
+// are none or they can't be read.
+export function readStoredRecords(storageKey, collection) {
+  const raw = readRaw(storageKey);
+  return raw === null ? null : decodeRecords(raw, collection).records;
+}
+
+// Data that couldn't be read in full is copied aside before the first save
+// overwrites it. Returns the key of the copy, or null when it didn't fit.
+function backUp(storageKey, raw) {
+  const backupKey = `${storageKey}.backup.${Date.now()}`;
+  try {
+    localStorage.setItem(backupKey, raw);
+    return backupKey;
+  } catch {
+    return null;
+  }
+}
+
+// Records of a signed-out user, kept in the browser only. Other tabs of the
+// app write the same key; their changes arrive through the `storage` event.
+export class LocalStorageRepository extends InMemoryRepository {
+  constructor(storageKey, collection, fallbackRecords = []) {
+    super();
+    this.storageKey = storageKey;
+    this.collection = collection;
+    this.records = this.read(fallbackRecords);
+  }
+
+  // The demo records are only for a browser that has never saved anything.
+  read(fallbackRecords) {
+    const raw = readRaw(this.storageKey);
+    if (raw === null) return fallbackRecords;
+
+    const { records, dropped, problem } = decodeRecords(raw, this.collection);
+    if (problem || dropped) {
+      this.recovery = {
+        storageKey: this.storageKey,
+        backupKey: backUp(this.storageKey, raw),
+        problem: problem || "invalid-records",
+        dropped,
+      };
+    }
+    return records ?? [];
+  }
+
+  persist(records) {
+    // Without a backup, saving would destroy the only copy of what couldn't be read.
+    if (this.recovery && !this.recovery.backupKey) return;
+    try {
+      localStorage.setItem(this.storageKey, encodeRecords(records));
+    } catch {
+      // ignore storage errors
+    }
+  }
+
+  start() {
+    window.addEventListener("storage", this.handleStorage);
+  }
+
+  stop() {
+    window.removeEventListener("storage", this.handleStorage);
+  }
+
+  // Only fires for writes made in other tabs. A key of null means the whole storage was cleared.
+  handleStorage = (e) => {
+    if (e.storageArea !== localStorage || (e.key !== null && e.key !== this.storageKey)) return;
+    if (e.newValue === null) {
+      this.records = [];
+    } else {
+      const { records } = decodeRecords(e.newValue, this.collection);
+      // Unreadable data from the other tab (e.g. a newer app version) isn't taken over.
+      if (!records) return;
+      this.records = records;
+    }
+    this.emit({ type: "external" });
+  };
+}
@@ -0,0 +1,49 @@
+// Which version of the database schema (supabase/migrations) the project
+// runs. Tables and columns declare the version that introduced them, so the
+// client only reads and writes what exists.
+//
+//   0  tables made by hand before migrations: tasks(id, title, done, user_id)
+//   1  initial_schema: lists, due dates, subtasks, positions, tags, recurrence
+//   2  shared_lists: list_members, created_by / completed_by
+//   3  task_priority: priority
+//   4  task_completed_at: completed_at
+//   5  task_deleted_at: deleted_at (the trash)
+//   6  task_notes: notes, updated_at
+
+export const SCHEMA_VERSION = 6;
+
+const SCHEMA_KEY = "todo.schema.v1";
+
+// Last detected version, so an offline start doesn't have to guess.
+export function loadSchemaVersion() {
+  try {
+    const raw = localStorage.getItem(SCHEMA_KEY);
+    if (raw !== null && Number.isInteger(Number(raw))) return Number(raw);
+  } catch {
+    // ignore storage errors
+  }
+  return SCHEMA_VERSION;
+}
+
+function saveSchemaVersion(version) {
+  try {
+    localStorage.setItem(SCHEMA_KEY, String(version));
+  } catch {
+    // ignore storage errors
+  }
+}
+
+// PostgREST's answer for a function that doesn't exist.
+const FUNCTION_NOT_FOUND = "PGRST202";
+
+// Resolves to the server's schema version, or null when it can't be told
+// (offline, server errors). A project without the schema_version() function
+// predates the migrations.
+export async function detectSchemaVersion(client) {
+  const { data, error, status } = await client.rpc("schema_version");
+  if (error && error.code !== FUNCTION_NOT_FOUND && status !== 404) return null;
+
+  const version = error ? 0 : Number(data) || 0;
+  saveSchemaVersion(version);
+  return version;
+}
@@ -0,0 +1,155 @@
+import { InMemoryRepository } from "./inMemoryRepository";
+import { applyRemoteChange, subscribeToTable } from "../realtimeSync";
+import { applyOutbox, createTempId, isNetworkError, loadRemoteCache, opRecordIds, saveRemoteCache } from "../syncQueue";
+
+// Records of a signed-in user in one Supabase table. Changes are applied
+// locally first and then replayed through the user's shared SyncQueue.
+export class SupabaseRepository extends InMemoryRepository {
+  constructor(client, queue, table) {
+    const cached = loadRemoteCache(queue.userId, table.name) ?? [];
+    super(applyOutbox(cached, queue.pendingOps(table.name)));
+
+    this.client = client;
+    this.queue = queue;
+    this.table = table;
+    this.userId = queue.userId;
+    this.syncState = queue.summarize(table.name);
+    this.teardown = null;
+  }
+
+  // Resolves to the server records with queued changes applied, or null when
+  // offline (the cached records stay in place). Throws on other errors.
+  async load() {
+    const version = await this.queue.detectSchema();
+    if (!this.isAvailable()) {
+      this.commit([]);
+      return this.records;
+    }
+
+    const res = await this.table.select(this.client, version, this.userId);
+
+    if (res.error) {
+      if (isNetworkError(res.error, res.status)) return null;
+      throw res.error;
+    }
+
+    this.commit(applyOutbox((res.data ?? []).map((row) => this.table.fromRow(row)), this.queue.pendingOps(this.table.name)));
+    return this.records;
+  }
+
+  add(values) {
+    const record = super.add(values);
+    this.queue.enqueue(this.table.name, "insert", { recordId: record.id, values });
+    return record;
+  }
+
+  update(id, patch) {
+    super.update(id, patch);
+    this.queue.enqueue(this.table.name, "update", { recordId: id, patch });
+  }
+
+  // One request for all of them (`.in("id", ids)`), rolled back together if it fails.
+  updateMany(ids, patch) {
+    super.updateMany(ids, patch);
+    this.queue.enqueue(this.table.name, "update", { recordIds: ids, patch });
+  }
+
+  remove(ids) {
+    super.remove(ids);
+    this.queue.enqueueDelete(this.table.name, ids);
+  }
+
+  group(apply) {
+    this.queue.group(apply);
+  }
+
+  retry(id) {
+    this.queue.retry(this.table.name, id);
+  }
+
+  // Drops our queued changes for a record and refetches the server version.
+  discard(id) {
+    this.queue.discard(this.table.name, id);
+    return this.load();
+  }
+
+  // False when the database predates this table (see ./schema.js).
+  isAvailable() {
+    return this.queue.supports(this.table);
+  }
+
+  // False when the database predates the field's column.
+  supports(field) {
+    return this.table.hasField(field, this.queue.schemaVersion);
+  }
+
+  createId() {
+    return createTempId();
+  }
+
+  persist(records) {
+    saveRemoteCache(this.userId, this.table.name, records);
+  }
+
+  start() {
+    const detach = this.queue.attach(this);
+    if (!this.isAvailable()) {
+      this.teardown = detach;
+      return;
+    }
+
+    const unsubscribe = subscribeToTable(this.client, this.table.name, this.userId, {
+      onChange: (payload) =>
+        this.commit(
+          applyRemoteChange(this.records, payload, this.queue.pendingOps(this.table.name), (row) => this.table.fromRow(row))
+        ),
+      onResubscribe: () => this.load().catch(() => {}),
+    });
+
+    this.teardown = () => {
+      unsubscribe();
+      detach();
+    };
+  }
+
+  stop() {
+    this.teardown?.();
+    this.teardown = null;
+  }
+
+  handleQueueChange() {
+    this.syncState = this.queue.summarize(this.table.name);
+    this.emit();
+  }
+
+  // Called by the queue when the server refused one of our changes for lack of
+  // access: the optimistic state is replaced by what the server has.
+  handleRejected(op) {
+    this.emit({ type: "rejected", table: this.table.name, kind: op.kind });
+    this.load().catch(() => {});
+  }
+
+  // Called by the queue when a batch failed on the server; like a rejection,
+  // but the error isn't about access.
+  handleRolledBack(op, error) {
+    this.emit({ type: "rolledBack", table: this.table.name, count: opRecordIds(op).length, message: error.message });
+    this.load().catch(() => {});
+  }
+
+  // Called by the queue once a record created offline gets its server id.
+  applyRemap(table, fromId, toId) {
+    const fields = Object.keys(this.table.references).filter((field) => this.table.references[field] === table);
+    const isOwnTable = table === this.table.name;
+    if (!isOwnTable && !fields.some((field) => this.records.some((r) => r[field] === fromId))) return;
+
+    let next = this.records.map((r) =>
+      fields.reduce((acc, field) => (acc[field] === fromId ? { ...acc, [field]: toId } : acc), r)
+    );
+    if (isOwnTable) {
+      // A realtime INSERT may have landed first; keep the optimistic record in its place.
+      next = next.filter((r) => r.id !== toId).map((r) => (r.id === fromId ? { ...r, id: toId } : r));
+    }
+    this.commit(next);
+    if (isOwnTable) this.emit({ type: "remap", fromId, toId });
+  }
+}
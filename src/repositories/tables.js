@@ -0,0 +1,171 @@
+// How each synced collection maps onto its Supabase table.
+// Client records are camelCase; table columns are snake_case. Tables and
+// columns name the schema version that introduced them (see ./schema.js), so
+// older databases are read and written without the newer columns.
+
+import { DEFAULT_PRIORITY } from "../priority";
+
+// Record field -> [column, schema version].
+function pickColumns(fields, columns, version) {
+  const row = {};
+  for (const [key, [column, since]] of Object.entries(columns)) {
+    if (key in fields && since <= version) row[column] = fields[key];
+  }
+  return row;
+}
+
+function columnList(columns, version, extra) {
+  const available = Object.values(columns).filter(([, since]) => since <= version);
+  return ["id", ...available.map(([column]) => column), ...extra].join(",");
+}
+
+const TASK_FIELDS = {
+  title: ["title", 0],
+  done: ["done", 0],
+  dueDate: ["due_date", 1],
+  dueTime: ["due_time", 1],
+  listId: ["list_id", 1],
+  parentId: ["parent_id", 1],
+  position: ["position", 1],
+  tags: ["tags", 1],
+  recurrence: ["recurrence", 1],
+  createdBy: ["created_by", 2],
+  completedBy: ["completed_by", 2],
+  priority: ["priority", 3],
+  // Sent on insert so tasks created offline keep their time.
+  createdAt: ["created_at", 1],
+  completedAt: ["completed_at", 4],
+  deletedAt: ["deleted_at", 5],
+  notes: ["notes", 6],
+  updatedAt: ["updated_at", 6],
+};
+
+export const TASKS_TABLE = {
+  name: "tasks",
+  since: 0,
+  // Fields holding ids of other records; remapped after offline inserts.
+  references: { listId: "lists", parentId: "tasks" },
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      done: !!row.done,
+      dueDate: row.due_date ?? null,
+      // Postgres `time` comes back as HH:MM:SS.
+      dueTime: row.due_time ? row.due_time.slice(0, 5) : null,
+      listId: row.list_id ?? null,
+      parentId: row.parent_id ?? null,
+      position: row.position ?? null,
+      // Without the column, tags are derived from the title (see taskTags).
+      tags: row.tags ?? null,
+      recurrence: row.recurrence ?? null,
+      createdBy: row.created_by ?? null,
+      completedBy: row.completed_by ?? null,
+      priority: row.priority ?? DEFAULT_PRIORITY,
+      createdAt: row.created_at ?? null,
+      completedAt: row.completed_at ?? null,
+      deletedAt: row.deleted_at ?? null,
+      notes: row.notes ?? "",
+      updatedAt: row.updated_at ?? null,
+    };
+  },
+
+  columns(version) {
+    return columnList(TASK_FIELDS, version, []);
+  },
+
+  toRow(fields, version) {
+    return pickColumns(fields, TASK_FIELDS, version);
+  },
+
+  hasField(field, version) {
+    return field in TASK_FIELDS && TASK_FIELDS[field][1] <= version;
+  },
+
+  select(client, version, userId) {
+    // Hand-made tables have neither created_at nor row-level security to rely on.
+    if (version === 0) {
+      return client
+        .from("tasks")
+        .select(`${this.columns(version)},user_id`)
+        .eq("user_id", userId)
+        .order("id", { ascending: false });
+    }
+    // Row-level security limits the rows to the user's own tasks and those in lists shared with them.
+    return client
+      .from("tasks")
+      .select(`${this.columns(version)},user_id`)
+      .order("created_at", { ascending: false });
+  },
+};
+
+const LIST_FIELDS = {
+  name: ["name", 1],
+  position: ["position", 1],
+};
+
+export const LISTS_TABLE = {
+  name: "lists",
+  since: 1,
+  references: {},
+
+  fromRow(row) {
+    // ownerId is null for lists created offline; those are always the user's own.
+    return { id: row.id, name: row.name, position: row.position ?? 0, ownerId: row.user_id ?? null };
+  },
+
+  columns(version) {
+    return columnList(LIST_FIELDS, version, ["user_id"]);
+  },
+
+  toRow(fields, version) {
+    return pickColumns(fields, LIST_FIELDS, version);
+  },
+
+  hasField(field, version) {
+    return field in LIST_FIELDS && LIST_FIELDS[field][1] <= version;
+  },
+
+  select(client, version) {
+    return client.from("lists").select(this.columns(version)).order("position", { ascending: true });
+  },
+};
+
+const MEMBER_FIELDS = {
+  role: ["role", 2],
+};
+
+// Who has access to a shared list, the owner included. Invites go through
+// the invite_list_member RPC, so only role changes and removals are synced.
+export const MEMBERS_TABLE = {
+  name: "list_members",
+  since: 2,
+  references: { listId: "lists" },
+
+  fromRow(row) {
+    return { id: row.id, listId: row.list_id, userId: row.user_id, email: row.email, role: row.role };
+  },
+
+  columns(version) {
+    return columnList(MEMBER_FIELDS, version, ["list_id", "user_id", "email"]);
+  },
+
+  toRow(fields, version) {
+    return pickColumns(fields, MEMBER_FIELDS, version);
+  },
+
+  hasField(field, version) {
+    return field in MEMBER_FIELDS && MEMBER_FIELDS[field][1] <= version;
+  },
+
+  select(client, version) {
+    return client.from("list_members").select(this.columns(version)).order("id", { ascending: true });
+  },
+};
+
+export const TABLES = {
+  [TASKS_TABLE.name]: TASKS_TABLE,
+  [LISTS_TABLE.name]: LISTS_TABLE,
+  [MEMBERS_TABLE.name]: MEMBERS_TABLE,
+};
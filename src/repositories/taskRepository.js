@@ -0,0 +1,50 @@
+import { InMemoryRepository } from "./inMemoryRepository";
+import { LocalStorageRepository } from "./localStorageRepository";
+import { LOCAL_LISTS, LOCAL_TASKS } from "./localSchema";
+import { SupabaseRepository } from "./supabaseRepository";
+import { LISTS_TABLE, MEMBERS_TABLE, TASKS_TABLE } from "./tables";
+import { SyncQueue } from "../syncQueue";
+
+/**
+ * What the UI expects from a task (or list) backend. Mutations are
+ * synchronous and optimistic: the snapshot changes immediately, persistence
+ * happens behind it.
+ *
+ * @typedef {Object} TaskRepository
+ * @property {(listener: (event?: { type: string }) => void) => () => void} subscribe
+ * @property {() => Array<{ id: string | number }>} getSnapshot
+ * @property {() => { statuses: Object, errors: Object, pendingCount: number }} getSyncState
+ * @property {() => Promise<Array | null>} load
+ * @property {(values: Object) => Object} add
+ * @property {(id: string | number, patch: Object) => void} update
+ * @property {(ids: Array<string | number>, patch: Object) => void} updateMany  the same patch for every record
+ * @property {(ids: Array<string | number>) => void} remove
+ * @property {(id: string | number) => void} retry
+ * @property {(id: string | number) => void} discard
+ * @property {() => boolean} isAvailable  false when the database has no such table yet
+ * @property {(field: string) => boolean} supports  false when the database can't store that field yet
+ * @property {{ storageKey: string, backupKey: string | null, problem: string, dropped: number } | null} recovery
+ *   stored data that couldn't be read in full, and where a copy of it was kept
+ */
+
+/**
+ * Lists can only be shared when signed in; locally `members` stays empty.
+ *
+ * @returns {{ tasks: TaskRepository, lists: TaskRepository, members: TaskRepository }}
+ */
+export function createRepositories({ client, userId, storageKeys, fallbackTasks }) {
+  if (client && userId) {
+    const queue = new SyncQueue(client, userId);
+    return {
+      tasks: new SupabaseRepository(client, queue, TASKS_TABLE),
+      lists: new SupabaseRepository(client, queue, LISTS_TABLE),
+      members: new SupabaseRepository(client, queue, MEMBERS_TABLE),
+    };
+  }
+
+  return {
+    tasks: new LocalStorageRepository(storageKeys.tasks, LOCAL_TASKS, fallbackTasks),
+    lists: new LocalStorageRepository(storageKeys.lists, LOCAL_LISTS),
+    members: new InMemoryRepository(),
+  };
+}
@@ -0,0 +1,64 @@
+// `#tags` written inline in task titles, and the search box matching.
+// Tags are kept on the task as a structured `tags` field, derived from the title.
+
+const TAG_RE = /(^|\s)#([\p{L}\p{N}_-]+)/gu;
+const WORD_RE = /[\p{L}\p{N}_-]+/gu;
+
+export function normalizeText(text) {
+  return text.toLowerCase().replace(/ё/g, "е");
+}
+
+export function extractTags(title) {
+  const tags = [...title.matchAll(TAG_RE)].map((match) => normalizeText(match[2]));
+  return [...new Set(tags)];
+}
+
+// Tasks saved before tags existed don't have the field yet.
+export function taskTags(task) {
+  return task.tags ?? extractTags(task.title);
+}
+
+// Tag -> number of tasks carrying it, most used first.
+export function collectTags(tasks) {
+  const counts = new Map();
+  tasks.forEach((task) => taskTags(task).forEach((tag) => counts.set(tag, (counts.get(tag) ?? 0) + 1)));
+  return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([tag, count]) => ({ tag, count }));
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Substring match, plus tolerance for a typo or two in longer words
+// (against the whole word or the start of it, so typing isn't punished).
+function wordMatches(queryWord, word) {
+  if (word.includes(queryWord)) return true;
+  if (queryWord.length < 4) return false;
+  const limit = queryWord.length >= 7 ? 2 : 1;
+  return editDistance(queryWord, word.slice(0, queryWord.length)) <= limit || editDistance(queryWord, word) <= limit;
+}
+
+// Every word of the query must match a word of the title or a tag;
+// `#word` in the query only matches tags.
+export function matchesSearch(task, query) {
+  const queryWords = normalizeText(query).split(/\s+/).filter(Boolean);
+  if (!queryWords.length) return true;
+
+  const tags = taskTags(task);
+  const words = [...normalizeText(task.title).matchAll(WORD_RE)].map((match) => match[0]);
+  return queryWords.every((queryWord) => {
+    if (queryWord.startsWith("#")) {
+      const tagQuery = queryWord.slice(1);
+      return tags.some((tag) => tag.startsWith(tagQuery));
+    }
+    return [...words, ...tags].some((word) => wordMatches(queryWord, word));
+  });
+}
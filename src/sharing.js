@@ -0,0 +1,53 @@
+// Shared lists: membership rows come from the `list_members` collection,
+// access itself is enforced by row-level security on the server
+// (supabase/migrations/*_shared_lists.sql).
+
+import { tr } from "./i18n";
+
+export const LIST_ROLES = {
+  owner: "owner",
+  editor: "editor",
+  viewer: "viewer",
+};
+
+export function roleLabel(role) {
+  return tr(`sharing.role.${role}`);
+}
+
+// The user's role in a list. The inbox, local lists and lists created
+// offline (no ownerId yet) are always the user's own.
+export function listRole(list, members, userId) {
+  if (!list || !list.ownerId || list.ownerId === userId) return LIST_ROLES.owner;
+  return members.find((m) => m.listId === list.id && m.userId === userId)?.role ?? LIST_ROLES.viewer;
+}
+
+export function canEditRole(role) {
+  return role !== LIST_ROLES.viewer;
+}
+
+// "you" for the current user, otherwise the member's e-mail.
+export function memberLabel(members, memberUserId, userId) {
+  if (!memberUserId) return "";
+  if (memberUserId === userId) return tr("sharing.you");
+  return members.find((m) => m.userId === memberUserId)?.email ?? tr("sharing.formerMember");
+}
+
+function inviteErrorMessage(error) {
+  if (error.code === "P0002") return tr("sharing.error.notRegistered");
+  if (error.code === "42501") return tr("sharing.error.notOwner");
+  if (error.code === "22023") return tr("sharing.error.cannotInvite");
+  return error.message || tr("sharing.error.invite");
+}
+
+// Invites need the server (to find the user by e-mail), so they bypass the outbox.
+// Resolves to an error message, or "" on success.
+export async function inviteMember(client, listId, email, role) {
+  const { error } = await client.rpc("invite_list_member", { p_list_id: listId, p_email: email, p_role: role });
+  return error ? inviteErrorMessage(error) : "";
+}
+
+// Leaving is online-only too: afterwards the list's rows are no longer readable to sync against.
+export async function leaveList(client, memberId) {
+  const { error } = await client.from("list_members").delete().eq("id", memberId);
+  return error ? error.message || tr("sharing.error.leave") : "";
+}
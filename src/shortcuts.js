@@ -0,0 +1,70 @@
+// Keyboard command mode: single keys act on the highlighted task while no
+// text field has focus, and the Ctrl+K palette runs any command by name.
+// Keys are matched by KeyboardEvent.code, so they also work in the Russian layout.
+
+import { normalizeText } from "./search";
+
+const KEY_ACTIONS = {
+  KeyJ: "next",
+  KeyK: "previous",
+  KeyX: "toggle",
+  KeyE: "edit",
+  KeyO: "details",
+  KeyD: "delete",
+  Digit1: "filter-all",
+  Digit2: "filter-active",
+  Digit3: "filter-done",
+  Slash: "search",
+  Escape: "escape",
+};
+
+// For the "?" overlay, in the order it lists them; `message` is an i18n key.
+export const SHORTCUT_HELP = [
+  { keys: "j / k", message: "shortcuts.navigate" },
+  { keys: "x", message: "shortcuts.toggle" },
+  { keys: "e", message: "shortcuts.edit" },
+  { keys: "o", message: "shortcuts.details" },
+  { keys: "d", message: "shortcuts.delete" },
+  { keys: "1 / 2 / 3", message: "shortcuts.filters" },
+  { keys: "/", message: "shortcuts.search" },
+  { keys: "Ctrl+K", message: "shortcuts.palette" },
+  { keys: "Ctrl+Z / Ctrl+Shift+Z", message: "shortcuts.undoRedo" },
+  { keys: "?", message: "shortcuts.help" },
+  { keys: "Esc", message: "shortcuts.escape" },
+];
+
+function isTextField(target) {
+  return Boolean(target?.closest?.("input, textarea, select, [contenteditable='true']"));
+}
+
+// The action a keydown stands for, or null. Text fields keep their own
+// keys, including undo; only the palette opens from anywhere.
+export function shortcutAction(e) {
+  if (e.altKey) return null;
+  if (e.ctrlKey || e.metaKey) {
+    if (e.code === "KeyK" && !e.shiftKey) return "palette";
+    if (isTextField(e.target)) return null;
+    if (e.code === "KeyZ") return e.shiftKey ? "redo" : "undo";
+    if (e.code === "KeyY" && !e.shiftKey) return "redo";
+    return null;
+  }
+  if (isTextField(e.target)) return null;
+  // "?" sits on different keys across layouts.
+  if (e.key === "?" || (e.code === "Slash" && e.shiftKey)) return "help";
+  if (e.shiftKey) return null;
+  return KEY_ACTIONS[e.code] ?? null;
+}
+
+// Commands whose label contains every word of the query; labels starting
+// with the query come first.
+export function filterCommands(commands, query) {
+  const words = normalizeText(query).split(/\s+/).filter(Boolean);
+  if (!words.length) return commands;
+  const first = normalizeText(query.trim());
+  return commands
+    .filter((command) => {
+      const label = normalizeText(command.label);
+      return words.every((word) => label.includes(word));
+    })
+    .sort((a, b) => normalizeText(b.label).startsWith(first) - normalizeText(a.label).startsWith(first));
+}
@@ -0,0 +1,36 @@
+// Comparators for the list's sort options besides manual order and due date.
+
+// Tasks from before createdAt was kept fall back to their id: local ids are
+// creation timestamps (InMemoryRepository#createId).
+function createdTime(task) {
+  const parsed = task.createdAt ? Date.parse(task.createdAt) : NaN;
+  if (!Number.isNaN(parsed)) return parsed;
+  return typeof task.id === "number" ? task.id : 0;
+}
+
+// Newest first.
+export function compareByCreated(a, b) {
+  return createdTime(b) - createdTime(a);
+}
+
+const collators = new Map();
+
+// Alphabetical in the given language, ignoring case; "Task 2" before "Task 10".
+export function titleComparator(locale) {
+  if (!collators.has(locale)) {
+    collators.set(locale, new Intl.Collator(locale, { sensitivity: "base", numeric: true }));
+  }
+  const collator = collators.get(locale);
+  return (a, b) => collator.compare(a.title, b.title);
+}
+
+// The first comparator that tells a and b apart decides.
+export function thenBy(...comparators) {
+  return (a, b) => {
+    for (const compare of comparators) {
+      const result = compare(a, b);
+      if (result !== 0) return result;
+    }
+    return 0;
+  };
+}
@@ -0,0 +1,118 @@
+// Productivity numbers for the statistics view, computed from the tasks'
+// createdAt / completedAt. Days are local calendar days and weeks start on
+// Monday, like everywhere else in the app. Done tasks without a completion
+// time (completed before it was kept) are left out.
+
+import { addDays, parseDateKey, toDateKey } from "./dueDates";
+import { tr } from "./i18n";
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+export const DAILY_DAYS = 14;
+export const WEEKLY_WEEKS = 8;
+export const HEATMAP_WEEKS = 26;
+
+function completedTime(task) {
+  if (!task.done || !task.completedAt) return null;
+  const time = Date.parse(task.completedAt);
+  return Number.isNaN(time) ? null : time;
+}
+
+// Completions per day: Map "YYYY-MM-DD" -> count.
+function completionsByDay(tasks) {
+  const byDay = new Map();
+  for (const task of tasks) {
+    const time = completedTime(task);
+    if (time === null) continue;
+    const key = toDateKey(new Date(time));
+    byDay.set(key, (byDay.get(key) ?? 0) + 1);
+  }
+  return byDay;
+}
+
+// The Monday of the week `key` falls in.
+function weekStart(key) {
+  const day = parseDateKey(key).getDay();
+  return addDays(key, -((day + 6) % 7));
+}
+
+function countBetween(byDay, fromKey, days) {
+  let count = 0;
+  for (let i = 0; i < days; i += 1) count += byDay.get(addDays(fromKey, i)) ?? 0;
+  return count;
+}
+
+// Days in a row with at least one completion, up to today. A today without
+// completions doesn't break the streak yet.
+function currentStreak(byDay, todayKey) {
+  let key = byDay.has(todayKey) ? todayKey : addDays(todayKey, -1);
+  let streak = 0;
+  while (byDay.has(key)) {
+    streak += 1;
+    key = addDays(key, -1);
+  }
+  return streak;
+}
+
+// Mean time from creation to completion, or null when no task has both.
+function averageCompletionMs(tasks) {
+  let total = 0;
+  let count = 0;
+  for (const task of tasks) {
+    const completed = completedTime(task);
+    const created = task.createdAt ? Date.parse(task.createdAt) : NaN;
+    if (completed === null || Number.isNaN(created) || completed < created) continue;
+    total += completed - created;
+    count += 1;
+  }
+  return count ? total / count : null;
+}
+
+export function computeStats(tasks, now) {
+  const byDay = completionsByDay(tasks);
+  const todayKey = toDateKey(new Date(now));
+  const thisWeek = weekStart(todayKey);
+
+  const daily = Array.from({ length: DAILY_DAYS }, (_, i) => {
+    const key = addDays(todayKey, i - DAILY_DAYS + 1);
+    return { key, count: byDay.get(key) ?? 0 };
+  });
+  const weekly = Array.from({ length: WEEKLY_WEEKS }, (_, i) => {
+    const key = addDays(thisWeek, (i - WEEKLY_WEEKS + 1) * 7);
+    return { key, count: countBetween(byDay, key, 7) };
+  });
+  // Columns of weeks, oldest first; days after today are left blank.
+  const heatmap = Array.from({ length: HEATMAP_WEEKS }, (_, week) =>
+    Array.from({ length: 7 }, (_, day) => {
+      const key = addDays(thisWeek, (week - HEATMAP_WEEKS + 1) * 7 + day);
+      return { key, count: byDay.get(key) ?? 0, future: key > todayKey };
+    })
+  );
+
+  return {
+    total: [...byDay.values()].reduce((sum, count) => sum + count, 0),
+    today: byDay.get(todayKey) ?? 0,
+    thisWeek: countBetween(byDay, thisWeek, 7),
+    streak: currentStreak(byDay, todayKey),
+    averageMs: averageCompletionMs(tasks),
+    daily,
+    weekly,
+    heatmap,
+    heatmapMax: Math.max(0, ...heatmap.flat().map((cell) => cell.count)),
+  };
+}
+
+// 0 for no completions, then 1-4 in quarters of the busiest day.
+export function heatLevel(count, max) {
+  if (!count || !max) return 0;
+  return Math.min(4, Math.ceil((count / max) * 4));
+}
+
+// The largest whole unit: "3 days", "5 hours", "12 minutes".
+export function formatDuration(ms) {
+  if (ms >= DAY_MS) return tr("stats.duration.days", { count: Math.round(ms / DAY_MS) });
+  if (ms >= HOUR_MS) return tr("stats.duration.hours", { count: Math.round(ms / HOUR_MS) });
+  return tr("stats.duration.minutes", { count: Math.max(1, Math.round(ms / MINUTE_MS)) });
+}
@@ -0,0 +1,76 @@
+// One level of nesting: a task with a `parentId` is a subtask of that task.
+// Subtasks can't have subtasks of their own.
+
+import { compareByPosition } from "./ordering";
+
+export function isSubtask(task, taskIds) {
+  // A subtask whose parent is gone (e.g. deleted on another device) is shown as a regular task.
+  return task.parentId != null && taskIds.has(task.parentId);
+}
+
+// Parent id -> its subtasks in manual order.
+export function groupSubtasks(tasks) {
+  const taskIds = new Set(tasks.map((t) => t.id));
+  const groups = new Map();
+  for (const task of tasks) {
+    if (!isSubtask(task, taskIds)) continue;
+    if (!groups.has(task.parentId)) groups.set(task.parentId, []);
+    groups.get(task.parentId).push(task);
+  }
+  groups.forEach((children) => children.sort(compareByPosition));
+  return groups;
+}
+
+export function topLevelTasks(tasks) {
+  const taskIds = new Set(tasks.map((t) => t.id));
+  return tasks.filter((t) => !isSubtask(t, taskIds));
+}
+
+// Parents are shown when they or any of their subtasks match, so a matching
+// subtask always appears under its parent; subtasks only when they match.
+export function nestTasks(parents, groups, matches) {
+  const rows = [];
+  for (const parent of parents) {
+    const children = groups.get(parent.id) ?? [];
+    const visibleChildren = children.filter(matches);
+    if (!matches(parent) && visibleChildren.length === 0) continue;
+    rows.push(parent, ...visibleChildren);
+  }
+  return rows;
+}
+
+export function subtaskProgress(groups, parentId) {
+  const children = groups.get(parentId) ?? [];
+  return { done: children.filter((c) => c.done).length, total: children.length };
+}
+
+// Every [id, patch] needed to set `done` on a task: completing a parent
+// completes its checklist, and a parent follows its subtasks (done once all
+// are done, reopened when one is reopened).
+export function completionChanges(tasks, id, done) {
+  const task = tasks.find((t) => t.id === id);
+  if (!task) return [];
+
+  const groups = groupSubtasks(tasks);
+  const changes = [[id, { done }]];
+
+  const children = groups.get(id) ?? [];
+  if (done) {
+    children.filter((c) => !c.done).forEach((c) => changes.push([c.id, { done: true }]));
+  }
+
+  const parent = task.parentId != null ? tasks.find((t) => t.id === task.parentId) : null;
+  if (parent) {
+    const siblings = groups.get(parent.id) ?? [];
+    const allDone = siblings.every((s) => (s.id === id ? done : s.done));
+    if (allDone !== parent.done) changes.push([parent.id, { done: allDone }]);
+  }
+
+  return changes;
+}
+
+// A task together with its subtasks, for removals.
+export function withSubtasks(tasks, ids) {
+  const selected = new Set(ids);
+  return tasks.filter((t) => selected.has(t.id) || selected.has(t.parentId)).map((t) => t.id);
+}
@@ -0,0 +1,66 @@
+// Service worker. Precaches the build so the app opens without a network and
+// serves it cache-first; every page load is the cached shell, which then reads
+// its tasks from localStorage. The file list and the cache version are filled
+// in at build time (serviceWorkerPlugin.js). A new deploy installs next to the
+// running one and waits until the page asks it to take over (src/pwa.js).
+
+const PRECACHE = self.__PRECACHE__;
+const CACHE_PREFIX = "todo-shell-";
+const CACHE_NAME = `${CACHE_PREFIX}${PRECACHE.version}`;
+const SHELL_URL = new URL("index.html", self.registration.scope).href;
+// Must match SYNC_TAG in src/pwa.js.
+const SYNC_TAG = "todo-outbox";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) =>
+      // Past the HTTP cache, so a deploy never precaches the previous one's files.
+      cache.addAll(
+        PRECACHE.files.map((file) => new Request(new URL(file, self.registration.scope), { cache: "reload" }))
+      )
+    )
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  // Supabase and everything else off-origin goes straight to the network.
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  // Every page of the app is the same shell, whatever the query (auth redirects).
+  const lookup = request.mode === "navigate" ? SHELL_URL : request;
+  event.respondWith(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.match(lookup))
+      .then((cached) => cached ?? fetch(request))
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "skip-waiting") self.skipWaiting();
+});
+
+// The outbox lives in the page's localStorage, so the worker can only tell
+// open pages that the connection is back; a closed app syncs on next start.
+self.addEventListener("sync", (event) => {
+  if (event.tag !== SYNC_TAG) return;
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window" })
+      .then((clients) => clients.forEach((client) => client.postMessage({ type: "sync" })))
+  );
+});
@@ -0,0 +1,431 @@
+// Persistent outbox for Supabase mutations.
+// Every change made while logged in is applied to local state right away and
+// recorded here; the queue is replayed in order whenever we are online.
+
+import { TABLES } from "./repositories/tables";
+import { detectSchemaVersion, loadSchemaVersion } from "./repositories/schema";
+import { onBackgroundSync, requestBackgroundSync } from "./pwa";
+
+const OUTBOX_KEY = "todo.outbox.v1";
+const CACHE_KEY = "todo.remote.v1";
+const TEMP_PREFIX = "local-";
+const SYNC_RETRY_MS = 30000;
+
+export const SYNC_STATUS = {
+  pending: "pending",
+  synced: "synced",
+  failed: "failed",
+};
+
+// Ops written before lists existed only touched tasks and named ids `taskId`.
+function normalizeOp(op) {
+  if (op.table) return op;
+  const { taskId, taskIds, ...rest } = op;
+  return { ...rest, table: "tasks", recordId: taskId, ...(taskIds ? { recordIds: taskIds } : {}) };
+}
+
+export function loadOutbox() {
+  try {
+    const raw = localStorage.getItem(OUTBOX_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed.map(normalizeOp) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveOutbox(ops) {
+  try {
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify(ops));
+  } catch {
+    // ignore storage errors
+  }
+}
+
+// Last known server state per user, so the lists survive a reload while offline.
+export function loadRemoteCache(userId, table) {
+  try {
+    const raw = localStorage.getItem(CACHE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    const records = parsed?.userId === userId ? parsed.tables?.[table] : null;
+    if (Array.isArray(records)) return records;
+  } catch {
+    // ignore storage errors
+  }
+  return null;
+}
+
+export function saveRemoteCache(userId, table, records) {
+  try {
+    const raw = localStorage.getItem(CACHE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    const tables = parsed?.userId === userId && parsed.tables ? parsed.tables : {};
+    localStorage.setItem(CACHE_KEY, JSON.stringify({ userId, tables: { ...tables, [table]: records } }));
+  } catch {
+    // ignore storage errors
+  }
+}
+
+function createKey() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function createTempId() {
+  return `${TEMP_PREFIX}${createKey()}`;
+}
+
+export function isTempId(id) {
+  return typeof id === "string" && id.startsWith(TEMP_PREFIX);
+}
+
+export function createOp(userId, table, kind, fields) {
+  return {
+    opId: createKey(),
+    userId,
+    table,
+    kind,
+    failed: false,
+    error: "",
+    ...fields,
+  };
+}
+
+export function opRecordIds(op) {
+  return op.recordIds ?? [op.recordId];
+}
+
+// Replays queued ops on top of a fresh server snapshot so optimistic changes
+// don't disappear when the list is reloaded before the queue has drained.
+export function applyOutbox(records, ops) {
+  return ops.reduce((acc, op) => {
+    if (op.kind === "insert") {
+      if (acc.some((r) => r.id === op.recordId)) return acc;
+      return [{ id: op.recordId, ...op.values }, ...acc];
+    }
+    if (op.kind === "update") {
+      const ids = opRecordIds(op);
+      return acc.map((r) => (ids.includes(r.id) ? { ...r, ...op.patch } : r));
+    }
+    if (op.kind === "delete") {
+      const ids = opRecordIds(op);
+      return acc.filter((r) => !ids.includes(r.id));
+    }
+    return acc;
+  }, records);
+}
+
+function remapFields(fields, references, table, fromId, toId) {
+  if (!fields) return fields;
+  let next = fields;
+  for (const [field, refTable] of Object.entries(references)) {
+    if (refTable === table && next[field] === fromId) next = { ...next, [field]: toId };
+  }
+  return next;
+}
+
+// Swaps a temp id for the server one, both in ops on that table and in
+// fields of other tables' ops that reference it (e.g. a task's listId).
+export function remapRecordId(ops, table, fromId, toId) {
+  return ops.map((op) => {
+    let next = op;
+    if (op.table === table) {
+      next = op.recordIds
+        ? { ...op, recordIds: op.recordIds.map((id) => (id === fromId ? toId : id)) }
+        : { ...op, recordId: op.recordId === fromId ? toId : op.recordId };
+    }
+    const references = TABLES[op.table]?.references ?? {};
+    const values = remapFields(next.values, references, table, fromId, toId);
+    const patch = remapFields(next.patch, references, table, fromId, toId);
+    if (values !== next.values || patch !== next.patch) next = { ...next, values, patch };
+    return next;
+  });
+}
+
+// The next op that may run: not failed, and not touching a record that has
+// an earlier failed op (e.g. an update for a task whose insert was rejected).
+export function nextRunnableOp(ops, userId) {
+  const blocked = new Set();
+  for (const op of ops) {
+    if (op.userId !== userId) continue;
+    const keys = opRecordIds(op).map((id) => `${op.table}:${id}`);
+    if (op.failed) {
+      keys.forEach((key) => blocked.add(key));
+      continue;
+    }
+    if (keys.some((key) => blocked.has(key))) continue;
+    return op;
+  }
+  return null;
+}
+
+export function summarizeSync(ops) {
+  const statuses = {};
+  const errors = {};
+
+  for (const op of ops) {
+    for (const id of opRecordIds(op)) {
+      if (statuses[id] === SYNC_STATUS.failed) continue;
+      statuses[id] = op.failed ? SYNC_STATUS.failed : SYNC_STATUS.pending;
+      if (op.failed) errors[id] = op.error;
+    }
+  }
+  return { statuses, errors, pendingCount: ops.length };
+}
+
+// postgrest-js reports fetch failures with status 0 instead of throwing.
+export function isNetworkError(error, status) {
+  if (typeof navigator !== "undefined" && navigator.onLine === false) return true;
+  return status === 0 || /failed to fetch|network/i.test(error?.message ?? "");
+}
+
+// Row-level security rejects inserts with 42501 but silently skips rows in
+// updates, so an update that didn't match every record is reported the same way.
+const PERMISSION_DENIED = "42501";
+
+export function isPermissionError(error) {
+  return error?.code === PERMISSION_DENIED || /row-level security|permission denied/i.test(error?.message ?? "");
+}
+
+// Access goes by row-level security (own rows plus shared lists); only
+// hand-made pre-migration tables (schema version 0) are filtered by user_id.
+export async function runOp(client, op, version) {
+  const table = TABLES[op.table];
+  const query = client.from(table.name);
+  const ownRows = (q) => (version === 0 ? q.eq("user_id", op.userId) : q);
+
+  if (op.kind === "insert") {
+    return query
+      .insert({ ...table.toRow(op.values, version), user_id: op.userId })
+      .select(table.columns(version))
+      .single();
+  }
+
+  if (op.kind === "update") {
+    const row = table.toRow(op.patch, version);
+    // Only columns this database doesn't have changed; nothing to send.
+    if (!Object.keys(row).length) return { data: [], error: null, status: 204 };
+
+    // A batch (updateMany) is one statement, so the database applies it whole or not at all.
+    const ids = opRecordIds(op);
+    const res = await ownRows(query.update(row).in("id", ids)).select("id");
+    if (res.error || res.data?.length === ids.length) return res;
+    return { ...res, error: { code: PERMISSION_DENIED, message: "No access to this record" } };
+  }
+
+  if (op.kind === "delete") {
+    return ownRows(query.delete().in("id", opRecordIds(op)));
+  }
+
+  return { error: { message: `Unknown op: ${op.kind}` }, status: 400 };
+}
+
+// One queue per signed-in user, shared by the repositories of every table so
+// that ops replay in the order they were made (a list before its tasks).
+export class SyncQueue {
+  constructor(client, userId) {
+    this.client = client;
+    this.userId = userId;
+    this.ops = loadOutbox();
+    this.collections = new Map();
+    this.flushing = false;
+    this.inFlightOpId = null;
+    this.teardown = null;
+    this.schemaVersion = loadSchemaVersion();
+    this.schemaCheck = null;
+    this.groupId = null;
+  }
+
+  // Resolves to the server's schema version once known; while the server
+  // can't be reached the last known one is used and the next call asks again.
+  detectSchema() {
+    if (!this.schemaCheck) {
+      this.schemaCheck = detectSchemaVersion(this.client)
+        .catch(() => null)
+        .then((version) => {
+          if (version === null) this.schemaCheck = null;
+          else this.schemaVersion = version;
+          return this.schemaVersion;
+        });
+    }
+    return this.schemaCheck;
+  }
+
+  supports(table) {
+    return this.schemaVersion >= table.since;
+  }
+
+  attach(collection) {
+    this.collections.set(collection.table.name, collection);
+    if (this.collections.size === 1) this.start();
+    return () => {
+      this.collections.delete(collection.table.name);
+      if (this.collections.size === 0) this.stop();
+    };
+  }
+
+  start() {
+    const handleOnline = () => this.flush();
+    window.addEventListener("online", handleOnline);
+    const stopBackgroundSync = onBackgroundSync(handleOnline);
+    // Server-side failures aren't retried automatically, but dropped connections are.
+    const timer = setInterval(() => this.flush(), SYNC_RETRY_MS);
+
+    this.teardown = () => {
+      window.removeEventListener("online", handleOnline);
+      stopBackgroundSync();
+      clearInterval(timer);
+    };
+    this.flush();
+  }
+
+  stop() {
+    this.teardown?.();
+    this.teardown = null;
+  }
+
+  pendingOps(table) {
+    return this.ops.filter((op) => op.userId === this.userId && op.table === table);
+  }
+
+  summarize(table) {
+    return summarizeSync(this.pendingOps(table));
+  }
+
+  setOps(ops) {
+    this.ops = ops;
+    saveOutbox(ops);
+    this.collections.forEach((collection) => collection.handleQueueChange());
+  }
+
+  // Changes queued while `apply` runs belong together (one undoable step): if
+  // one of them is dropped, the ones after it that haven't been sent go too.
+  group(apply) {
+    if (this.groupId) {
+      apply();
+      return;
+    }
+    this.groupId = createKey();
+    try {
+      apply();
+    } finally {
+      this.groupId = null;
+    }
+  }
+
+  createOp(table, kind, fields) {
+    return createOp(this.userId, table, kind, this.groupId ? { ...fields, groupId: this.groupId } : fields);
+  }
+
+  enqueue(table, kind, fields) {
+    this.setOps([...this.ops, this.createOp(table, kind, fields)]);
+    this.flush();
+  }
+
+  enqueueDelete(table, ids) {
+    // Records that never reached the server can simply be forgotten, unless
+    // their insert is on the wire right now.
+    const inFlight = this.ops.find((op) => op.opId === this.inFlightOpId);
+    const unsent = ids.filter(
+      (id) => isTempId(id) && !(inFlight?.kind === "insert" && inFlight.table === table && inFlight.recordId === id)
+    );
+    const sent = ids.filter((id) => !unsent.includes(id));
+
+    const next = this.ops.filter((op) => op.table !== table || !opRecordIds(op).some((id) => unsent.includes(id)));
+    if (sent.length) next.push(this.createOp(table, "delete", { recordIds: sent }));
+    this.setOps(next);
+    this.flush();
+  }
+
+  retry(table, id) {
+    this.setOps(
+      this.ops.map((op) =>
+        op.failed && op.table === table && opRecordIds(op).includes(id) ? { ...op, failed: false, error: "" } : op
+      )
+    );
+    this.flush();
+  }
+
+  discard(table, id) {
+    this.setOps(
+      this.ops.flatMap((op) => {
+        if (op.table !== table || !opRecordIds(op).includes(id)) return [op];
+        if (op.recordIds?.length > 1) return [{ ...op, recordIds: op.recordIds.filter((x) => x !== id) }];
+        return [];
+      })
+    );
+  }
+
+  // Drops a change along with later changes to the same records and the rest
+  // of its group, so the collection can restore the server state.
+  drop(op) {
+    const ids = opRecordIds(op);
+    const isSameRecord = (o) => o.table === op.table && opRecordIds(o).some((id) => ids.includes(id));
+    const isSameGroup = (o) => op.groupId !== undefined && o.groupId === op.groupId;
+    this.setOps(this.ops.filter((o) => !isSameRecord(o) && !isSameGroup(o)));
+  }
+
+  // A change the server refused for lack of access (e.g. a viewer in a shared list).
+  reject(op) {
+    this.drop(op);
+    this.collections.get(op.table)?.handleRejected(op);
+  }
+
+  // A batch that failed isn't left to be retried record by record: all of
+  // its records go back to the server state together.
+  rollBack(op, error) {
+    this.drop(op);
+    this.collections.get(op.table)?.handleRolledBack(op, error);
+  }
+
+  async flush() {
+    if (this.flushing) return;
+    if (!navigator.onLine) {
+      requestBackgroundSync();
+      return;
+    }
+
+    this.flushing = true;
+    try {
+      await this.detectSchema();
+      for (;;) {
+        const op = nextRunnableOp(this.ops, this.userId);
+        if (!op) break;
+
+        this.inFlightOpId = op.opId;
+        const { data, error, status } = await runOp(this.client, op, this.schemaVersion);
+        this.inFlightOpId = null;
+
+        if (error) {
+          if (isNetworkError(error, status)) {
+            requestBackgroundSync();
+            break;
+          }
+          if (isPermissionError(error)) {
+            this.reject(op);
+            continue;
+          }
+          if (opRecordIds(op).length > 1) {
+            this.rollBack(op, error);
+            continue;
+          }
+          this.setOps(this.ops.map((o) => (o.opId === op.opId ? { ...o, failed: true, error: error.message } : o)));
+          continue;
+        }
+
+        if (op.kind === "insert") {
+          const remaining = this.ops.filter((o) => o.opId !== op.opId);
+          this.ops = remapRecordId(remaining, op.table, op.recordId, data.id);
+          saveOutbox(this.ops);
+          this.collections.forEach((collection) => collection.applyRemap(op.table, op.recordId, data.id));
+          this.collections.forEach((collection) => collection.handleQueueChange());
+          continue;
+        }
+
+        this.setOps(this.ops.filter((o) => o.opId !== op.opId));
+      }
+    } finally {
+      this.inFlightOpId = null;
+      this.flushing = false;
+    }
+  }
+}
@@ -0,0 +1,197 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { InMemoryRepository } from "./repositories/inMemoryRepository";
+import { SupabaseRepository } from "./repositories/supabaseRepository";
+import { TASKS_TABLE } from "./repositories/tables";
+import { SyncQueue, applyOutbox, createOp, createTempId, remapRecordId, saveRemoteCache } from "./syncQueue";
+import { UndoHistory } from "./undoHistory";
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+// Just enough of supabase-js for the queue: every query resolves to what
+// `respond` returns for the table, the statement and its ids.
+function createClient(respond) {
+  const queries = [];
+  return {
+    queries,
+    rpc: async () => ({ data: 6, error: null, status: 200 }),
+    from(table) {
+      const query = { table, kind: "select", ids: null };
+      queries.push(query);
+      const builder = {
+        select: () => builder,
+        insert: () => ((query.kind = "insert"), builder),
+        update: () => ((query.kind = "update"), builder),
+        delete: () => ((query.kind = "delete"), builder),
+        in: (_column, ids) => ((query.ids = ids), builder),
+        eq: () => builder,
+        order: () => builder,
+        single: () => builder,
+        then: (resolve, reject) => Promise.resolve(respond(query)).then(resolve, reject),
+      };
+      return builder;
+    },
+  };
+}
+
+const task = (id, fields) => ({ id, title: `task ${id}`, done: false, ...fields });
+
+describe("applyOutbox", () => {
+  it("replays queued inserts, batch updates and deletes on the server records", () => {
+    const ops = [
+      createOp("u1", "tasks", "insert", { recordId: "local-1", values: { title: "new" } }),
+      createOp("u1", "tasks", "update", { recordIds: [1, 2], patch: { done: true } }),
+      createOp("u1", "tasks", "delete", { recordIds: [3] }),
+    ];
+    expect(applyOutbox([task(1), task(2), task(3)], ops)).toEqual([
+      { id: "local-1", title: "new" },
+      task(1, { done: true }),
+      task(2, { done: true }),
+    ]);
+  });
+});
+
+describe("remapRecordId", () => {
+  it("moves queued changes of a record created offline, and references to it, to its server id", () => {
+    const listId = createTempId();
+    const ops = [
+      createOp("u1", "lists", "update", { recordId: listId, patch: { name: "Home" } }),
+      createOp("u1", "tasks", "insert", { recordId: "local-2", values: { title: "a", listId } }),
+      createOp("u1", "tasks", "update", { recordIds: [7, 8], patch: { listId } }),
+    ];
+    const [list, insert, batch] = remapRecordId(ops, "lists", listId, 42);
+    expect(list.recordId).toBe(42);
+    expect(insert).toMatchObject({ recordId: "local-2", values: { title: "a", listId: 42 } });
+    expect(batch).toMatchObject({ recordIds: [7, 8], patch: { listId: 42 } });
+  });
+});
+
+describe("SyncQueue", () => {
+  beforeEach(() => {
+    vi.stubGlobal("localStorage", createStorage());
+    vi.stubGlobal("window", { addEventListener: () => {}, removeEventListener: () => {} });
+    vi.stubGlobal("navigator", { onLine: false });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("rolls a failed batch back to the server state along with later changes to its records", async () => {
+    const serverRows = [task(1), task(2), task(3)];
+    const client = createClient((query) => {
+      if (query.kind === "select") return { data: serverRows, error: null, status: 200 };
+      if (query.ids.includes(1)) return { data: null, error: { code: "23514", message: "check failed" }, status: 400 };
+      return { data: query.ids.map((id) => ({ id })), error: null, status: 200 };
+    });
+    saveRemoteCache(
+      "u1",
+      "tasks",
+      serverRows.map((row) => TASKS_TABLE.fromRow(row))
+    );
+
+    const queue = new SyncQueue(client, "u1");
+    const repository = new SupabaseRepository(client, queue, TASKS_TABLE);
+    const detach = queue.attach(repository);
+    const emit = vi.spyOn(repository, "emit");
+
+    // Made offline, so nothing is sent before all of them are queued.
+    const history = new UndoHistory(repository);
+    history.perform("history.check", [
+      {
+        type: "update",
+        changes: [
+          [1, { done: true }],
+          [2, { done: true }],
+        ],
+      },
+    ]);
+    repository.update(2, { title: "renamed" });
+    repository.update(3, { title: "other" });
+    expect(queue.ops).toHaveLength(3);
+
+    navigator.onLine = true;
+    await queue.flush();
+
+    const updates = client.queries.filter((q) => q.kind === "update");
+    expect(updates.map((q) => q.ids)).toEqual([[1, 2], [3]]);
+    expect(queue.ops).toEqual([]);
+    expect(emit).toHaveBeenCalledWith({ type: "rolledBack", table: "tasks", count: 2, message: "check failed" });
+    await vi.waitFor(() =>
+      expect(repository.getSnapshot().map((t) => [t.id, t.title, t.done])).toEqual([
+        [1, "task 1", false],
+        [2, "task 2", false],
+        [3, "other", false],
+      ])
+    );
+    detach();
+  });
+
+  it("drops the unsent rest of a step when its batch fails", async () => {
+    const client = createClient((query) => {
+      if (query.kind === "select") return { data: [task(1), task(2), task(3)], error: null, status: 200 };
+      if (query.ids.includes(1)) return { data: null, error: { code: "23514", message: "check failed" }, status: 400 };
+      return { data: query.ids.map((id) => ({ id })), error: null, status: 200 };
+    });
+    const queue = new SyncQueue(client, "u1");
+    const repository = new SupabaseRepository(client, queue, TASKS_TABLE);
+    repository.commit([task(1), task(2, { recurrence: { every: "day" } }), task(3)]);
+    const detach = queue.attach(repository);
+
+    new UndoHistory(repository).perform("history.check", [
+      {
+        type: "update",
+        changes: [
+          [1, { done: true }],
+          [2, { done: true }],
+        ],
+      },
+      { type: "update", changes: [[2, { recurrence: null }]] },
+      { type: "insert", records: [{ title: "task 2" }] },
+    ]);
+    // Not part of the step, so it still goes out.
+    repository.update(3, { title: "later" });
+    expect(queue.ops).toHaveLength(4);
+
+    navigator.onLine = true;
+    await queue.flush();
+
+    expect(client.queries.filter((q) => q.kind !== "select")).toMatchObject([
+      { kind: "update", ids: [1, 2] },
+      { kind: "update", ids: [3] },
+    ]);
+    expect(queue.ops).toEqual([]);
+    detach();
+  });
+
+  it("leaves records of other tables alone when a batch is rolled back", async () => {
+    const client = createClient(() => ({ data: null, error: { message: "failed" }, status: 500 }));
+    const queue = new SyncQueue(client, "u1");
+    const lists = { table: { name: "lists" }, handleQueueChange: () => {}, handleRolledBack: vi.fn() };
+    const tasks = new InMemoryRepository();
+    tasks.table = { name: "tasks" };
+    tasks.handleQueueChange = () => {};
+    tasks.handleRolledBack = vi.fn();
+    const detachLists = queue.attach(lists);
+    const detachTasks = queue.attach(tasks);
+
+    queue.enqueue("tasks", "update", { recordIds: [1, 2], patch: { done: true } });
+    queue.enqueue("lists", "update", { recordId: 1, patch: { name: "Home" } });
+
+    navigator.onLine = true;
+    await queue.flush();
+
+    expect(tasks.handleRolledBack).toHaveBeenCalledTimes(1);
+    expect(lists.handleRolledBack).not.toHaveBeenCalled();
+    // The list change failed on its own and waits to be retried.
+    expect(queue.ops).toMatchObject([{ table: "lists", recordId: 1, failed: true, error: "failed" }]);
+    detachTasks();
+    detachLists();
+  });
+});
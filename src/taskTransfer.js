@@ -0,0 +1,270 @@
+// Import/export of tasks as JSON, CSV and Markdown checklists.
+// Items are plain { title, done, dueDate, dueTime, priority, subtasks } trees,
+// so the format code knows nothing about ids, lists or storage.
+
+import { tr } from "./i18n";
+import { normalizeTitle } from "./localImport";
+import { DEFAULT_PRIORITY, PRIORITIES, taskPriority } from "./priority";
+
+export const TRANSFER_FORMATS = {
+  json: { label: "JSON", extension: "json", mime: "application/json" },
+  csv: { label: "CSV", extension: "csv", mime: "text/csv" },
+  markdown: { label: "Markdown", extension: "md", mime: "text/markdown" },
+};
+
+const CSV_COLUMNS = ["title", "done", "due_date", "due_time", "priority", "level"];
+const DATE_RE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MD_ITEM_RE = /^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/;
+const MD_DUE_RE = /\s*(?<!\\)📅\s*(\d{4}-\d{2}-\d{2})(?:\s+(\d{2}:\d{2}))?\s*$/;
+// A title that itself ends like a due date is written with a backslash before
+// its 📅 (one more if it already has some), so it isn't read back as one.
+const MD_TITLE_DUE_RE = /\\*📅\s*\d{4}-\d{2}-\d{2}(?:\s+\d{2}:\d{2})?\s*$/;
+
+// Rows in display order (each parent followed by its subtasks) -> item trees.
+export function toTransferItems(rows) {
+  const items = [];
+  const byId = new Map();
+  for (const task of rows) {
+    const item = {
+      title: task.title,
+      done: !!task.done,
+      dueDate: task.dueDate ?? null,
+      dueTime: task.dueTime ?? null,
+      priority: taskPriority(task),
+      subtasks: [],
+    };
+    const parent = byId.get(task.parentId);
+    if (parent) parent.subtasks.push(item);
+    else {
+      items.push(item);
+      byId.set(task.id, item);
+    }
+  }
+  return items;
+}
+
+// Spreadsheet apps run a cell starting with one of these as a formula, so such
+// cells are written with a leading apostrophe (which they hide) and read back without it.
+// Text that already starts with an apostrophe gets one more, so only ours is removed.
+const CSV_ESCAPED_START = /^['=+\-@\t\r]/;
+
+function csvCell(value) {
+  const raw = value == null ? "" : String(value);
+  const text = CSV_ESCAPED_START.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function markdownLine(item, indent) {
+  const due = item.dueDate ? ` 📅 ${item.dueDate}${item.dueTime ? ` ${item.dueTime}` : ""}` : "";
+  return `${indent}- [${item.done ? "x" : " "}] ${item.title.replace(MD_TITLE_DUE_RE, "\\$&")}${due}`;
+}
+
+export function exportItems(items, format) {
+  if (format === "json") {
+    return JSON.stringify(items, null, 2);
+  }
+
+  if (format === "csv") {
+    const lines = [CSV_COLUMNS.join(",")];
+    const push = (item, level) =>
+      lines.push([item.title, item.done, item.dueDate, item.dueTime, item.priority, level].map(csvCell).join(","));
+    items.forEach((item) => {
+      push(item, 0);
+      item.subtasks.forEach((sub) => push(sub, 1));
+    });
+    return lines.join("\n");
+  }
+
+  return items
+    .flatMap((item) => [markdownLine(item, ""), ...item.subtasks.map((sub) => markdownLine(sub, "  "))])
+    .join("\n");
+}
+
+export function detectFormat(fileName, text) {
+  const extension = fileName.split(".").pop().toLowerCase();
+  const match = Object.entries(TRANSFER_FORMATS).find(([, f]) => f.extension === extension);
+  if (match) return match[0];
+
+  const trimmed = text.trim();
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) return "json";
+  if (MD_ITEM_RE.test(trimmed.split("\n")[0])) return "markdown";
+  return "csv";
+}
+
+// Validates one raw item; returns [item, problems].
+function validateItem(raw) {
+  const problems = [];
+  const title = typeof raw.title === "string" ? raw.title.trim() : "";
+  if (!title) problems.push(tr("transfer.error.noTitle"));
+
+  const dueDate = raw.dueDate || null;
+  if (dueDate && !DATE_RE.test(dueDate)) problems.push(tr("transfer.error.badDate", { value: dueDate }));
+
+  const dueTime = raw.dueTime || null;
+  if (dueTime && !TIME_RE.test(dueTime)) problems.push(tr("transfer.error.badTime", { value: dueTime }));
+  if (dueTime && !dueDate) problems.push(tr("transfer.error.timeWithoutDate"));
+
+  // Files without priorities (Markdown, older exports) import as normal.
+  const priority = raw.priority ? String(raw.priority).trim().toLowerCase() : DEFAULT_PRIORITY;
+  if (!Object.hasOwn(PRIORITIES, priority)) problems.push(tr("transfer.error.badPriority", { value: raw.priority }));
+
+  const done = typeof raw.done === "boolean" ? raw.done : parseBoolean(raw.done);
+  return [{ title, done, dueDate, dueTime, priority, subtasks: [] }, problems];
+}
+
+function parseBoolean(value) {
+  return ["1", "true", "yes", "x", "да", "+"].includes(String(value ?? "").trim().toLowerCase());
+}
+
+function parseJson(text, errors) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    errors.push({ line: null, message: tr("transfer.error.json", { reason: e.message }) });
+    return [];
+  }
+
+  const list = Array.isArray(data) ? data : data?.tasks;
+  if (!Array.isArray(list)) {
+    errors.push({ line: null, message: tr("transfer.error.notArray") });
+    return [];
+  }
+
+  return list.map((raw, index) => ({
+    line: index + 1,
+    raw: raw ?? {},
+    subtasks: Array.isArray(raw?.subtasks) ? raw.subtasks.map((sub) => ({ line: index + 1, raw: sub ?? {} })) : [],
+  }));
+}
+
+// RFC 4180-ish: quoted fields may contain commas, quotes ("") and newlines.
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+function parseCsv(text, errors) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const columns = header.map((c) => c.trim().toLowerCase());
+  if (!columns.includes("title")) {
+    errors.push({ line: 1, message: tr("transfer.error.noTitleColumn") });
+    return [];
+  }
+
+  const entries = [];
+  rows.forEach((cells, index) => {
+    const get = (name) => {
+      const cell = cells[columns.indexOf(name)] ?? "";
+      return (cell.startsWith("'") ? cell.slice(1) : cell).trim();
+    };
+    const entry = {
+      line: index + 2,
+      raw: {
+        title: get("title"),
+        done: get("done"),
+        dueDate: get("due_date"),
+        dueTime: get("due_time"),
+        priority: get("priority"),
+      },
+      subtasks: [],
+    };
+    const parent = entries[entries.length - 1];
+    if (get("level") === "1" && parent) parent.subtasks.push(entry);
+    else entries.push(entry);
+  });
+  return entries;
+}
+
+function parseMarkdown(text) {
+  const entries = [];
+  text.split(/\r?\n/).forEach((lineText, index) => {
+    const match = MD_ITEM_RE.exec(lineText);
+    if (!match) return;
+
+    const [, indent, mark, rest] = match;
+    const due = MD_DUE_RE.exec(rest);
+    const title = due ? rest.slice(0, due.index) : rest;
+    const entry = {
+      line: index + 1,
+      raw: {
+        title: title.replace(MD_TITLE_DUE_RE, (text) => (text.startsWith("\\") ? text.slice(1) : text)),
+        done: mark !== " ",
+        dueDate: due?.[1],
+        dueTime: due?.[2],
+      },
+      subtasks: [],
+    };
+    const parent = entries[entries.length - 1];
+    if (indent.length > 0 && parent) parent.subtasks.push(entry);
+    else entries.push(entry);
+  });
+  return entries;
+}
+
+// Parses and validates a file. Invalid entries are reported and left out;
+// `duplicate` marks titles already present in `existingTasks` or earlier in the file.
+export function parseImport(text, format, existingTasks) {
+  const errors = [];
+  let entries = [];
+  if (format === "json") entries = parseJson(text, errors);
+  else if (format === "csv") entries = parseCsv(text, errors);
+  else entries = parseMarkdown(text);
+
+  const seen = new Set(existingTasks.map((t) => normalizeTitle(t.title)));
+  const items = [];
+
+  for (const entry of entries) {
+    const [item, problems] = validateItem(entry.raw);
+    if (problems.length) {
+      errors.push({ line: entry.line, message: problems.join(", ") });
+      continue;
+    }
+
+    for (const subEntry of entry.subtasks) {
+      const [sub, subProblems] = validateItem(subEntry.raw);
+      const message = tr("transfer.error.subtask", { problems: subProblems.join(", ") });
+      if (subProblems.length) errors.push({ line: subEntry.line, message });
+      else item.subtasks.push(sub);
+    }
+
+    const key = normalizeTitle(item.title);
+    item.duplicate = seen.has(key);
+    seen.add(key);
+    items.push(item);
+  }
+
+  if (!entries.length && !errors.length) errors.push({ line: null, message: tr("transfer.error.empty") });
+  return { items, errors };
+}
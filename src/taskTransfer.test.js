@@ -0,0 +1,61 @@
+import { describe, expect, it } from "vitest";
+import { exportItems, parseImport } from "./taskTransfer";
+
+const item = (title, fields) => ({
+  title,
+  done: false,
+  dueDate: null,
+  dueTime: null,
+  priority: "normal",
+  subtasks: [],
+  ...fields,
+});
+
+function roundTrip(items, format) {
+  const { items: imported, errors } = parseImport(exportItems(items, format), format, []);
+  expect(errors).toEqual([]);
+  expect(imported.every((i) => i.duplicate === false)).toBe(true);
+  return imported.map((i) => ({ ...i, duplicate: undefined }));
+}
+
+describe("CSV", () => {
+  it("keeps spreadsheets from running titles as formulas", () => {
+    const csv = exportItems([item("=HYPERLINK(1)"), item("@mention"), item("-1 day")], "csv");
+    expect(csv.split("\n").slice(1)).toEqual([
+      "'=HYPERLINK(1),false,,,normal,0",
+      "'@mention,false,,,normal,0",
+      "'-1 day,false,,,normal,0",
+    ]);
+  });
+
+  it("reads back exactly the titles it wrote", () => {
+    const items = [item("=SUM(A1)"), item("'=SUM(A1)"), item("'quoted'"), item("plain, with comma")];
+    expect(roundTrip(items, "csv")).toEqual(items);
+  });
+
+  it("only removes the apostrophe it would have added", () => {
+    const csv = "title\n'=A1\n ' spaced";
+    expect(parseImport(csv, "csv", []).items.map((i) => i.title)).toEqual(["=A1", "' spaced"]);
+  });
+});
+
+describe("Markdown", () => {
+  it("keeps a title that ends like a due date from being read as one", () => {
+    const items = [
+      item("Ship 📅 2026-11-01"),
+      item("Call 📅 2026-11-01 10:00", { dueDate: "2026-11-02" }),
+      item("Odd \\📅 2026-11-01"),
+    ];
+    expect(exportItems(items, "markdown").split("\n")).toEqual([
+      "- [ ] Ship \\📅 2026-11-01",
+      "- [ ] Call \\📅 2026-11-01 10:00 📅 2026-11-02",
+      "- [ ] Odd \\\\📅 2026-11-01",
+    ]);
+    expect(roundTrip(items, "markdown")).toEqual(items);
+  });
+
+  it("reads due dates and subtasks", () => {
+    const items = [item("Trip", { done: true, dueDate: "2026-11-01", dueTime: "09:30", subtasks: [item("Pack")] })];
+    expect(roundTrip(items, "markdown")).toEqual(items);
+  });
+});
@@ -0,0 +1,61 @@
+// Trash: deleting a task only stamps its deletedAt, so it can be restored
+// until it is deleted for good by hand or purged automatically after the
+// number of days chosen in the trash view. Everything but the trash view works
+// on the tasks that aren't trashed.
+
+const TRASH_DAYS_KEY = "todo.trashDays.v1";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a task stays in the trash; 0 keeps it until deleted by hand.
+export const TRASH_DAYS_OPTIONS = [7, 30, 90, 0];
+export const DEFAULT_TRASH_DAYS = 30;
+
+export function isTrashed(task) {
+  return Boolean(task.deletedAt);
+}
+
+export function loadTrashDays() {
+  try {
+    const raw = localStorage.getItem(TRASH_DAYS_KEY);
+    if (raw !== null && TRASH_DAYS_OPTIONS.includes(Number(raw))) return Number(raw);
+  } catch {
+    // ignore storage errors
+  }
+  return DEFAULT_TRASH_DAYS;
+}
+
+export function saveTrashDays(days) {
+  try {
+    localStorage.setItem(TRASH_DAYS_KEY, String(days));
+  } catch {
+    // ignore storage errors
+  }
+}
+
+// What the trash view lists, most recently deleted first: trashed tasks whose
+// parent isn't trashed, each with the ids it restores or deletes — its own and
+// those of its trashed subtasks.
+export function trashEntries(tasks) {
+  const trashedIds = new Set(tasks.filter(isTrashed).map((t) => t.id));
+  return tasks
+    .filter((t) => isTrashed(t) && !trashedIds.has(t.parentId))
+    .map((task) => ({
+      task,
+      ids: [task.id, ...tasks.filter((t) => t.parentId === task.id && isTrashed(t)).map((t) => t.id)],
+    }))
+    .sort((a, b) => Date.parse(b.task.deletedAt) - Date.parse(a.task.deletedAt));
+}
+
+// Ids of trashed tasks deleted more than `days` days before `now`, with their
+// trashed subtasks. A task with subtasks still out of the trash is kept: the
+// database would take those along with it.
+export function expiredTrash(tasks, days, now) {
+  if (!days) return [];
+  const liveParents = new Set(tasks.filter((t) => !isTrashed(t)).map((t) => t.parentId));
+  const expired = new Set(
+    tasks
+      .filter((t) => isTrashed(t) && now - Date.parse(t.deletedAt) > days * DAY_MS && !liveParents.has(t.id))
+      .map((t) => t.id)
+  );
+  return tasks.filter((t) => expired.has(t.id) || (isTrashed(t) && expired.has(t.parentId))).map((t) => t.id);
+}
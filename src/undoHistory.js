@@ -0,0 +1,155 @@
+// Undo/redo for task changes. Every user action is a list of operations on
+// the task repository, and applying an operation returns its inverse. Undo
+// therefore goes through the repository like any other change: in Supabase
+// mode a delete is undone by inserting the rows again and an edit by writing
+// the previous values back, all via the outbox.
+//
+// Operations:
+//   { type: "insert", records } - `id` on a record only links subtasks
+//                                 (`parentId`) within the same insert
+//   { type: "remove", ids }
+//   { type: "update", changes: [[id, patch], ...] } - records getting the same
+//                                 patch are updated as one batch (updateMany)
+
+const HISTORY_LIMIT = 100;
+
+function pick(record, keys) {
+  return Object.fromEntries(keys.map((key) => [key, record[key] ?? null]));
+}
+
+// Applies one operation; returns { inverse, idMap } (old id -> new id for
+// re-inserted records) or null when nothing it refers to exists any more.
+function applyOperation(repository, operation) {
+  const records = repository.getSnapshot();
+
+  if (operation.type === "insert") {
+    const batchIds = new Set(operation.records.map((r) => r.id).filter((id) => id != null));
+    // Parents first, so their new ids are known when the subtasks go in.
+    const ordered = [...operation.records].sort((a, b) => batchIds.has(a.parentId) - batchIds.has(b.parentId));
+    const idMap = new Map();
+    const created = ordered.map(({ id, ...values }) => {
+      if (idMap.has(values.parentId)) values.parentId = idMap.get(values.parentId);
+      const record = repository.add(values);
+      if (id != null) idMap.set(id, record.id);
+      return record.id;
+    });
+    return { inverse: { type: "remove", ids: created }, idMap };
+  }
+
+  if (operation.type === "remove") {
+    const removed = records.filter((r) => operation.ids.includes(r.id));
+    if (!removed.length) return null;
+    repository.remove(removed.map((r) => r.id));
+    return { inverse: { type: "insert", records: removed }, idMap: new Map() };
+  }
+
+  const previous = [];
+  const batches = new Map();
+  for (const [id, patch] of operation.changes) {
+    const record = records.find((r) => r.id === id);
+    if (!record) continue;
+    previous.unshift([id, pick(record, Object.keys(patch))]);
+    const key = JSON.stringify(patch);
+    if (!batches.has(key)) batches.set(key, { ids: [], patch });
+    batches.get(key).ids.push(id);
+  }
+  for (const { ids, patch } of batches.values()) {
+    if (ids.length > 1) repository.updateMany(ids, patch);
+    else repository.update(ids[0], patch);
+  }
+  return previous.length ? { inverse: { type: "update", changes: previous }, idMap: new Map() } : null;
+}
+
+function remapOperation(operation, idMap) {
+  const map = (id) => (idMap.has(id) ? idMap.get(id) : id);
+  if (operation.type === "insert") {
+    return { ...operation, records: operation.records.map((r) => ({ ...r, id: map(r.id), parentId: map(r.parentId) })) };
+  }
+  if (operation.type === "remove") return { ...operation, ids: operation.ids.map(map) };
+  return { ...operation, changes: operation.changes.map(([id, patch]) => [map(id), patch]) };
+}
+
+// Applies a list of operations as one group of changes (see SyncQueue#group);
+// returns their inverses (in undo order) and the merged id map.
+function applyAll(repository, operations) {
+  const inverses = [];
+  const idMap = new Map();
+  repository.group(() => {
+    for (const operation of operations) {
+      const result = applyOperation(repository, remapOperation(operation, idMap));
+      if (!result) continue;
+      inverses.unshift(result.inverse);
+      result.idMap.forEach((toId, fromId) => idMap.set(fromId, toId));
+    }
+  });
+  return { inverses, idMap };
+}
+
+export class UndoHistory {
+  constructor(repository) {
+    this.repository = repository;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.snapshot = { undoLabel: null, redoLabel: null };
+    this.listeners = new Set();
+  }
+
+  // Shaped for useSyncExternalStore, like the repositories.
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  getSnapshot = () => this.snapshot;
+
+  // Applies the operations as one undoable step labelled `label`.
+  perform(label, operations) {
+    const { inverses, idMap } = applyAll(this.repository, operations);
+    if (!inverses.length) return;
+    this.remap(idMap);
+    this.undoStack = [...this.undoStack, { label, operations: inverses }].slice(-HISTORY_LIMIT);
+    this.redoStack = [];
+    this.emit();
+  }
+
+  // Returns the label of the undone step, or null when there was nothing to undo.
+  undo() {
+    return this.step("undoStack", "redoStack");
+  }
+
+  redo() {
+    return this.step("redoStack", "undoStack");
+  }
+
+  step(fromKey, toKey) {
+    const entry = this[fromKey].at(-1);
+    if (!entry) return null;
+    this[fromKey] = this[fromKey].slice(0, -1);
+
+    const { inverses, idMap } = applyAll(this.repository, entry.operations);
+    this.remap(idMap);
+    if (inverses.length) this[toKey] = [...this[toKey], { label: entry.label, operations: inverses }];
+    this.emit();
+    return entry.label;
+  }
+
+  // Re-inserted records and records created offline get new ids; keep the stacks pointing at them.
+  remap(idMap) {
+    if (!idMap.size) return;
+    const remapEntry = (entry) => ({ ...entry, operations: entry.operations.map((op) => remapOperation(op, idMap)) });
+    this.undoStack = this.undoStack.map(remapEntry);
+    this.redoStack = this.redoStack.map(remapEntry);
+  }
+
+  remapId(fromId, toId) {
+    this.remap(new Map([[fromId, toId]]));
+  }
+
+  emit() {
+    this.snapshot = {
+      undoLabel: this.undoStack.at(-1)?.label ?? null,
+      redoLabel: this.redoStack.at(-1)?.label ?? null,
+    };
+    this.listeners.forEach((listener) => listener());
+  }
+}
@@ -0,0 +1,95 @@
+import { describe, expect, it, vi } from "vitest";
+import { InMemoryRepository } from "./repositories/inMemoryRepository";
+import { UndoHistory } from "./undoHistory";
+
+function setup(records) {
+  const repository = new InMemoryRepository(records);
+  return { repository, history: new UndoHistory(repository) };
+}
+
+const titles = (repository) => repository.getSnapshot().map((t) => t.title);
+
+describe("UndoHistory", () => {
+  it("undoes and redoes an insert of a task with its subtask", () => {
+    const { repository, history } = setup([]);
+    history.perform("history.add", [
+      {
+        type: "insert",
+        records: [
+          { id: "step", parentId: "trip", title: "Book hotel" },
+          { id: "trip", parentId: null, title: "Trip" },
+        ],
+      },
+    ]);
+
+    const [step, trip] = repository.getSnapshot();
+    expect(step.parentId).toBe(trip.id);
+    expect(history.getSnapshot()).toEqual({ undoLabel: "history.add", redoLabel: null });
+
+    expect(history.undo()).toBe("history.add");
+    expect(repository.getSnapshot()).toEqual([]);
+
+    expect(history.redo()).toBe("history.add");
+    const [redoneStep, redoneTrip] = repository.getSnapshot();
+    expect(titles(repository)).toEqual(["Book hotel", "Trip"]);
+    expect(redoneStep.parentId).toBe(redoneTrip.id);
+  });
+
+  it("sends records getting the same patch as one batch and writes the old values back on undo", () => {
+    const { repository, history } = setup([
+      { id: 1, title: "a", done: false },
+      { id: 2, title: "b", done: false },
+      { id: 3, title: "c", done: true },
+    ]);
+    const updateMany = vi.spyOn(repository, "updateMany");
+
+    history.perform("history.check", [
+      {
+        type: "update",
+        changes: [
+          [1, { done: true }],
+          [2, { done: true }],
+        ],
+      },
+    ]);
+    expect(updateMany).toHaveBeenCalledWith([1, 2], { done: true });
+    expect(repository.getSnapshot().map((t) => t.done)).toEqual([true, true, true]);
+
+    history.undo();
+    expect(repository.getSnapshot().map((t) => t.done)).toEqual([false, false, true]);
+
+    history.redo();
+    expect(repository.getSnapshot().map((t) => t.done)).toEqual([true, true, true]);
+  });
+
+  it("re-inserts removed records and keeps later steps pointing at their new ids", () => {
+    const { repository, history } = setup([
+      { id: 1, title: "a", done: false },
+      { id: 2, title: "b", done: false },
+    ]);
+    history.perform("history.check", [{ type: "update", changes: [[1, { done: true }]] }]);
+    history.perform("history.delete", [{ type: "remove", ids: [1] }]);
+    expect(titles(repository)).toEqual(["b"]);
+
+    history.undo();
+    const restored = repository.getSnapshot().find((t) => t.title === "a");
+    expect(restored).toMatchObject({ done: true });
+    expect(restored.id).not.toBe(1);
+
+    // The check is undone on the re-inserted record.
+    history.undo();
+    expect(repository.getSnapshot().find((t) => t.title === "a").done).toBe(false);
+    expect(history.getSnapshot()).toEqual({ undoLabel: null, redoLabel: "history.check" });
+
+    history.redo();
+    history.redo();
+    expect(titles(repository)).toEqual(["b"]);
+  });
+
+  it("doesn't record a step that changed nothing", () => {
+    const { history } = setup([{ id: 1, title: "a" }]);
+    history.perform("history.delete", [{ type: "remove", ids: [99] }]);
+    expect(history.getSnapshot()).toEqual({ undoLabel: null, redoLabel: null });
+    expect(history.undo()).toBeNull();
+  });
+});
@@ -0,0 +1,75 @@
+-- Lists and tasks as the client uses them (schema version 1).
+-- Written to also upgrade projects whose tables were created by hand before
+-- migrations existed: every table and column is added only when missing.
+
+create table if not exists public.lists (
+  id bigint generated by default as identity primary key,
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  name text not null,
+  position double precision not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.tasks (
+  id bigint generated by default as identity primary key,
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  title text not null,
+  done boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+alter table public.tasks
+  add column if not exists created_at timestamptz not null default now(),
+  add column if not exists due_date date,
+  add column if not exists due_time time,
+  add column if not exists list_id bigint references public.lists (id) on delete cascade,
+  add column if not exists parent_id bigint references public.tasks (id) on delete cascade,
+  add column if not exists position double precision,
+  add column if not exists tags text[] not null default '{}',
+  add column if not exists recurrence jsonb;
+
+create index if not exists tasks_user_id_created_at_idx on public.tasks (user_id, created_at desc);
+create index if not exists tasks_list_id_idx on public.tasks (list_id);
+create index if not exists tasks_parent_id_idx on public.tasks (parent_id);
+create index if not exists lists_user_id_position_idx on public.lists (user_id, position);
+
+-- Every user sees and changes only their own rows.
+alter table public.lists enable row level security;
+alter table public.tasks enable row level security;
+
+drop policy if exists "lists: own rows" on public.lists;
+create policy "lists: own rows" on public.lists
+  for all using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+drop policy if exists "tasks: own rows" on public.tasks;
+create policy "tasks: own rows" on public.tasks
+  for all using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+-- One table at a time: a table that is already published must not keep the other out.
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['lists', 'tasks'] loop
+    begin
+      execute format('alter publication supabase_realtime add table public.%I', t);
+    exception
+      when duplicate_object then null;
+      when undefined_object then null;
+    end;
+  end loop;
+end;
+$$;
+
+-- The client reads this to know which columns and features the database has
+-- (src/repositories/schema.js). Every migration that changes what the client
+-- can use bumps it.
+create or replace function public.schema_version()
+returns integer
+language sql
+immutable
+as $$
+  select 1;
+$$;
+
+grant execute on function public.schema_version() to anon, authenticated;
@@ -0,0 +1,215 @@
+-- Shared lists: the owner of a list invites other registered users as viewers
+-- or editors. Access is enforced by row-level security; the client no longer
+-- filters by user_id itself.
+--
+-- Every list has a list_members row for its owner (role 'owner'), so members
+-- can see who is in a list and whose e-mail belongs to a created_by /
+-- completed_by id.
+
+create table if not exists public.list_members (
+  id bigint generated always as identity primary key,
+  list_id bigint not null references public.lists (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  email text not null,
+  role text not null check (role in ('owner', 'editor', 'viewer')),
+  created_at timestamptz not null default now(),
+  unique (list_id, user_id)
+);
+
+create index if not exists list_members_user_id_idx on public.list_members (user_id);
+
+alter table public.tasks
+  add column if not exists created_by uuid references auth.users (id) on delete set null,
+  add column if not exists completed_by uuid references auth.users (id) on delete set null;
+
+-- The caller's role in a list, or null without access. Security definer so
+-- policies can use it without recursing into list_members' own policies.
+create or replace function public.list_role(p_list_id bigint)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select role from public.list_members where list_id = p_list_id and user_id = auth.uid();
+$$;
+
+create or replace function public.can_edit_list(p_list_id bigint)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(public.list_role(p_list_id) in ('owner', 'editor'), false);
+$$;
+
+-- Owner membership for new lists, and for lists that existed before sharing.
+create or replace function public.add_list_owner()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.list_members (list_id, user_id, email, role)
+  select new.id, new.user_id, u.email, 'owner' from auth.users u where u.id = new.user_id
+  on conflict (list_id, user_id) do nothing;
+  return new;
+end;
+$$;
+
+drop trigger if exists lists_add_owner on public.lists;
+create trigger lists_add_owner after insert on public.lists
+  for each row execute function public.add_list_owner();
+
+insert into public.list_members (list_id, user_id, email, role)
+select l.id, l.user_id, u.email, 'owner' from public.lists l join auth.users u on u.id = l.user_id
+on conflict (list_id, user_id) do nothing;
+
+-- created_by / completed_by always reflect the signed-in user, whatever the client sends.
+create or replace function public.stamp_task_authors()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    new.created_by := auth.uid();
+  else
+    new.created_by := old.created_by;
+  end if;
+
+  if tg_op = 'INSERT' or new.done is distinct from old.done then
+    new.completed_by := case when new.done then auth.uid() end;
+  else
+    new.completed_by := old.completed_by;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists tasks_stamp_authors on public.tasks;
+create trigger tasks_stamp_authors before insert or update on public.tasks
+  for each row execute function public.stamp_task_authors();
+
+-- Invites by e-mail; only the owner may invite, and only registered users.
+create or replace function public.invite_list_member(p_list_id bigint, p_email text, p_role text)
+returns public.list_members
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  invitee auth.users%rowtype;
+  member public.list_members;
+begin
+  if public.list_role(p_list_id) is distinct from 'owner' then
+    raise exception 'only the list owner can invite' using errcode = '42501';
+  end if;
+  if p_role not in ('editor', 'viewer') then
+    raise exception 'unknown role %', p_role using errcode = '22023';
+  end if;
+
+  select * into invitee from auth.users where lower(email) = lower(trim(p_email));
+  if invitee.id is null then
+    raise exception 'no registered user with this email' using errcode = 'P0002';
+  end if;
+  if invitee.id = auth.uid() then
+    raise exception 'the owner is already a member' using errcode = '22023';
+  end if;
+
+  insert into public.list_members (list_id, user_id, email, role)
+  values (p_list_id, invitee.id, invitee.email, p_role)
+  on conflict (list_id, user_id) do update set role = excluded.role
+  returning * into member;
+  return member;
+end;
+$$;
+
+revoke all on function public.invite_list_member(bigint, text, text) from public;
+grant execute on function public.invite_list_member(bigint, text, text) to authenticated;
+
+-- Row-level security. Replaces the owner-only policies of the initial schema.
+
+alter table public.lists enable row level security;
+alter table public.tasks enable row level security;
+alter table public.list_members enable row level security;
+
+drop policy if exists "lists: own rows" on public.lists;
+drop policy if exists "tasks: own rows" on public.tasks;
+
+drop policy if exists "lists: members read" on public.lists;
+create policy "lists: members read" on public.lists
+  for select using (user_id = auth.uid() or public.list_role(id) is not null);
+
+drop policy if exists "lists: owner inserts" on public.lists;
+create policy "lists: owner inserts" on public.lists
+  for insert with check (user_id = auth.uid());
+
+drop policy if exists "lists: owner updates" on public.lists;
+create policy "lists: owner updates" on public.lists
+  for update using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+drop policy if exists "lists: owner deletes" on public.lists;
+create policy "lists: owner deletes" on public.lists
+  for delete using (user_id = auth.uid());
+
+-- Inbox tasks (no list) stay private; tasks in a list follow the list's membership.
+drop policy if exists "tasks: members read" on public.tasks;
+create policy "tasks: members read" on public.tasks
+  for select using (
+    case when list_id is null then user_id = auth.uid() else public.list_role(list_id) is not null end
+  );
+
+drop policy if exists "tasks: editors insert" on public.tasks;
+create policy "tasks: editors insert" on public.tasks
+  for insert with check (
+    user_id = auth.uid() and (list_id is null or public.can_edit_list(list_id))
+  );
+
+drop policy if exists "tasks: editors update" on public.tasks;
+create policy "tasks: editors update" on public.tasks
+  for update
+  using (case when list_id is null then user_id = auth.uid() else public.can_edit_list(list_id) end)
+  with check (case when list_id is null then user_id = auth.uid() else public.can_edit_list(list_id) end);
+
+drop policy if exists "tasks: editors delete" on public.tasks;
+create policy "tasks: editors delete" on public.tasks
+  for delete using (
+    case when list_id is null then user_id = auth.uid() else public.can_edit_list(list_id) end
+  );
+
+drop policy if exists "list_members: members read" on public.list_members;
+create policy "list_members: members read" on public.list_members
+  for select using (public.list_role(list_id) is not null);
+
+-- Invites go through invite_list_member; the owner changes roles and removes
+-- members, and anyone but the owner may leave.
+drop policy if exists "list_members: owner updates" on public.list_members;
+create policy "list_members: owner updates" on public.list_members
+  for update
+  using (public.list_role(list_id) = 'owner' and role <> 'owner')
+  with check (role in ('editor', 'viewer'));
+
+drop policy if exists "list_members: owner removes, members leave" on public.list_members;
+create policy "list_members: owner removes, members leave" on public.list_members
+  for delete using (
+    role <> 'owner' and (public.list_role(list_id) = 'owner' or user_id = auth.uid())
+  );
+
+do $$
+begin
+  alter publication supabase_realtime add table public.list_members;
+exception
+  when duplicate_object then null;
+  when undefined_object then null;
+end;
+$$;
+
+create or replace function public.schema_version()
+returns integer
+language sql
+immutable
+as $$
+  select 2;
+$$;
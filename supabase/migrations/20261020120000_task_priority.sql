@@ -0,0 +1,16 @@
+-- Task priority: low, normal, high or urgent. Existing tasks become normal.
+
+alter table public.tasks
+  add column if not exists priority text not null default 'normal';
+
+alter table public.tasks drop constraint if exists tasks_priority_check;
+alter table public.tasks
+  add constraint tasks_priority_check check (priority in ('low', 'normal', 'high', 'urgent'));
+
+create or replace function public.schema_version()
+returns integer
+language sql
+immutable
+as $$
+  select 3;
+$$;
@@ -0,0 +1,42 @@
+-- When a task was created and completed, for the statistics view. The client
+-- sends its own times (work done offline syncs later); the trigger only fills
+-- in what is missing and keeps completed_at consistent with `done`. Tasks
+-- completed before this migration have no completion time and are left out
+-- of the statistics.
+
+alter table public.tasks
+  add column if not exists completed_at timestamptz;
+
+create or replace function public.stamp_task_times()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    new.created_at := coalesce(new.created_at, now());
+  else
+    new.created_at := old.created_at;
+  end if;
+
+  if not new.done then
+    new.completed_at := null;
+  elsif tg_op = 'UPDATE' and old.done then
+    new.completed_at := coalesce(new.completed_at, old.completed_at);
+  else
+    new.completed_at := coalesce(new.completed_at, now());
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists tasks_stamp_times on public.tasks;
+create trigger tasks_stamp_times before insert or update on public.tasks
+  for each row execute function public.stamp_task_times();
+
+create or replace function public.schema_version()
+returns integer
+language sql
+immutable
+as $$
+  select 4;
+$$;
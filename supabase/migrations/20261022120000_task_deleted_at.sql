@@ -0,0 +1,16 @@
+-- Trash: deleting a task in the app sets deleted_at instead of removing the
+-- row, so it can be restored. Rows are removed for good when the trash is
+-- emptied or, by the client, after the number of days the user chose.
+
+alter table public.tasks
+  add column if not exists deleted_at timestamptz;
+
+create index if not exists tasks_deleted_at_idx on public.tasks (deleted_at) where deleted_at is not null;
+
+create or replace function public.schema_version()
+returns integer
+language sql
+immutable
+as $$
+  select 5;
+$$;
@@ -0,0 +1,15 @@
+-- Task details: Markdown notes and the time a task was last edited. Like
+-- created_at, updated_at is written by the client, so edits made offline
+-- keep their time; it stays null until a task is edited.
+
+alter table public.tasks
+  add column if not exists notes text not null default '',
+  add column if not exists updated_at timestamptz;
+
+create or replace function public.schema_version()
+returns integer
+language sql
+immutable
+as $$
+  select 6;
+$$;
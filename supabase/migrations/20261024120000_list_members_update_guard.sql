@@ -0,0 +1,15 @@
+-- Tightens "list_members: owner updates" from shared_lists: the new row must
+-- still be in a list the caller owns, and only the role can change. Without
+-- this an owner could move a member row to someone else's list, or make it
+-- their own, and gain access to lists they don't own.
+
+drop policy if exists "list_members: owner updates" on public.list_members;
+create policy "list_members: owner updates" on public.list_members
+  for update
+  using (public.list_role(list_id) = 'owner' and role <> 'owner')
+  with check (public.list_role(list_id) = 'owner' and role in ('editor', 'viewer'));
+
+-- list_id, user_id and email are set by invite_list_member (security definer,
+-- so unaffected) and never change afterwards.
+revoke update on public.list_members from anon, authenticated;
+grant update (role) on public.list_members to authenticated;
@@ -0,0 +1,50 @@
+-- Demo data for the local stack; run by `supabase db reset` after the migrations.
+--
+--   alice@example.com / password123  owns "Дом" and shares it with bob as an editor
+--   bob@example.com   / password123
+
+-- Users are created the way GoTrue stores e-mail sign-ups, already confirmed.
+insert into auth.users (
+  instance_id, id, aud, role, email, encrypted_password, email_confirmed_at,
+  raw_app_meta_data, raw_user_meta_data, created_at, updated_at,
+  confirmation_token, recovery_token, email_change_token_new, email_change
+)
+values
+  (
+    '00000000-0000-0000-0000-000000000000', '11111111-1111-1111-1111-111111111111', 'authenticated',
+    'authenticated', 'alice@example.com', extensions.crypt('password123', extensions.gen_salt('bf')), now(),
+    '{"provider":"email","providers":["email"]}', '{}', now(), now(), '', '', '', ''
+  ),
+  (
+    '00000000-0000-0000-0000-000000000000', '22222222-2222-2222-2222-222222222222', 'authenticated',
+    'authenticated', 'bob@example.com', extensions.crypt('password123', extensions.gen_salt('bf')), now(),
+    '{"provider":"email","providers":["email"]}', '{}', now(), now(), '', '', '', ''
+  );
+
+insert into auth.identities (id, user_id, provider_id, identity_data, provider, last_sign_in_at, created_at, updated_at)
+select gen_random_uuid(), u.id, u.id::text, jsonb_build_object('sub', u.id::text, 'email', u.email), 'email', now(), now(), now()
+from auth.users u
+where u.email in ('alice@example.com', 'bob@example.com');
+
+-- Explicit ids keep the rows easy to refer to below; the sequences are moved past them at the end.
+insert into public.lists (id, user_id, name, position)
+values
+  (1, '11111111-1111-1111-1111-111111111111', 'Дом', 0),
+  (2, '11111111-1111-1111-1111-111111111111', 'Работа', 1);
+
+insert into public.tasks (id, user_id, title, done, list_id, parent_id, position, due_date, tags, recurrence, priority)
+values
+  (1, '11111111-1111-1111-1111-111111111111', 'Разобрать почту', false, null, null, 0, current_date, '{}', null, 'normal'),
+  (2, '11111111-1111-1111-1111-111111111111', 'Купить продукты #магазин', false, 1, null, 0, current_date + 1, '{магазин}', null, 'high'),
+  (3, '11111111-1111-1111-1111-111111111111', 'Молоко', true, 1, 2, 0, null, '{}', null, 'normal'),
+  (4, '11111111-1111-1111-1111-111111111111', 'Хлеб', false, 1, 2, 1, null, '{}', null, 'normal'),
+  (5, '11111111-1111-1111-1111-111111111111', 'Вынести мусор', false, 1, null, 1, current_date, '{}', '{"type":"daily"}', 'low'),
+  (6, '11111111-1111-1111-1111-111111111111', 'Подготовить отчёт #срочно', false, 2, null, 0, current_date - 1, '{срочно}', null, 'urgent'),
+  (7, '22222222-2222-2222-2222-222222222222', 'Свои задачи Боба', false, null, null, 0, null, '{}', null, 'normal');
+
+-- The owner rows come from the lists trigger; bob joins "Дом".
+insert into public.list_members (list_id, user_id, email, role)
+values (1, '22222222-2222-2222-2222-222222222222', 'bob@example.com', 'editor');
+
+select setval(pg_get_serial_sequence('public.lists', 'id'), (select max(id) from public.lists));
+select setval(pg_get_serial_sequence('public.tasks', 'id'), (select max(id) from public.tasks));